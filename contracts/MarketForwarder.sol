@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+// ERC-2771 forwarder trusted by SimpleMarket. Users sign a ForwardRequest
+// and a relayer (scripts/relayer.js) submits it, paying the gas.
+contract MarketForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("MarketForwarder") {}
+}
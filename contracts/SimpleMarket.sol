@@ -1,91 +1,261 @@
 pragma solidity ^0.8.28;
 
-contract SimpleMarket {
-    
-    struct Product {
-        uint256 id;          // Unique number for each product (like a barcode)
-        string name;         // Product name (e.g., "iPhone 15")
-        string description;  // Product details (e.g., "Brand new, 128GB")
-        uint256 price;       // Price in Wei (smallest unit of ETH)
-        address payable seller; // Wallet address of the person selling
-        bool sold;           // true/false - has this been sold yet?
+import "./SimpleMarketBase.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+// Deployed behind a UUPS proxy (see scripts/deploy.js), so listings and
+// balances survive upgrades. State variables live in SimpleMarketBase.
+//
+// To stay under the 24 KB code size limit (EIP-170) the market is split in
+// three contracts: this one (administration, buying, withdrawals and product
+// views), SimpleMarketListings (creating and managing listings) and
+// SimpleMarketOrders (bids, offers, escrow and reviews). Calls this contract
+// doesn't implement reach the fallback below and run the other two
+// contracts' code on this contract's storage, so the market still has a
+// single address and logs all of its events.
+contract SimpleMarket is SimpleMarketBase, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
+
+    // Code behind the fallback. Deployed on its own because it doesn't fit
+    // in this contract's creation code (see scripts/deploy.js).
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable listingsModule;
+
+    // The forwarder and the listings module are immutables of the
+    // implementation, not proxy storage: pass them again when upgrading
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder, address _listingsModule) SimpleMarketBase(_trustedForwarder) {
+        listingsModule = _listingsModule;
+
+        // The implementation is only ever used through the proxy
+        _disableInitializers();
     }
 
-    
-    mapping(uint256 => Product) public products;
-    
-    uint256 public productCount = 0;
+    // Replaces the constructor: runs once, when the proxy is deployed
+    function initialize(
+        uint256 _deliveryTimeout,
+        uint256 _feeBps,
+        address _feeRecipient
+    ) public initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __EIP712_init(_EIP712Name(), _EIP712Version());
+        __UUPSUpgradeable_init();
 
-    event ProductAdded(
-        uint256 indexed id,        // 'indexed' makes this searchable
-        string name,
-        string description,
-        uint256 price,
-        address indexed seller     // 'indexed' makes this searchable too
-    );
+        require(_deliveryTimeout > 0, "Delivery timeout must be greater than 0");
+        require(_feeBps <= MAX_FEE_BPS, "Fee exceeds maximum");
+        require(_feeRecipient != address(0), "Fee recipient cannot be zero address");
 
-    event ProductSold(
-        uint256 indexed id,
-        string name,
-        uint256 price,
-        address indexed seller,
-        address indexed buyer
-    );
-
-    function addProduct(
-        string memory _name,        // 'memory' = temporary storage, cheaper gas
-        string memory _description, // Strings must specify storage location
-        uint256 _price              // Numbers don't need storage location
-    ) public {
-        
-       
-        require(bytes(_name).length > 0, "Product name cannot be empty");
-        
-        require(_price > 0, "Product price must be greater than 0");
-        productCount++;
-        
-        
-        products[productCount] = Product(
-            productCount,           // Unique ID for this product
-            _name,                  // Product name from parameter
-            _description,           // Product description from parameter
-            _price,                 // Product price from parameter
-            payable(msg.sender),    // Seller is whoever called this function
-            false                   // Not sold yet
-        );
+        deliveryTimeout = _deliveryTimeout;
+        feeBps = _feeBps;
+        feeRecipient = _feeRecipient;
 
-        emit ProductAdded(productCount, _name, _description, _price, msg.sender);
+        // The deployer starts with every role and can hand them out
+        // (DEFAULT_ADMIN_ROLE grants and revokes roles)
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        _grantRole(ADMIN_ROLE, _msgSender());
+        _grantRole(PAUSER_ROLE, _msgSender());
+        _grantRole(MODERATOR_ROLE, _msgSender());
+        _grantRole(UPGRADER_ROLE, _msgSender());
     }
 
-    function buyProduct(uint256 _id) public payable {
-        
-        Product storage product = products[_id];
-        
-        
-        // Check if product exists
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
+
+    // Stop new listings and purchases. Settling orders, refunds and
+    // withdrawals keep working so nobody's funds are stuck.
+    function pause() public onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    // Take a listing off the marketplace. It can no longer be bought, bid on
+    // or offered on; existing orders keep their escrow and refund rules.
+    function hideProduct(uint256 _id, ModerationReason _reason) public onlyRole(MODERATOR_ROLE) {
         require(_id > 0 && _id <= productCount, "Product does not exist");
-        // Product IDs start from 1, not 0
-        
-        // Check if buyer sent enough ETH
-        require(msg.value >= product.price, "Insufficient payment");
-        // msg.value = ETH sent with transaction
-        
-        // Check if product is still available
-        require(!product.sold, "Product already sold");
-        // ! means "not", so !product.sold means "not sold"
-        
-        // Check if buyer is not the seller
-        require(product.seller != msg.sender, "Cannot buy your own product");
-        product.sold = true;
+        require(_reason != ModerationReason.None, "Reason is required");
+        require(hiddenReason[_id] == ModerationReason.None, "Product already hidden");
+
+        hiddenReason[_id] = _reason;
+        hiddenCount++;
+        _removeAvailable(_id);
+
+        emit ProductHidden(_id, _msgSender(), _reason);
+    }
 
-        product.seller.transfer(product.price);
+    // Restore a listing that was hidden by mistake
+    function unhideProduct(uint256 _id) public onlyRole(MODERATOR_ROLE) {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+        require(hiddenReason[_id] != ModerationReason.None, "Product is not hidden");
 
-        if (msg.value > product.price) {
-            payable(msg.sender).transfer(msg.value - product.price);
+        hiddenReason[_id] = ModerationReason.None;
+        hiddenCount--;
+        if (!products[_id].sold && !products[_id].delisted) {
+            _addAvailable(_id);
         }
 
-        
-        emit ProductSold(_id, product.name, product.price, product.seller, msg.sender);
+        emit ProductUnhidden(_id, _msgSender());
+    }
+
+    // Stop a seller from listing; their existing listings are moderated one by one
+    function banSeller(address _seller, ModerationReason _reason) public onlyRole(MODERATOR_ROLE) {
+        require(_seller != address(0), "Seller cannot be zero address");
+        require(_reason != ModerationReason.None, "Reason is required");
+        require(!bannedSellers[_seller], "Seller already banned");
+
+        bannedSellers[_seller] = true;
+
+        emit SellerBanned(_seller, _msgSender(), _reason);
+    }
+
+    function unbanSeller(address _seller) public onlyRole(MODERATOR_ROLE) {
+        require(bannedSellers[_seller], "Seller is not banned");
+
+        bannedSellers[_seller] = false;
+
+        emit SellerUnbanned(_seller, _msgSender());
+    }
+
+    function setFee(uint256 _feeBps) public onlyRole(ADMIN_ROLE) {
+        require(_feeBps <= MAX_FEE_BPS, "Fee exceeds maximum");
+
+        emit FeeUpdated(feeBps, _feeBps);
+        feeBps = _feeBps;
+    }
+
+    function setFeeRecipient(address _feeRecipient) public onlyRole(ADMIN_ROLE) {
+        require(_feeRecipient != address(0), "Fee recipient cannot be zero address");
+
+        emit FeeRecipientUpdated(feeRecipient, _feeRecipient);
+        feeRecipient = _feeRecipient;
+    }
+
+    function setPaymentToken(address _token, bool _accepted) public onlyRole(ADMIN_ROLE) {
+        require(_token != address(0), "Token cannot be zero address");
+
+        acceptedTokens[_token] = _accepted;
+
+        emit PaymentTokenUpdated(_token, _accepted);
+    }
+
+    function addCategory(string memory _name) public onlyRole(ADMIN_ROLE) {
+        require(bytes(_name).length > 0, "Category name cannot be empty");
+
+        categoryCount++;
+        categories[categoryCount] = Category(_name, true);
+
+        emit CategoryAdded(categoryCount, _name);
+    }
+
+    // Rename a category or retire it; existing listings keep their category
+    function updateCategory(uint256 _categoryId, string memory _name, bool _active) public onlyRole(ADMIN_ROLE) {
+        require(_categoryId > 0 && _categoryId <= categoryCount, "Category does not exist");
+        require(bytes(_name).length > 0, "Category name cannot be empty");
+
+        categories[_categoryId] = Category(_name, _active);
+
+        emit CategoryUpdated(_categoryId, _name, _active);
+    }
+
+    function getCategories() public view returns (Category[] memory) {
+        Category[] memory result = new Category[](categoryCount);
+        for (uint256 i = 1; i <= categoryCount; i++) {
+            result[i - 1] = categories[i];
+        }
+        return result;
+    }
+
+    function buyProduct(uint256 _id, uint256 _quantity) public payable nonReentrant whenNotPaused {
+        uint256 spent = _buyProduct(_id, _quantity, msg.value);
+        _refundOverpayment(msg.value - spent);
+    }
+
+    // Buy one unit of each listed product in a single transaction. ETH sent
+    // must cover every ETH-priced item at its current price; token-priced items are pulled with
+    // transferFrom like buyProduct. With _skipUnavailable, items that are sold
+    // out, delisted, hidden or the buyer's own are skipped instead of
+    // reverting the whole cart. Unspent ETH is credited back to the buyer.
+    function buyProducts(uint256[] calldata _ids, bool _skipUnavailable) public payable nonReentrant whenNotPaused {
+        require(_ids.length > 0, "Cart is empty");
+        require(_ids.length <= MAX_CART_ITEMS, "Too many items in cart");
+
+        // Check the payment covers the cart before buying anything
+        uint256 ethTotal = 0;
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (_skipUnavailable && !_isPurchasable(_ids[i])) {
+                continue;
+            }
+            if (_ids[i] > 0 && _ids[i] <= productCount && products[_ids[i]].paymentToken == address(0)) {
+                ethTotal += currentPrice(_ids[i]);
+            }
+        }
+        require(msg.value >= ethTotal, "Insufficient payment");
+
+        uint256 remaining = msg.value;
+        uint256 bought = 0;
+        for (uint256 i = 0; i < _ids.length; i++) {
+            // Checked again here: an id listed twice may sell out on the first pass
+            if (_skipUnavailable && !_isPurchasable(_ids[i])) {
+                emit CartItemSkipped(_ids[i], _msgSender());
+                continue;
+            }
+            bool paysEth = _ids[i] > 0 && _ids[i] <= productCount && products[_ids[i]].paymentToken == address(0);
+            remaining -= _buyProduct(_ids[i], 1, paysEth ? remaining : 0);
+            bought++;
+        }
+        require(bought > 0, "No items in cart are available");
+
+        _refundOverpayment(remaining);
+
+        emit CartCheckedOut(_msgSender(), bought, _ids.length - bought, msg.value - remaining, remaining);
+    }
+
+    // Whether the caller could buy one unit of a product right now
+    function _isPurchasable(uint256 _id) internal view returns (bool) {
+        if (!isProductAvailable(_id)) {
+            return false;
+        }
+        Product storage product = products[_id];
+        return product.saleType != SaleType.Auction
+            && product.seller != _msgSender()
+            && _isAcceptedPayment(product.paymentToken);
+    }
+
+    function withdraw() public nonReentrant {
+        uint256 amount = pendingWithdrawals[_msgSender()];
+        require(amount > 0, "No funds to withdraw");
+
+        // Zero the balance before sending so it cannot be withdrawn twice
+        pendingWithdrawals[_msgSender()] = 0;
+
+        // call forwards all gas, so smart-contract wallets with a receive hook work
+        (bool success, ) = payable(_msgSender()).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawn(_msgSender(), amount);
+    }
+
+    function withdrawToken(address _token) public nonReentrant {
+        uint256 amount = pendingTokenWithdrawals[_token][_msgSender()];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingTokenWithdrawals[_token][_msgSender()] = 0;
+
+        IERC20(_token).safeTransfer(_msgSender(), amount);
+
+        emit TokenWithdrawn(_msgSender(), _token, amount);
+    }
+
+    function pendingWithdrawal(address _account) public view returns (uint256) {
+        return pendingWithdrawals[_account];
+    }
+
+    function pendingTokenWithdrawal(address _token, address _account) public view returns (uint256) {
+        return pendingTokenWithdrawals[_token][_account];
     }
 
     function getProduct(uint256 _id) public view returns (
@@ -94,7 +264,12 @@ contract SimpleMarket {
         string memory description,
         uint256 price,
         address seller,
-        bool sold
+        bool sold,
+        bool delisted,
+        address paymentToken,
+        uint256 stock,
+        SaleType saleType,
+        uint256 categoryId
     ) {
         // Check if product exists
         require(_id > 0 && _id <= productCount, "Product does not exist");
@@ -108,26 +283,107 @@ contract SimpleMarket {
             product.description,
             product.price,
             product.seller,
-            product.sold
+            product.sold,
+            product.delisted,
+            product.paymentToken,
+            product.stock,
+            product.saleType,
+            product.categoryId
         );
     }
 
     function getAllProducts() public view returns (Product[] memory) {
         
-       
-        Product[] memory allProducts = new Product[](productCount);
+        // Listings hidden by a moderator are left out
+        Product[] memory allProducts = new Product[](productCount - hiddenCount);
         
-       
+        uint256 count = 0;
         for (uint256 i = 1; i <= productCount; i++) {
-            
-            allProducts[i - 1] = products[i];
+            if (isProductHidden(i)) {
+                continue;
+            }
+            allProducts[count] = products[i];
+            count++;
         }
         
         // Return the complete array to the caller
         return allProducts;
     }
 
-   
+    // Products by id, starting after the first _offset listings
+    function getProducts(uint256 _offset, uint256 _limit) public view returns (Product[] memory) {
+        if (_offset >= productCount) {
+            return new Product[](0);
+        }
+
+        uint256 count = _pageSize(productCount - _offset, _limit);
+        Product[] memory page = new Product[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = products[_offset + i + 1];
+        }
+        return page;
+    }
+
+    // A seller's listings, oldest first
+    function getProductsBySeller(address _seller, uint256 _offset, uint256 _limit) public view returns (Product[] memory) {
+        uint256[] storage ids = sellerProducts[_seller];
+        if (_offset >= ids.length) {
+            return new Product[](0);
+        }
+
+        uint256 count = _pageSize(ids.length - _offset, _limit);
+        Product[] memory page = new Product[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = products[ids[_offset + i]];
+        }
+        return page;
+    }
+
+    function getSellerProductCount(address _seller) public view returns (uint256) {
+        return sellerProducts[_seller].length;
+    }
+
+    // Products that can be bought right now, newest listing first.
+    // Pass a cursor of 0 for the first page and the returned nextCursor for the
+    // following ones; nextCursor is 0 once there is nothing left.
+    function getAvailableProducts(uint256 _cursor, uint256 _limit) public view returns (
+        Product[] memory page,
+        uint256 nextCursor
+    ) {
+        uint256 id = _cursor == 0 ? availableHead : nextAvailable[_cursor];
+        uint256 limit = _pageSize(availableCount, _limit);
+        uint256[] memory ids = new uint256[](limit);
+
+        uint256 count = 0;
+        while (id != 0 && count < limit) {
+            // Skip listings removed since the cursor was handed out, and
+            // auctions whose bidding has closed or listings that expired
+            // but are not off the list yet
+            if (inAvailableList[id] && isProductAvailable(id)) {
+                ids[count] = id;
+                count++;
+            }
+            nextCursor = id;
+            id = nextAvailable[id];
+        }
+
+        if (id == 0) {
+            nextCursor = 0;
+        }
+
+        page = new Product[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = products[ids[i]];
+        }
+    }
+
+    function _pageSize(uint256 _remaining, uint256 _limit) internal pure returns (uint256) {
+        if (_limit > MAX_PAGE_SIZE) {
+            _limit = MAX_PAGE_SIZE;
+        }
+        return _remaining < _limit ? _remaining : _limit;
+    }
+
     function getTotalProducts() public view returns (uint256) {
         return productCount;
     }
@@ -137,6 +393,27 @@ contract SimpleMarket {
         if (_id == 0 || _id > productCount) {
             return false; // Product doesn't exist
         }
-        return !products[_id].sold; // Return true if not sold
+        // Available means not sold, not taken down by the seller or a moderator
+        // and not past its expiry
+        if (products[_id].sold || products[_id].delisted || isProductHidden(_id) || isProductExpired(_id)) {
+            return false;
+        }
+        // Auctions only while bidding is open
+        if (products[_id].saleType == SaleType.Auction) {
+            return block.timestamp < auctions[_id].endTime;
+        }
+        return true;
+    }
+
+    // ETH only comes in with a purchase, bid or offer
+    receive() external payable {
+        revert("Direct payments not accepted");
+    }
+
+    // Everything SimpleMarket doesn't implement itself runs in the
+    // modules' code against this contract's storage
+    /// @custom:oz-upgrades-unsafe-allow-reachable delegatecall
+    fallback(bytes calldata _input) external payable returns (bytes memory) {
+        return Address.functionDelegateCall(listingsModule, _input);
     }
 }
@@ -0,0 +1,699 @@
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// Storage, types and events of the market, with the internal helpers shared
+// by SimpleMarket, SimpleMarketListings and SimpleMarketOrders. All three run
+// on the proxy's storage, so every state variable is declared here and
+// nowhere else.
+// When changing the market, only append new state variables after the
+// existing ones; the upgrade is rejected if the storage layout is incompatible.
+//
+// Calls relayed by the trusted ERC-2771 forwarder (MarketForwarder) act for
+// the account that signed the request, so sellers and buyers are always
+// identified with _msgSender(), never msg.sender.
+abstract contract SimpleMarketBase is
+    Initializable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable,
+    ERC2771ContextUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // Manages the marketplace settings: fees, payment tokens and categories
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // May stop and restart trading in an emergency
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Takes down fraudulent listings and bans the sellers behind them
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+
+    // May replace the contract logic behind the proxy
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    struct Product {
+        uint256 id;          // Unique number for each product (like a barcode)
+        string name;         // Product name (e.g., "iPhone 15")
+        string description;  // Product details (e.g., "Brand new, 128GB")
+        uint256 price;       // Price per unit in the smallest unit of the payment currency (Wei for ETH)
+        address payable seller; // Wallet address of the person selling
+        bool sold;           // true/false - is it sold out (no stock left)?
+        bool delisted;       // true if the seller took the listing down
+        address paymentToken; // ERC-20 the price is paid in, address(0) for ETH
+        uint256 stock;       // Units still available to buy
+        SaleType saleType;   // How the product is sold
+        uint256 categoryId;  // Entry in the category registry, 0 if uncategorized
+        string metadataURI;  // Content-addressed JSON with images and attributes (e.g., "ipfs://..."), may be empty
+        bytes32 metadataHash; // keccak256 of the metadata JSON, so clients can verify what they fetched
+    }
+
+    // Category in the owner-managed registry
+    struct Category {
+        string name;         // Display name (e.g., "Electronics")
+        bool active;         // Inactive categories can't be picked for new listings
+    }
+
+    // How a listing is sold
+    enum SaleType {
+        FixedPrice,         // Bought straight away with buyProduct
+        Auction,            // English auction, sold to the highest bidder with settleAuction
+        DutchAuction        // Bought with buyProduct at a price that falls over time
+    }
+
+    // Why a moderator took down a listing or banned a seller
+    enum ModerationReason {
+        None,               // Not moderated (default value for empty mapping slots)
+        Fraud,              // Scam or payment fraud
+        Counterfeit,        // Fake or infringing goods
+        Prohibited,         // Item not allowed on the marketplace
+        Spam,               // Duplicate or misleading listings
+        Other
+    }
+
+    // Bidding state of an auction listing (the product's price is the reserve price)
+    struct Auction {
+        uint256 endTime;         // Block timestamp after which no more bids are accepted
+        uint256 minBidIncrement; // How much a new bid must beat the highest bid by
+        address highestBidder;   // Current leader, address(0) until the first bid
+        uint256 highestBid;      // Current leading bid in Wei
+        bool settled;            // true once settleAuction has run
+    }
+
+    // Price schedule of a Dutch auction: falls linearly from startPrice to
+    // floorPrice over duration seconds, then stays at floorPrice
+    struct PriceDecay {
+        uint256 startPrice;      // Price per unit when listed
+        uint256 floorPrice;      // Lowest price per unit
+        uint256 startTime;       // Block timestamp the decay starts at
+        uint256 duration;        // Seconds to reach the floor price
+    }
+
+    // Lifecycle of the payment a buyer made while it sits in escrow
+    enum OrderStatus {
+        None,               // No order (default value for empty mapping slots)
+        AwaitingShipment,   // Paid, seller has not shipped yet - buyer can still get a refund
+        Shipped,            // Seller shipped, waiting for the buyer to confirm delivery
+        Completed,          // Funds released to the seller
+        Refunded            // Funds returned to the buyer
+    }
+
+    struct Order {
+        uint256 id;             // Unique number for each purchase
+        uint256 productId;      // Which product was bought
+        address payable buyer;  // Who paid
+        uint256 quantity;       // How many units were bought
+        uint256 amount;         // Amount held in escrow (price x quantity)
+        uint256 fee;            // Part of amount that goes to the platform on release
+        OrderStatus status;     // Where the order is in its lifecycle
+        uint256 purchasedAt;    // Block timestamp of the purchase
+        uint256 shippedAt;      // Block timestamp when the seller shipped (0 if not yet)
+    }
+
+    // Lifecycle of a buyer's offer on a listing
+    enum OfferStatus {
+        None,               // No offer (default value for empty mapping slots)
+        Open,               // Waiting for the seller to respond
+        Countered,          // Seller asked for a higher amount, waiting for the buyer
+        Accepted,           // Turned into an escrow order
+        Rejected,           // Seller declined, ETH returned to the buyer
+        Withdrawn           // Buyer took the offer back
+    }
+
+    struct Offer {
+        uint256 id;             // Unique number for each offer
+        uint256 productId;      // Which product the offer is for (one unit)
+        address payable buyer;  // Who made the offer
+        uint256 amount;         // ETH escrowed with the offer
+        uint256 counterAmount;  // Seller's counter-offer (0 if none)
+        uint256 expiresAt;      // Block timestamp after which the offer can no longer be accepted
+        OfferStatus status;     // Where the offer is in its lifecycle
+    }
+
+    // A buyer's rating of the seller for one purchase
+    struct Review {
+        uint256 orderId;        // Purchase being reviewed
+        uint256 productId;      // Product that was bought
+        address reviewer;       // Buyer of the order
+        address seller;         // Seller being rated
+        uint8 rating;           // 1 to 5 stars (0 means not reviewed)
+        string comment;         // Short free-text comment
+        uint256 createdAt;      // Block timestamp of the review
+    }
+
+    
+    mapping(uint256 => Product) public products;
+    
+    uint256 public productCount;
+
+    // Every listing made by a seller, oldest first
+    mapping(address => uint256[]) internal sellerProducts;
+
+    // Listings that can currently be bought, kept as a linked list from the newest
+    // to the oldest listing so a page cursor stays valid while listings sell out.
+    // A removed listing keeps its `next` link, so a cursor pointing at it still
+    // leads on to the rest of the list.
+    mapping(uint256 => uint256) internal nextAvailable;
+    mapping(uint256 => uint256) internal prevAvailable;
+    mapping(uint256 => bool) internal inAvailableList;
+    uint256 internal availableHead;
+    uint256 public availableCount;
+
+    // Largest page returned by the paginated views
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // Most items bought in one buyProducts call
+    uint256 public constant MAX_CART_ITEMS = 20;
+
+    mapping(uint256 => Order) public orders;
+
+    uint256 public orderCount;
+
+    mapping(uint256 => Auction) public auctions;
+
+    // Every order placed for a product, and every order placed by a buyer
+    mapping(uint256 => uint256[]) internal productOrders;
+    mapping(address => uint256[]) internal buyerOrders;
+
+    mapping(uint256 => Offer) public offers;
+
+    uint256 public offerCount;
+
+    // Every offer made on a product, and every offer made by a buyer
+    mapping(uint256 => uint256[]) internal productOffers;
+    mapping(address => uint256[]) internal buyerOffers;
+
+    // Category registry, ids start at 1 (0 means uncategorized)
+    mapping(uint256 => Category) public categories;
+
+    uint256 public categoryCount;
+
+    // Limits on the free-form tags attached to a new listing
+    uint256 public constant MAX_TAGS = 5;
+    uint256 public constant MAX_TAG_LENGTH = 32;
+
+    // Reviews by order id, and the orders each seller has been reviewed for
+    mapping(uint256 => Review) public reviews;
+    mapping(address => uint256[]) internal sellerReviews;
+
+    // Running totals for each seller's average rating
+    mapping(address => uint256) internal sellerRatingTotal;
+
+    // Longest comment accepted with a review, in bytes
+    uint256 public constant MAX_REVIEW_LENGTH = 280;
+
+    // Seconds after shipment before the seller can release escrow without the buyer
+    uint256 public deliveryTimeout;
+
+    // ETH owed to each address (seller earnings, refunds, overpayments).
+    // Paid out through withdraw() instead of being pushed with transfer().
+    mapping(address => uint256) internal pendingWithdrawals;
+
+    // Same as pendingWithdrawals, for listings paid in ERC-20 tokens (token => account => amount)
+    mapping(address => mapping(address => uint256)) internal pendingTokenWithdrawals;
+
+    // ERC-20 tokens sellers may price their listings in (managed by the owner)
+    mapping(address => bool) public acceptedTokens;
+
+    // Listings taken down by a moderator, with the reason (None while visible)
+    mapping(uint256 => ModerationReason) public hiddenReason;
+    uint256 public hiddenCount;
+
+    // Sellers who may no longer list products
+    mapping(address => bool) public bannedSellers;
+
+    // Platform commission in basis points (100 = 1%), capped at MAX_FEE_BPS
+    uint256 public constant MAX_FEE_BPS = 1000;
+    uint256 public feeBps;
+
+    // Address credited with the platform commission
+    address public feeRecipient;
+
+    // Signed listing orders: nonces already fulfilled (seller => nonce => used)
+    // and orders the seller cancelled before anyone fulfilled them
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+    mapping(bytes32 => bool) public cancelledOrders;
+
+    // Time after which a fixed-price listing can no longer be bought,
+    // 0 if it stays on sale until it sells out or is delisted
+    mapping(uint256 => uint256) public productExpiry;
+
+    // Price schedules of Dutch auction listings
+    mapping(uint256 => PriceDecay) public priceDecays;
+
+    event ProductAdded(
+        uint256 indexed id,        // 'indexed' makes this searchable
+        string name,
+        string description,
+        uint256 price,
+        address indexed seller,    // 'indexed' makes this searchable too
+        address paymentToken,
+        uint256 indexed categoryId,
+        string[] tags,             // Free-form tags, only kept in the event log
+        uint256 stock,
+        SaleType saleType
+    );
+
+    event ProductSold(
+        uint256 indexed id,
+        string name,
+        uint256 price,
+        uint256 quantity,
+        address indexed seller,
+        address indexed buyer
+    );
+
+    event ProductUpdated(
+        uint256 indexed id,
+        string description,
+        uint256 price,
+        address indexed seller
+    );
+
+    event ProductDelisted(
+        uint256 indexed id,
+        address indexed seller
+    );
+
+    event OrderCreated(
+        uint256 indexed orderId,
+        uint256 indexed productId,
+        address indexed buyer,
+        uint256 amount
+    );
+
+    event OrderShipped(
+        uint256 indexed orderId,
+        uint256 indexed productId,
+        address indexed seller
+    );
+
+    event DeliveryConfirmed(
+        uint256 indexed orderId,
+        uint256 indexed productId,
+        address indexed buyer
+    );
+
+    event EscrowReleased(
+        uint256 indexed orderId,
+        address indexed seller,
+        uint256 amount
+    );
+
+    event OrderRefunded(
+        uint256 indexed orderId,
+        address indexed buyer,
+        uint256 amount
+    );
+
+    event Withdrawn(
+        address indexed account,
+        uint256 amount
+    );
+
+    event TokenWithdrawn(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    event DutchAuctionCreated(
+        uint256 indexed id,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 startTime,
+        uint256 duration
+    );
+
+    event BidPlaced(
+        uint256 indexed productId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event AuctionSettled(
+        uint256 indexed productId,
+        address indexed winner,    // address(0) if the auction ended without bids
+        uint256 amount
+    );
+
+    event OfferMade(
+        uint256 indexed offerId,
+        uint256 indexed productId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 expiresAt
+    );
+
+    event OfferCountered(
+        uint256 indexed offerId,
+        uint256 indexed productId,
+        uint256 counterAmount
+    );
+
+    event OfferAccepted(
+        uint256 indexed offerId,
+        uint256 indexed productId,
+        uint256 orderId
+    );
+
+    event OfferRejected(
+        uint256 indexed offerId,
+        uint256 indexed productId
+    );
+
+    event OfferWithdrawn(
+        uint256 indexed offerId,
+        address indexed buyer,
+        uint256 amount
+    );
+
+    event ReviewSubmitted(
+        uint256 indexed orderId,
+        address indexed seller,
+        address indexed reviewer,
+        uint8 rating,
+        string comment
+    );
+
+    event MetadataSet(
+        uint256 indexed id,
+        string metadataURI,
+        bytes32 metadataHash
+    );
+
+    // Logged when a listing gets an expiry and each time it is relisted
+    event ExpirySet(
+        uint256 indexed id,
+        uint256 expiresAt
+    );
+
+    event ProductHidden(
+        uint256 indexed id,
+        address indexed moderator,
+        ModerationReason reason
+    );
+
+    event ProductUnhidden(
+        uint256 indexed id,
+        address indexed moderator
+    );
+
+    event SellerBanned(
+        address indexed seller,
+        address indexed moderator,
+        ModerationReason reason
+    );
+
+    event SellerUnbanned(
+        address indexed seller,
+        address indexed moderator
+    );
+
+    event ListingOrderFulfilled(
+        bytes32 indexed orderHash,
+        uint256 indexed productId,
+        address indexed seller,
+        address buyer,
+        uint256 nonce
+    );
+
+    event ListingOrderCancelled(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        uint256 nonce
+    );
+
+    // One per buyProducts call; each item bought also emits ProductSold
+    event CartCheckedOut(
+        address indexed buyer,
+        uint256 itemsBought,
+        uint256 itemsSkipped,
+        uint256 amountPaid,
+        uint256 refunded
+    );
+
+    event CartItemSkipped(
+        uint256 indexed productId,
+        address indexed buyer
+    );
+
+    event CategoryAdded(
+        uint256 indexed categoryId,
+        string name
+    );
+
+    event CategoryUpdated(
+        uint256 indexed categoryId,
+        string name,
+        bool active
+    );
+
+    event PaymentTokenUpdated(
+        address indexed token,
+        bool accepted
+    );
+
+    event FeeUpdated(
+        uint256 oldFeeBps,
+        uint256 newFeeBps
+    );
+
+    event FeeRecipientUpdated(
+        address indexed oldRecipient,
+        address indexed newRecipient
+    );
+
+    event FeeCollected(
+        uint256 indexed orderId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder) ERC2771ContextUpgradeable(_trustedForwarder) {}
+
+    // The signing domain is fixed rather than read from storage, so proxies
+    // deployed before signed orders existed use it without a reinitializer
+    function _EIP712Name() internal pure override returns (string memory) {
+        return "SimpleMarket";
+    }
+
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+
+    // Both parents define the caller; the ERC-2771 versions read the signer
+    // appended by the trusted forwarder and fall back to msg.sender otherwise
+    function _msgSender()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (address)
+    {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+
+    function _msgData()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (bytes calldata)
+    {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+
+    function _contextSuffixLength()
+        internal
+        view
+        override(ContextUpgradeable, ERC2771ContextUpgradeable)
+        returns (uint256)
+    {
+        return ERC2771ContextUpgradeable._contextSuffixLength();
+    }
+
+    function isProductHidden(uint256 _id) public view returns (bool) {
+        return hiddenReason[_id] != ModerationReason.None;
+    }
+
+    // Platform commission for a given price at the current fee rate
+    function calculateFee(uint256 _price) public view returns (uint256) {
+        return (_price * feeBps) / 10000;
+    }
+
+    // Price per unit a buyer pays right now; Dutch auctions follow their
+    // decay schedule, other listings their listed price
+    function currentPrice(uint256 _id) public view returns (uint256) {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+
+        if (products[_id].saleType != SaleType.DutchAuction) {
+            return products[_id].price;
+        }
+
+        PriceDecay storage decay = priceDecays[_id];
+        uint256 elapsed = block.timestamp - decay.startTime;
+        if (elapsed >= decay.duration) {
+            return decay.floorPrice;
+        }
+        return decay.startPrice - ((decay.startPrice - decay.floorPrice) * elapsed) / decay.duration;
+    }
+
+    // Whether a listing's expiry has passed
+    function isProductExpired(uint256 _id) public view returns (bool) {
+        return productExpiry[_id] != 0 && block.timestamp >= productExpiry[_id];
+    }
+
+    // Buys _quantity units with up to _ethAvailable of the ETH sent, and
+    // returns how much of it was used (0 for token listings)
+    function _buyProduct(uint256 _id, uint256 _quantity, uint256 _ethAvailable) internal returns (uint256) {
+        
+        Product storage product = products[_id];
+        
+        
+        // Check if product exists
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+        // Product IDs start from 1, not 0
+
+        require(_quantity > 0, "Quantity must be greater than 0");
+
+        // Auction listings are sold through placeBid/settleAuction
+        require(product.saleType != SaleType.Auction, "Product is sold by auction");
+
+        // Total cost for all units being bought, at the current Dutch auction
+        // price if the price decays
+        uint256 unitPrice = currentPrice(_id);
+        uint256 totalPrice = unitPrice * _quantity;
+        
+        if (product.paymentToken == address(0)) {
+            // Check if buyer sent enough ETH
+            require(_ethAvailable >= totalPrice, "Insufficient payment");
+        } else {
+            // Token listings are paid with transferFrom, not ETH
+            require(_ethAvailable == 0, "Listing is not priced in ETH");
+            require(acceptedTokens[product.paymentToken], "Payment token not accepted");
+        }
+        
+        // Check if product is still available
+        require(!product.sold, "Product already sold");
+        // ! means "not", so !product.sold means "not sold"
+
+        // Check there are enough units left
+        require(_quantity <= product.stock, "Not enough stock");
+
+        // Check if the seller has taken the listing down
+        require(!product.delisted, "Product has been delisted");
+
+        // Check if a moderator has taken the listing down
+        require(!isProductHidden(_id), "Product has been hidden");
+
+        // Check the listing hasn't run out of time
+        require(!isProductExpired(_id), "Listing has expired");
+        
+        // Check if buyer is not the seller
+        require(product.seller != _msgSender(), "Cannot buy your own product");
+
+        product.stock -= _quantity;
+        if (product.stock == 0) {
+            product.sold = true; // Sold out
+            _removeAvailable(_id);
+        }
+
+        // The payment stays in the contract until the buyer confirms delivery
+        _createOrder(_id, payable(_msgSender()), _quantity, totalPrice);
+
+        if (product.paymentToken != address(0)) {
+            // Pull the tokens into escrow (buyer must approve this contract first)
+            IERC20(product.paymentToken).safeTransferFrom(_msgSender(), address(this), totalPrice);
+        }
+
+        
+        emit ProductSold(_id, product.name, unitPrice, _quantity, product.seller, _msgSender());
+
+        return product.paymentToken == address(0) ? totalPrice : 0;
+    }
+
+    // Overpayment is credited back to the buyer
+    function _refundOverpayment(uint256 _amount) internal {
+        if (_amount > 0) {
+            pendingWithdrawals[_msgSender()] += _amount;
+        }
+    }
+
+    // ETH is always accepted, ERC-20 tokens only when on the allowlist
+    function _isAcceptedPayment(address _token) internal view returns (bool) {
+        return _token == address(0) || acceptedTokens[_token];
+    }
+
+    // Record a new escrowed purchase. The fee is fixed now so later fee
+    // changes don't affect this order.
+    function _createOrder(
+        uint256 _productId,
+        address payable _buyer,
+        uint256 _quantity,
+        uint256 _amount
+    ) internal returns (Order storage) {
+        orderCount++;
+        orders[orderCount] = Order(
+            orderCount,
+            _productId,
+            _buyer,
+            _quantity,
+            _amount,
+            calculateFee(_amount),
+            OrderStatus.AwaitingShipment,
+            block.timestamp,
+            0
+        );
+        productOrders[_productId].push(orderCount);
+        buyerOrders[_buyer].push(orderCount);
+
+        emit OrderCreated(orderCount, _productId, _buyer, _amount);
+
+        return orders[orderCount];
+    }
+
+    // Put a listing at the head of the available list
+    function _addAvailable(uint256 _id) internal {
+        if (inAvailableList[_id]) {
+            return;
+        }
+
+        nextAvailable[_id] = availableHead;
+        prevAvailable[_id] = 0;
+        if (availableHead != 0) {
+            prevAvailable[availableHead] = _id;
+        }
+        availableHead = _id;
+        inAvailableList[_id] = true;
+        availableCount++;
+    }
+
+    // Unlink a listing that can no longer be bought
+    function _removeAvailable(uint256 _id) internal {
+        if (!inAvailableList[_id]) {
+            return;
+        }
+
+        uint256 prev = prevAvailable[_id];
+        uint256 next = nextAvailable[_id];
+        if (prev == 0) {
+            availableHead = next;
+        } else {
+            nextAvailable[prev] = next;
+        }
+        if (next != 0) {
+            prevAvailable[next] = prev;
+        }
+        inAvailableList[_id] = false;
+        availableCount--;
+    }
+}
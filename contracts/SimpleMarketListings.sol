@@ -0,0 +1,383 @@
+pragma solidity ^0.8.28;
+
+import "./SimpleMarketBase.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+// Creating and managing listings: fixed-price products, Dutch and English
+// auctions, listings signed off-chain, and editing, delisting and relisting.
+// SimpleMarket forwards the calls to this contract with delegatecall, so the
+// code always runs on the market proxy's storage and its events are logged by
+// the market. Calls it doesn't implement either go on to SimpleMarketOrders
+// the same way.
+contract SimpleMarketListings is SimpleMarketBase {
+    // Fixed-price listing signed off-chain by the seller (EIP-712). It only
+    // becomes a product when a buyer fulfills it with fulfillOrder.
+    struct ListingOrder {
+        address seller;         // Signer, becomes the product's seller
+        string name;
+        string description;
+        uint256 price;          // Price per unit in the payment currency's smallest unit
+        address paymentToken;   // address(0) for ETH
+        uint256 stock;          // Units offered
+        uint256 categoryId;     // 0 for no category
+        string metadataURI;     // "" for a text-only listing
+        bytes32 metadataHash;
+        uint256 nonce;          // Any unused number chosen by the seller
+        uint256 expiry;         // Block timestamp after which the order can't be fulfilled
+    }
+
+    bytes32 public constant LISTING_ORDER_TYPEHASH = keccak256(
+        "ListingOrder(address seller,string name,string description,uint256 price,address paymentToken,uint256 stock,uint256 categoryId,string metadataURI,bytes32 metadataHash,uint256 nonce,uint256 expiry)"
+    );
+
+    // Next module behind the fallback
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable ordersModule;
+
+    // Uses the same forwarder as the market so relayed calls keep their signer
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder, address _ordersModule) SimpleMarketBase(_trustedForwarder) {
+        ordersModule = _ordersModule;
+    }
+
+    function addProduct(
+        string memory _name,        // 'memory' = temporary storage, cheaper gas
+        string memory _description, // Strings must specify storage location
+        uint256 _price,             // Numbers don't need storage location
+        address _paymentToken,      // address(0) to be paid in ETH
+        uint256 _stock,             // How many identical units are for sale
+        uint256 _categoryId,        // 0 for no category
+        string[] memory _tags,      // Free-form search tags
+        string memory _metadataURI, // "" for a text-only listing
+        bytes32 _metadataHash,      // keccak256 of the metadata JSON
+        uint256 _expiresAt          // Timestamp the listing ends at, 0 to never expire
+    ) public whenNotPaused {
+        require(_isAcceptedPayment(_paymentToken), "Payment token not accepted");
+
+        uint256 id = _createProduct(
+            payable(_msgSender()),
+            _name,
+            _description,
+            _price,
+            _paymentToken,
+            _stock,
+            SaleType.FixedPrice,
+            _categoryId,
+            _tags
+        );
+
+        _setMetadata(id, _metadataURI, _metadataHash);
+        _setExpiry(id, _expiresAt);
+    }
+
+    // List a single item for auction. Bids are in ETH; the highest bid at
+    // _duration seconds from now wins, provided it meets the reserve price.
+    function createAuction(
+        string memory _name,
+        string memory _description,
+        uint256 _reservePrice,
+        uint256 _duration,
+        uint256 _minBidIncrement,
+        uint256 _categoryId,
+        string[] memory _tags,
+        string memory _metadataURI,
+        bytes32 _metadataHash
+    ) public whenNotPaused {
+        require(_duration > 0, "Auction duration must be greater than 0");
+        require(_minBidIncrement > 0, "Bid increment must be greater than 0");
+
+        uint256 id = _createProduct(
+            payable(_msgSender()),
+            _name,
+            _description,
+            _reservePrice,
+            address(0),
+            1,
+            SaleType.Auction,
+            _categoryId,
+            _tags
+        );
+
+        auctions[id] = Auction(block.timestamp + _duration, _minBidIncrement, address(0), 0, false);
+
+        _setMetadata(id, _metadataURI, _metadataHash);
+    }
+
+    // List units whose price falls linearly from _startPrice to _floorPrice
+    // over _duration seconds. Buyers pay the price at the time of purchase.
+    function createDutchAuction(
+        string memory _name,
+        string memory _description,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _duration,
+        address _paymentToken,
+        uint256 _stock,
+        uint256 _categoryId,
+        string[] memory _tags,
+        string memory _metadataURI,
+        bytes32 _metadataHash
+    ) public whenNotPaused {
+        require(_isAcceptedPayment(_paymentToken), "Payment token not accepted");
+        require(_floorPrice > 0, "Floor price must be greater than 0");
+        require(_startPrice > _floorPrice, "Start price must be above the floor price");
+        require(_duration > 0, "Decay duration must be greater than 0");
+
+        uint256 id = _createProduct(
+            payable(_msgSender()),
+            _name,
+            _description,
+            _startPrice,
+            _paymentToken,
+            _stock,
+            SaleType.DutchAuction,
+            _categoryId,
+            _tags
+        );
+
+        priceDecays[id] = PriceDecay(_startPrice, _floorPrice, block.timestamp, _duration);
+
+        emit DutchAuctionCreated(id, _startPrice, _floorPrice, block.timestamp, _duration);
+
+        _setMetadata(id, _metadataURI, _metadataHash);
+    }
+
+    // Attach the metadata document to a new listing; a URI must come with its hash
+    function _setMetadata(uint256 _id, string memory _metadataURI, bytes32 _metadataHash) internal {
+        if (bytes(_metadataURI).length == 0) {
+            return;
+        }
+        require(_metadataHash != bytes32(0), "Metadata hash is required");
+
+        products[_id].metadataURI = _metadataURI;
+        products[_id].metadataHash = _metadataHash;
+
+        emit MetadataSet(_id, _metadataURI, _metadataHash);
+    }
+
+    // Set when a fixed-price listing stops being for sale; 0 removes the expiry
+    function _setExpiry(uint256 _id, uint256 _expiresAt) internal {
+        if (_expiresAt == 0 && productExpiry[_id] == 0) {
+            return;
+        }
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry must be in the future");
+
+        productExpiry[_id] = _expiresAt;
+
+        emit ExpirySet(_id, _expiresAt);
+    }
+
+    function _createProduct(
+        address payable _seller,
+        string memory _name,
+        string memory _description,
+        uint256 _price,
+        address _paymentToken,
+        uint256 _stock,
+        SaleType _saleType,
+        uint256 _categoryId,
+        string[] memory _tags
+    ) internal returns (uint256) {
+        require(!bannedSellers[_seller], "Seller is banned");
+
+        require(bytes(_name).length > 0, "Product name cannot be empty");
+        
+        require(_price > 0, "Product price must be greater than 0");
+
+        require(_stock > 0, "Stock must be greater than 0");
+
+        require(
+            _categoryId == 0 || categories[_categoryId].active,
+            "Category does not exist or is inactive"
+        );
+
+        require(_tags.length <= MAX_TAGS, "Too many tags");
+        for (uint256 i = 0; i < _tags.length; i++) {
+            require(
+                bytes(_tags[i]).length > 0 && bytes(_tags[i]).length <= MAX_TAG_LENGTH,
+                "Invalid tag length"
+            );
+        }
+
+        productCount++;
+        
+        
+        products[productCount] = Product(
+            productCount,           // Unique ID for this product
+            _name,                  // Product name from parameter
+            _description,           // Product description from parameter
+            _price,                 // Product price from parameter
+            _seller,                // Seller is whoever listed (or signed) the product
+            false,                  // Not sold yet
+            false,                  // Not delisted
+            _paymentToken,          // Currency the price is in
+            _stock,                 // Units available
+            _saleType,              // Fixed price or auction
+            _categoryId,            // Category from the registry
+            "",                     // Metadata is attached by the caller
+            bytes32(0)
+        );
+
+        emit ProductAdded(
+            productCount,
+            _name,
+            _description,
+            _price,
+            _seller,
+            _paymentToken,
+            _categoryId,
+            _tags,
+            _stock,
+            _saleType
+        );
+
+        sellerProducts[_seller].push(productCount);
+        _addAvailable(productCount);
+
+        return productCount;
+    }
+
+    // EIP-712 digest the seller signs for a listing order
+    function hashListingOrder(ListingOrder calldata _order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            LISTING_ORDER_TYPEHASH,
+            _order.seller,
+            keccak256(bytes(_order.name)),
+            keccak256(bytes(_order.description)),
+            _order.price,
+            _order.paymentToken,
+            _order.stock,
+            _order.categoryId,
+            keccak256(bytes(_order.metadataURI)),
+            _order.metadataHash,
+            _order.nonce,
+            _order.expiry
+        )));
+    }
+
+    // Buy from a listing the seller signed off-chain. The first buyer puts the
+    // listing on-chain (paying its gas) and buys _quantity units; any units
+    // left stay on sale as a regular listing.
+    function fulfillOrder(
+        ListingOrder calldata _order,
+        bytes calldata _signature,
+        uint256 _quantity
+    ) public payable nonReentrant whenNotPaused {
+        bytes32 orderHash = hashListingOrder(_order);
+
+        require(block.timestamp <= _order.expiry, "Order has expired");
+        require(!usedNonces[_order.seller][_order.nonce], "Order nonce already used");
+        require(!cancelledOrders[orderHash], "Order has been cancelled");
+        require(ECDSA.recover(orderHash, _signature) == _order.seller, "Invalid order signature");
+        require(_isAcceptedPayment(_order.paymentToken), "Payment token not accepted");
+
+        usedNonces[_order.seller][_order.nonce] = true;
+
+        string[] memory noTags = new string[](0);
+        uint256 id = _createProduct(
+            payable(_order.seller),
+            _order.name,
+            _order.description,
+            _order.price,
+            _order.paymentToken,
+            _order.stock,
+            SaleType.FixedPrice,
+            _order.categoryId,
+            noTags
+        );
+        _setMetadata(id, _order.metadataURI, _order.metadataHash);
+
+        emit ListingOrderFulfilled(orderHash, id, _order.seller, _msgSender(), _order.nonce);
+
+        uint256 spent = _buyProduct(id, _quantity, msg.value);
+        _refundOverpayment(msg.value - spent);
+    }
+
+    // Void a signed order that hasn't been fulfilled yet. Deleting it from
+    // the order book isn't enough, since anyone holding the signature could
+    // still submit it.
+    function cancelOrder(ListingOrder calldata _order) public {
+        require(_order.seller == _msgSender(), "Only the seller can cancel this order");
+        require(!usedNonces[_order.seller][_order.nonce], "Order nonce already used");
+
+        bytes32 orderHash = hashListingOrder(_order);
+        require(!cancelledOrders[orderHash], "Order has been cancelled");
+
+        cancelledOrders[orderHash] = true;
+
+        emit ListingOrderCancelled(orderHash, _msgSender(), _order.nonce);
+    }
+
+    function updateProduct(
+        uint256 _id,
+        string memory _description,
+        uint256 _price
+    ) public {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+
+        Product storage product = products[_id];
+
+        // Only the seller can edit, and only while the listing is still live
+        require(product.seller == _msgSender(), "Only the seller can modify this product");
+        require(!product.sold, "Product already sold");
+        require(!product.delisted, "Product has been delisted");
+        require(product.saleType == SaleType.FixedPrice, "Auction listings cannot be edited");
+        require(_price > 0, "Product price must be greater than 0");
+
+        product.description = _description;
+        product.price = _price;
+
+        emit ProductUpdated(_id, _description, _price, _msgSender());
+    }
+
+    function cancelListing(uint256 _id) public {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+
+        Product storage product = products[_id];
+
+        require(product.seller == _msgSender(), "Only the seller can modify this product");
+        require(!product.sold, "Product already sold");
+        require(!product.delisted, "Product has been delisted");
+        require(auctions[_id].highestBidder == address(0), "Auction already has bids");
+
+        // Delisted products stay in storage so their history is kept,
+        // they just can no longer be bought
+        product.delisted = true;
+        _removeAvailable(_id);
+
+        emit ProductDelisted(_id, _msgSender());
+    }
+
+    // Put a fixed-price listing back on sale with a new expiry (0 for none).
+    // Also extends or shortens a listing that hasn't expired yet.
+    function relist(uint256 _id, uint256 _newExpiry) public whenNotPaused {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+
+        Product storage product = products[_id];
+
+        require(product.seller == _msgSender(), "Only the seller can modify this product");
+        require(!bannedSellers[_msgSender()], "Seller is banned");
+        require(!product.sold, "Product already sold");
+        require(!product.delisted, "Product has been delisted");
+        require(product.saleType == SaleType.FixedPrice, "Auction listings cannot be relisted");
+        require(
+            _newExpiry != 0 || productExpiry[_id] != 0,
+            "Listing does not expire"
+        );
+
+        _setExpiry(_id, _newExpiry);
+    }
+
+    // ETH only comes in with a purchase, bid or offer
+    receive() external payable {
+        revert("Direct payments not accepted");
+    }
+
+    // Calls SimpleMarket doesn't implement and this contract doesn't either
+    // run in SimpleMarketOrders' code, still against the proxy's storage
+    /// @custom:oz-upgrades-unsafe-allow-reachable delegatecall
+    fallback(bytes calldata _input) external payable returns (bytes memory) {
+        return Address.functionDelegateCall(ordersModule, _input);
+    }
+}
@@ -0,0 +1,397 @@
+pragma solidity ^0.8.28;
+
+import "./SimpleMarketBase.sol";
+
+// Everything between a buyer and a seller once a product is listed: auction
+// bids and settlement, offers, escrow and reviews. Reached from SimpleMarket
+// through SimpleMarketListings with delegatecall, so the code always runs on
+// the market proxy's storage and its events are logged by the market.
+contract SimpleMarketOrders is SimpleMarketBase {
+    // Uses the same forwarder as the market so relayed calls keep their signer
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder) SimpleMarketBase(_trustedForwarder) {}
+
+    function placeBid(uint256 _id) public payable nonReentrant whenNotPaused {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+
+        Product storage product = products[_id];
+        Auction storage auction = auctions[_id];
+
+        require(product.saleType == SaleType.Auction, "Product is not an auction");
+        require(!product.delisted, "Product has been delisted");
+        require(!isProductHidden(_id), "Product has been hidden");
+        require(block.timestamp < auction.endTime, "Auction has ended");
+        require(product.seller != _msgSender(), "Cannot bid on your own product");
+
+        if (auction.highestBidder == address(0)) {
+            require(msg.value >= product.price, "Bid is below the reserve price");
+        } else {
+            require(
+                msg.value >= auction.highestBid + auction.minBidIncrement,
+                "Bid increment too low"
+            );
+            // The outbid bidder reclaims their bid through withdraw()
+            pendingWithdrawals[auction.highestBidder] += auction.highestBid;
+        }
+
+        auction.highestBidder = _msgSender();
+        auction.highestBid = msg.value;
+
+        emit BidPlaced(_id, _msgSender(), msg.value);
+    }
+
+    // Anyone may settle an auction once it has ended. The winning bid is
+    // credited to the seller (minus the platform fee); without bids, or if a
+    // moderator hid the auction, the listing is closed unsold and the highest
+    // bidder gets their bid back.
+    function settleAuction(uint256 _id) public nonReentrant {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+
+        Product storage product = products[_id];
+        Auction storage auction = auctions[_id];
+
+        require(product.saleType == SaleType.Auction, "Product is not an auction");
+        require(block.timestamp >= auction.endTime, "Auction has not ended");
+        require(!auction.settled, "Auction already settled");
+
+        auction.settled = true;
+        _removeAvailable(_id);
+
+        if (auction.highestBidder == address(0)) {
+            product.delisted = true;
+        } else if (isProductHidden(_id)) {
+            product.delisted = true;
+            pendingWithdrawals[auction.highestBidder] += auction.highestBid;
+
+            emit AuctionSettled(_id, address(0), 0);
+            return;
+        } else {
+            product.stock = 0;
+            product.sold = true;
+
+            // The order is recorded for the winner's history and paid out immediately
+            Order storage order = _createOrder(_id, payable(auction.highestBidder), 1, auction.highestBid);
+            _releaseToSeller(order);
+
+            emit ProductSold(_id, product.name, auction.highestBid, 1, product.seller, auction.highestBidder);
+        }
+
+        emit AuctionSettled(_id, auction.highestBidder, auction.highestBid);
+    }
+
+    // Offer less than the listing price for one unit. The ETH sent is held
+    // until the seller accepts or rejects, or the buyer withdraws the offer.
+    function makeOffer(uint256 _productId, uint256 _duration) public payable nonReentrant whenNotPaused {
+        require(_productId > 0 && _productId <= productCount, "Product does not exist");
+
+        Product storage product = products[_productId];
+
+        require(product.saleType == SaleType.FixedPrice, "Product is sold by auction");
+        require(product.paymentToken == address(0), "Offers are only accepted on ETH listings");
+        require(!product.sold, "Product already sold");
+        require(!product.delisted, "Product has been delisted");
+        require(!isProductHidden(_productId), "Product has been hidden");
+        require(!isProductExpired(_productId), "Listing has expired");
+        require(product.seller != _msgSender(), "Cannot make an offer on your own product");
+        require(msg.value > 0, "Offer must be greater than 0");
+        require(_duration > 0, "Offer duration must be greater than 0");
+
+        offerCount++;
+        offers[offerCount] = Offer(
+            offerCount,
+            _productId,
+            payable(_msgSender()),
+            msg.value,
+            0,
+            block.timestamp + _duration,
+            OfferStatus.Open
+        );
+        productOffers[_productId].push(offerCount);
+        buyerOffers[_msgSender()].push(offerCount);
+
+        emit OfferMade(offerCount, _productId, _msgSender(), msg.value, block.timestamp + _duration);
+    }
+
+    function acceptOffer(uint256 _offerId) public nonReentrant whenNotPaused {
+        Offer storage offer = _getOffer(_offerId);
+
+        require(products[offer.productId].seller == _msgSender(), "Only the seller can respond to this offer");
+        require(offer.status == OfferStatus.Open, "Offer is not open");
+
+        _acceptOffer(offer, offer.amount);
+    }
+
+    // Seller asks for more than the buyer offered; the buyer can top up with acceptCounterOffer
+    function counterOffer(uint256 _offerId, uint256 _counterAmount) public {
+        Offer storage offer = _getOffer(_offerId);
+
+        require(products[offer.productId].seller == _msgSender(), "Only the seller can respond to this offer");
+        require(offer.status == OfferStatus.Open, "Offer is not open");
+        require(block.timestamp < offer.expiresAt, "Offer has expired");
+        require(_counterAmount > offer.amount, "Counter-offer must be above the offer");
+
+        offer.counterAmount = _counterAmount;
+        offer.status = OfferStatus.Countered;
+
+        emit OfferCountered(_offerId, offer.productId, _counterAmount);
+    }
+
+    function acceptCounterOffer(uint256 _offerId) public payable nonReentrant whenNotPaused {
+        Offer storage offer = _getOffer(_offerId);
+
+        require(offer.buyer == _msgSender(), "Only the buyer can accept the counter-offer");
+        require(offer.status == OfferStatus.Countered, "Offer has not been countered");
+
+        uint256 topUp = offer.counterAmount - offer.amount;
+        require(msg.value >= topUp, "Insufficient payment");
+
+        // Overpayment is credited back to the buyer
+        if (msg.value > topUp) {
+            pendingWithdrawals[_msgSender()] += msg.value - topUp;
+        }
+
+        _acceptOffer(offer, offer.counterAmount);
+    }
+
+    function rejectOffer(uint256 _offerId) public {
+        Offer storage offer = _getOffer(_offerId);
+
+        require(products[offer.productId].seller == _msgSender(), "Only the seller can respond to this offer");
+        require(
+            offer.status == OfferStatus.Open || offer.status == OfferStatus.Countered,
+            "Offer is not open"
+        );
+
+        offer.status = OfferStatus.Rejected;
+        pendingWithdrawals[offer.buyer] += offer.amount;
+
+        emit OfferRejected(_offerId, offer.productId);
+    }
+
+    // The buyer can take an open offer back at any time, including after it expired
+    function withdrawOffer(uint256 _offerId) public {
+        Offer storage offer = _getOffer(_offerId);
+
+        require(offer.buyer == _msgSender(), "Only the buyer can withdraw this offer");
+        require(
+            offer.status == OfferStatus.Open || offer.status == OfferStatus.Countered,
+            "Offer is not open"
+        );
+
+        offer.status = OfferStatus.Withdrawn;
+        pendingWithdrawals[_msgSender()] += offer.amount;
+
+        emit OfferWithdrawn(_offerId, _msgSender(), offer.amount);
+    }
+
+    function getOffer(uint256 _offerId) public view returns (Offer memory) {
+        return _getOffer(_offerId);
+    }
+
+    function getProductOffers(uint256 _productId) public view returns (Offer[] memory) {
+        return _loadOffers(productOffers[_productId]);
+    }
+
+    function getBuyerOffers(address _buyer) public view returns (Offer[] memory) {
+        return _loadOffers(buyerOffers[_buyer]);
+    }
+
+    // The buyer of an order rates the seller once, from 1 to 5 stars. Only
+    // after delivery, so a buyer can't rate an order and then refund it.
+    function submitReview(uint256 _orderId, uint8 _rating, string memory _comment) public {
+        Order storage order = _getOrder(_orderId);
+
+        require(order.buyer == _msgSender(), "Only the buyer can review this order");
+        require(order.status == OrderStatus.Completed, "Order has not been delivered");
+        require(reviews[_orderId].rating == 0, "Order already reviewed");
+        require(_rating >= 1 && _rating <= 5, "Rating must be between 1 and 5");
+        require(bytes(_comment).length <= MAX_REVIEW_LENGTH, "Comment is too long");
+
+        address seller = products[order.productId].seller;
+
+        reviews[_orderId] = Review(
+            _orderId,
+            order.productId,
+            _msgSender(),
+            seller,
+            _rating,
+            _comment,
+            block.timestamp
+        );
+        sellerReviews[seller].push(_orderId);
+        sellerRatingTotal[seller] += _rating;
+
+        emit ReviewSubmitted(_orderId, seller, _msgSender(), _rating, _comment);
+    }
+
+    // Average rating scaled by 100 (e.g. 450 = 4.5 stars) and number of reviews
+    function getSellerRating(address _seller) public view returns (uint256 average, uint256 count) {
+        count = sellerReviews[_seller].length;
+        if (count > 0) {
+            average = (sellerRatingTotal[_seller] * 100) / count;
+        }
+    }
+
+    function getSellerReviews(address _seller) public view returns (Review[] memory) {
+        uint256[] storage orderIds = sellerReviews[_seller];
+        Review[] memory result = new Review[](orderIds.length);
+        for (uint256 i = 0; i < orderIds.length; i++) {
+            result[i] = reviews[orderIds[i]];
+        }
+        return result;
+    }
+
+    function getAuction(uint256 _id) public view returns (Auction memory) {
+        require(_id > 0 && _id <= productCount, "Product does not exist");
+        return auctions[_id];
+    }
+
+    function markShipped(uint256 _orderId) public {
+        Order storage order = _getOrder(_orderId);
+
+        require(products[order.productId].seller == _msgSender(), "Only the seller can ship this order");
+        require(order.status == OrderStatus.AwaitingShipment, "Order is not awaiting shipment");
+
+        order.status = OrderStatus.Shipped;
+        order.shippedAt = block.timestamp;
+
+        emit OrderShipped(_orderId, order.productId, _msgSender());
+    }
+
+    function confirmDelivery(uint256 _orderId) public {
+        Order storage order = _getOrder(_orderId);
+
+        require(order.buyer == _msgSender(), "Only the buyer can confirm delivery");
+        require(
+            order.status == OrderStatus.AwaitingShipment || order.status == OrderStatus.Shipped,
+            "Order is not in escrow"
+        );
+
+        emit DeliveryConfirmed(_orderId, order.productId, _msgSender());
+
+        _releaseToSeller(order);
+    }
+
+    function releaseEscrow(uint256 _orderId) public {
+        Order storage order = _getOrder(_orderId);
+
+        // Anyone may trigger this, the money can only go to the seller
+        require(order.status == OrderStatus.Shipped, "Order has not been shipped");
+        require(
+            block.timestamp >= order.shippedAt + deliveryTimeout,
+            "Delivery timeout has not passed"
+        );
+
+        _releaseToSeller(order);
+    }
+
+    function requestRefund(uint256 _orderId) public {
+        Order storage order = _getOrder(_orderId);
+
+        require(order.buyer == _msgSender(), "Only the buyer can request a refund");
+        require(order.status == OrderStatus.AwaitingShipment, "Order has already shipped");
+
+        order.status = OrderStatus.Refunded;
+
+        // The refunded units go back on sale
+        Product storage product = products[order.productId];
+        product.stock += order.quantity;
+        product.sold = false;
+        if (!product.delisted && !isProductHidden(order.productId)) {
+            _addAvailable(order.productId);
+        }
+
+        _credit(products[order.productId].paymentToken, order.buyer, order.amount);
+
+        emit OrderRefunded(_orderId, order.buyer, order.amount);
+    }
+
+    // Record money owed to an account in the currency it was paid in
+    function _credit(address _token, address _account, uint256 _amount) internal {
+        if (_token == address(0)) {
+            pendingWithdrawals[_account] += _amount;
+        } else {
+            pendingTokenWithdrawals[_token][_account] += _amount;
+        }
+    }
+
+    function _getOrder(uint256 _orderId) internal view returns (Order storage) {
+        require(_orderId > 0 && _orderId <= orderCount, "Order does not exist");
+        return orders[_orderId];
+    }
+
+    function _getOffer(uint256 _offerId) internal view returns (Offer storage) {
+        require(_offerId > 0 && _offerId <= offerCount, "Offer does not exist");
+        return offers[_offerId];
+    }
+
+    function _loadOffers(uint256[] storage _offerIds) internal view returns (Offer[] memory) {
+        Offer[] memory result = new Offer[](_offerIds.length);
+        for (uint256 i = 0; i < _offerIds.length; i++) {
+            result[i] = offers[_offerIds[i]];
+        }
+        return result;
+    }
+
+    // Sell one unit to the offer's buyer for _amount, which then sits in escrow like a normal purchase
+    function _acceptOffer(Offer storage offer, uint256 _amount) internal {
+        require(block.timestamp < offer.expiresAt, "Offer has expired");
+
+        Product storage product = products[offer.productId];
+
+        require(!product.sold, "Product already sold");
+        require(!product.delisted, "Product has been delisted");
+        require(!isProductHidden(offer.productId), "Product has been hidden");
+        require(!isProductExpired(offer.productId), "Listing has expired");
+
+        product.stock -= 1;
+        if (product.stock == 0) {
+            product.sold = true; // Sold out
+            _removeAvailable(offer.productId);
+        }
+
+        offer.status = OfferStatus.Accepted;
+
+        Order storage order = _createOrder(offer.productId, offer.buyer, 1, _amount);
+
+        emit ProductSold(offer.productId, product.name, _amount, 1, product.seller, offer.buyer);
+        emit OfferAccepted(offer.id, offer.productId, order.id);
+    }
+
+    function _releaseToSeller(Order storage order) internal {
+        order.status = OrderStatus.Completed;
+
+        Product storage product = products[order.productId];
+        address payable seller = product.seller;
+        uint256 sellerAmount = order.amount - order.fee;
+
+        _credit(product.paymentToken, seller, sellerAmount);
+
+        if (order.fee > 0) {
+            _credit(product.paymentToken, feeRecipient, order.fee);
+            emit FeeCollected(order.id, feeRecipient, order.fee);
+        }
+
+        emit EscrowReleased(order.id, seller, sellerAmount);
+    }
+
+    function getOrder(uint256 _orderId) public view returns (Order memory) {
+        return _getOrder(_orderId);
+    }
+
+    function getProductOrders(uint256 _productId) public view returns (Order[] memory) {
+        return _loadOrders(productOrders[_productId]);
+    }
+
+    function getBuyerOrders(address _buyer) public view returns (Order[] memory) {
+        return _loadOrders(buyerOrders[_buyer]);
+    }
+
+    function _loadOrders(uint256[] storage _orderIds) internal view returns (Order[] memory) {
+        Order[] memory result = new Order[](_orderIds.length);
+        for (uint256 i = 0; i < _orderIds.length; i++) {
+            result[i] = orders[_orderIds[i]];
+        }
+        return result;
+    }
+}
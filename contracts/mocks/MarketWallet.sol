@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+// Test helper that behaves like a smart-contract wallet interacting with SimpleMarket.
+// Its receive hook writes to storage (needs more than the 2300 gas transfer() forwards)
+// and can optionally try to re-enter withdraw().
+contract MarketWallet {
+    address public market;
+    bool public reenter;
+    uint256 public paymentsReceived;
+
+    constructor(address _market) {
+        market = _market;
+    }
+
+    // Forward any call (with optional ETH) to the market, bubbling up reverts
+    function execute(bytes calldata _data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = market.call{value: msg.value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    function setReenter(bool _reenter) external {
+        reenter = _reenter;
+    }
+
+    receive() external payable {
+        paymentsReceived++;
+
+        if (reenter) {
+            (bool success, bytes memory result) = market.call(abi.encodeWithSignature("withdraw()"));
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Dollar-like token for local development and tests.
+// Uses 6 decimals like USDC and lets anyone mint, so test accounts can fund themselves.
+contract MockStablecoin is ERC20 {
+    constructor() ERC20("Mock USD", "mUSD") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
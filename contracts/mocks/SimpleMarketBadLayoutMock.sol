@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../SimpleMarket.sol";
+
+// Declares storage that ends up in front of SimpleMarket's own variables
+contract StorageShift {
+    uint256 internal shifted;
+}
+
+// Test helper for an unsafe upgrade: every SimpleMarket variable moves one
+// slot down, so the upgrade plugin must refuse it.
+contract SimpleMarketBadLayoutMock is StorageShift, SimpleMarket {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder, address _listingsModule)
+        SimpleMarket(_trustedForwarder, _listingsModule)
+    {}
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../SimpleMarketOrders.sol";
+import "./SimpleMarketBadLayoutMock.sol";
+
+// Test helper for an unsafe module: every variable the orders module reads
+// and writes moves one slot down from where SimpleMarket keeps it.
+contract SimpleMarketOrdersBadLayoutMock is StorageShift, SimpleMarketOrders {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder) SimpleMarketOrders(_trustedForwarder) {}
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../SimpleMarket.sol";
+
+// Test helper standing in for the next version of the market.
+// Appends a state variable after SimpleMarket's, which is the safe way to add storage.
+contract SimpleMarketV2Mock is SimpleMarket {
+    uint256 public upgradeNote;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder, address _listingsModule)
+        SimpleMarket(_trustedForwarder, _listingsModule)
+    {}
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function setUpgradeNote(uint256 _note) external {
+        upgradeNote = _note;
+    }
+}
@@ -1,22 +1,63 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import "./App.css";
 import WalletConnection from "./components/WalletConnection";
 import ProductList from "./components/ProductList";
 import AddProduct from "./components/AddProduct";
+import MyOrders from "./components/MyOrders";
+import ModerationConsole from "./components/ModerationConsole";
 import Header from "./components/Header";
 import {
   connectWallet,
   getCurrentAccount,
   getContract,
+  getPaymentTokens,
+  getCategories,
+  syncProductCatalog,
+  watchMarketEvents,
+  isModerator,
+  productFromAddedEvent,
+  priceDecayFromEvent,
+  formatOrder,
+  formatOffer,
+  formatSellerRating,
+  formatAuction,
+  loadCart,
+  saveCart,
+  loadWatchlist,
+  saveWatchlist,
+  watchWatchlist,
+  requestNotificationPermission,
+  showNotification,
+  findPaymentToken,
+  fromTokenUnits,
+  formatEth,
+  SALE_TYPE,
+  ETH_TOKEN,
+  ZERO_ADDRESS,
 } from "./utils/web3Utils";
 
+// How long a card keeps its "new listing" / "just sold" badge
+const LIVE_BADGE_MS = 60 * 1000;
+
 function App() {
   const [account, setAccount] = useState(null);
   const [contract, setContract] = useState(null);
   const [products, setProducts] = useState([]);
+  const [sellerRatings, setSellerRatings] = useState({}); // lowercase seller address => { average, count }
+  const [deliveryTimeout, setDeliveryTimeout] = useState(0);
+  const [feeBps, setFeeBps] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const [moderator, setModerator] = useState(false);
+  const [paymentTokens, setPaymentTokens] = useState([ETH_TOKEN]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [showAddProduct, setShowAddProduct] = useState(false);
+  const [showOrders, setShowOrders] = useState(false);
+  const [showModeration, setShowModeration] = useState(false);
+  const [cart, setCart] = useState([]); // [{ productId, quantity }]
+  const [watchlist, setWatchlist] = useState([]); // watched product ids
+  const [watchFromBlock, setWatchFromBlock] = useState(null); // block after the first catalog sync
 
   useEffect(() => {
     initializeApp();
@@ -27,10 +68,102 @@ function App() {
       initializeContract();
     } else {
       setContract(null);
+      setWatchFromBlock(null);
       setProducts([]);
     }
   }, [account]);
 
+  // Each account has its own cart on each deployment
+  useEffect(() => {
+    if (!contract || !account) {
+      setCart([]);
+      return;
+    }
+
+    let cancelled = false;
+    loadCart(contract, account).then((items) => {
+      if (!cancelled) setCart(items);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, account]);
+
+  // ...and its own watchlist
+  useEffect(() => {
+    if (!contract || !account) {
+      setWatchlist([]);
+      return;
+    }
+
+    let cancelled = false;
+    loadWatchlist(contract, account).then((ids) => {
+      if (!cancelled) setWatchlist(ids);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, account]);
+
+  // Notify about sales and price changes of watched products made by
+  // someone else, and keep the shown prices current
+  useEffect(() => {
+    if (!contract || watchlist.length === 0) return;
+
+    const isMine = (address) => address?.toLowerCase() === account?.toLowerCase();
+
+    const handleWatchlistChanges = (changes) => {
+      for (const change of changes) {
+        if (isMine(change.actor)) continue;
+
+        const token = findPaymentToken(paymentTokens, change.paymentToken);
+        const formatPrice = (units) =>
+          `${formatEth(fromTokenUnits(units, token.decimals), Math.min(4, token.decimals))} ${token.symbol}`;
+
+        if (change.type === "sold") {
+          showNotification(
+            change.soldOut ? `🔥 ${change.name} sold out` : `🔥 ${change.name} sold`,
+            `${change.quantity} unit${change.quantity === 1 ? "" : "s"} sold at ${formatPrice(change.price)}`
+          );
+        } else {
+          showNotification(
+            `💰 ${change.name} changed price`,
+            `${formatPrice(change.oldPrice)} → ${formatPrice(change.price)}`
+          );
+        }
+      }
+
+      const priceChanges = changes.filter((change) => change.type === "price");
+      if (priceChanges.length > 0) {
+        setProducts((prev) =>
+          prev.map((p) => {
+            const change = priceChanges.findLast((c) => c.productId === p.id);
+            return change ? { ...p, price: change.price } : p;
+          })
+        );
+      }
+
+      console.log(`⭐ ${changes.length} watched product updates`);
+    };
+
+    return watchWatchlist(contract, watchlist, handleWatchlistChanges);
+  }, [contract, account, watchlist, paymentTokens]);
+
+  // Keep the list current while other users add and buy products. The
+  // poller calls the latest handler through a ref, so it keeps running
+  // when the account or categories change.
+  const marketEventsHandler = useRef(null);
+  useEffect(() => {
+    marketEventsHandler.current = handleMarketEvents;
+  });
+
+  // Polling starts where the first catalog sync ended, so nothing logged in
+  // between is missed
+  useEffect(() => {
+    if (!contract || watchFromBlock === null) return;
+    return watchMarketEvents(contract, (batch) => marketEventsHandler.current(batch), watchFromBlock);
+  }, [contract, watchFromBlock]);
+
   const initializeApp = async () => {
     try {
       setLoading(true);
@@ -57,8 +190,23 @@ function App() {
 
       const contractInstance = await getContract();
       setContract(contractInstance);
+      setWatchFromBlock(null);
       console.log("📋 Contract connected successfully");
 
+      const [timeout, fee, isPaused, canModerate] = await Promise.all([
+        contractInstance.methods.deliveryTimeout().call(),
+        contractInstance.methods.feeBps().call(),
+        contractInstance.methods.paused().call(),
+        isModerator(contractInstance, account),
+      ]);
+      setDeliveryTimeout(Number(timeout));
+      setFeeBps(Number(fee));
+      setPaused(isPaused);
+      setModerator(canModerate);
+      if (!canModerate) setShowModeration(false);
+
+      setPaymentTokens(await getPaymentTokens(contractInstance));
+
       await loadProducts(contractInstance);
     } catch (err) {
       console.error("❌ Error initializing contract:", err);
@@ -89,10 +237,42 @@ function App() {
   const handleDisconnectWallet = () => {
     setAccount(null);
     setContract(null);
+    setWatchFromBlock(null);
     setProducts([]);
     console.log("👋 Wallet disconnected");
   };
 
+  /**
+   * Attach the escrow orders and offers the current user is part of, and
+   * the bidding state of auctions
+   */
+  const enrichProduct = async (contractInstance, product, purchases, myOffers) => {
+    let orders = purchases.filter((order) => order.productId === product.id);
+    let offers = myOffers.filter((offer) => offer.productId === product.id);
+
+    // Sellers see every order and offer on their own products
+    if (product.seller.toLowerCase() === account?.toLowerCase()) {
+      const [productOrders, productOffers] = await Promise.all([
+        contractInstance.methods.getProductOrders(product.id).call(),
+        contractInstance.methods.getProductOffers(product.id).call(),
+      ]);
+      orders = productOrders.map(formatOrder);
+      offers = productOffers.map(formatOffer);
+    }
+
+    // Auctions also carry their bidding state
+    if (product.saleType === SALE_TYPE.AUCTION) {
+      const auction = await contractInstance.methods.getAuction(product.id).call();
+      return { ...product, orders, offers, auction: formatAuction(auction) };
+    }
+
+    return { ...product, orders, offers };
+  };
+
+  /**
+   * Load the catalog from contract logs (only new blocks after the first
+   * load) and attach the user's orders and offers
+   */
   const loadProducts = async (contractInstance = contract) => {
     if (!contractInstance) return;
 
@@ -100,32 +280,43 @@ function App() {
       setLoading(true);
 
       console.log("🔍 Loading products from contract...");
-      console.log(
-        "📋 Contract methods available:",
-        Object.keys(contractInstance.methods)
-      );
 
-      if (!contractInstance.methods.getAllProducts) {
-        throw new Error("getAllProducts method not found on contract");
-      }
+      const [{ products: catalog, syncedBlock }, categoryList, buyerOrders, myOffers] = await Promise.all([
+        syncProductCatalog(contractInstance),
+        getCategories(contractInstance),
+        contractInstance.methods.getBuyerOrders(account).call(),
+        contractInstance.methods.getBuyerOffers(account).call(),
+      ]);
+      setCategories(categoryList);
 
-      const allProducts = await contractInstance.methods
-        .getAllProducts()
-        .call();
+      // Listings taken down by a moderator stay in the list so their orders
+      // and offers still show; ProductList keeps them out of browsing
+      const formattedProducts = catalog.map((product) => ({
+        ...product,
+        categoryName:
+          categoryList.find((c) => c.id === product.categoryId)?.name || null,
+      }));
 
-      console.log("📦 Raw products from contract:", allProducts);
+      // Purchases remember whether the buyer already reviewed them
+      const purchases = await Promise.all(
+        buyerOrders.map(async (order) => {
+          const review = await contractInstance.methods.reviews(order.id).call();
+          return { ...formatOrder(order), reviewed: Number(review.rating) > 0 };
+        })
+      );
+      const offers = myOffers.map(formatOffer);
 
-      const formattedProducts = allProducts.map((product) => ({
-        id: Number(product.id),
-        name: product.name,
-        description: product.description,
-        price: product.price.toString(), 
-        seller: product.seller,
-        sold: product.sold,
-      }));
+      const productsWithOrders = await Promise.all(
+        formattedProducts.map((product) =>
+          enrichProduct(contractInstance, product, purchases, offers)
+        )
+      );
 
-      setProducts(formattedProducts);
+      setProducts(productsWithOrders);
+      setWatchFromBlock((block) => block ?? syncedBlock + 1);
       console.log(`📦 Loaded ${formattedProducts.length} products`);
+
+      await loadSellerRatings(contractInstance, formattedProducts);
     } catch (err) {
       console.error("❌ Error loading products:", err);
       setError("Failed to load products from blockchain");
@@ -134,6 +325,135 @@ function App() {
     }
   };
 
+  /**
+   * Patch the product list with listings and sales made by other users.
+   * Events involving the current user also change their orders, so those
+   * trigger a full reload instead.
+   */
+  const handleMarketEvents = async (batch) => {
+    // Pause switches only flip the banner; the last one in the batch wins
+    const pauseEvents = batch.filter((event) => event.event === "Paused" || event.event === "Unpaused");
+    if (pauseEvents.length > 0) {
+      setPaused(pauseEvents[pauseEvents.length - 1].event === "Paused");
+    }
+
+    const events = batch.filter((event) => !pauseEvents.includes(event));
+    if (events.length === 0) return;
+
+    // A restored listing, or units a refund put back on sale, have to be
+    // read back from the catalog
+    if (events.some((event) => event.event === "ProductUnhidden" || event.event === "OrderRefunded")) {
+      loadProducts();
+      return;
+    }
+
+    const isMine = (address) => address?.toLowerCase() === account?.toLowerCase();
+
+    if (events.some((event) => isMine(event.returnValues.seller) || isMine(event.returnValues.buyer))) {
+      loadProducts();
+      return;
+    }
+
+    // Build the new listings before touching state (auctions need a contract call)
+    const added = await Promise.all(
+      events
+        .filter((event) => event.event === "ProductAdded")
+        .map((event) => {
+          const product = productFromAddedEvent(event);
+          const categoryName =
+            categories.find((c) => c.id === product.categoryId)?.name || null;
+          return enrichProduct(contract, { ...product, categoryName }, [], []);
+        })
+    );
+
+    const liveAt = Date.now();
+    const liveIds = new Set();
+
+    setProducts((prev) => {
+      let next = [...prev];
+
+      for (const event of events) {
+        const id = Number(event.returnValues.id ?? event.returnValues.productId);
+        liveIds.add(id);
+
+        if (event.event === "ProductAdded") {
+          if (next.some((p) => p.id === id)) continue;
+          const product = added.find((p) => p.id === id);
+          next = [{ ...product, liveStatus: "new", liveAt }, ...next];
+        } else if (event.event === "ProductSold") {
+          next = next.map((p) => {
+            if (p.id !== id) return p;
+            const stock = Math.max(0, p.stock - Number(event.returnValues.quantity));
+            return { ...p, stock, sold: stock === 0, liveStatus: "sold", liveAt };
+          });
+        } else if (event.event === "ProductUpdated") {
+          next = next.map((p) =>
+            p.id === id
+              ? { ...p, description: event.returnValues.description, price: event.returnValues.price.toString() }
+              : p
+          );
+        } else if (event.event === "ProductDelisted") {
+          next = next.map((p) => (p.id === id ? { ...p, delisted: true } : p));
+        } else if (event.event === "AuctionSettled") {
+          // A won auction is also logged as ProductSold; without bids it closes unsold
+          const unsold = event.returnValues.winner === ZERO_ADDRESS;
+          next = next.map((p) =>
+            p.id === id
+              ? { ...p, delisted: p.delisted || unsold, auction: p.auction && { ...p.auction, settled: true } }
+              : p
+          );
+        } else if (event.event === "ProductHidden") {
+          next = next.map((p) => (p.id === id ? { ...p, hidden: true } : p));
+        } else if (event.event === "MetadataSet") {
+          next = next.map((p) =>
+            p.id === id
+              ? { ...p, metadataURI: event.returnValues.metadataURI, metadataHash: event.returnValues.metadataHash }
+              : p
+          );
+        } else if (event.event === "ExpirySet") {
+          next = next.map((p) =>
+            p.id === id ? { ...p, expiresAt: Number(event.returnValues.expiresAt) } : p
+          );
+        } else if (event.event === "DutchAuctionCreated") {
+          next = next.map((p) =>
+            p.id === id ? { ...p, priceDecay: priceDecayFromEvent(event) } : p
+          );
+        }
+      }
+
+      return next;
+    });
+
+    console.log(`📡 Applied ${events.length} live marketplace events`);
+
+    // Fade the badges out again, unless a newer event replaced them
+    setTimeout(() => {
+      setProducts((prev) =>
+        prev.map((p) =>
+          liveIds.has(p.id) && p.liveAt === liveAt ? { ...p, liveStatus: null } : p
+        )
+      );
+    }, LIVE_BADGE_MS);
+  };
+
+  const loadSellerRatings = async (contractInstance, productList) => {
+    const sellers = [
+      ...new Set(productList.map((product) => product.seller.toLowerCase())),
+    ];
+
+    const ratings = await Promise.all(
+      sellers.map((seller) =>
+        contractInstance.methods.getSellerRating(seller).call()
+      )
+    );
+
+    setSellerRatings(
+      Object.fromEntries(
+        sellers.map((seller, i) => [seller, formatSellerRating(ratings[i])])
+      )
+    );
+  };
+
   const handleProductAdded = () => {
     loadProducts();
     setShowAddProduct(false);
@@ -145,6 +465,63 @@ function App() {
     console.log("✅ Product purchased successfully");
   };
 
+  const handleProductChanged = () => {
+    loadProducts();
+    console.log("✅ Product listing updated");
+  };
+
+  /**
+   * Replace the cart contents and remember them for this account
+   */
+  const updateCart = (items) => {
+    setCart(items);
+    saveCart(contract, account, items);
+  };
+
+  /**
+   * Add units of a product to the cart, up to its remaining stock
+   */
+  const handleAddToCart = (productId, quantity) => {
+    const product = products.find((p) => p.id === productId);
+    const existing = cart.find((item) => item.productId === productId);
+    const newQuantity = Math.min((existing?.quantity || 0) + quantity, product.stock);
+
+    updateCart(
+      existing
+        ? cart.map((item) => (item.productId === productId ? { ...item, quantity: newQuantity } : item))
+        : [...cart, { productId, quantity: newQuantity }]
+    );
+    console.log(`🛒 Added product #${productId} to cart`);
+  };
+
+  const handleCartCheckedOut = () => {
+    updateCart([]);
+    loadProducts();
+    console.log("✅ Cart checked out successfully");
+  };
+
+  /**
+   * Start or stop watching a product. Watching asks for permission to
+   * show notifications the first time.
+   */
+  const handleToggleWatch = (productId) => {
+    const next = watchlist.includes(productId)
+      ? watchlist.filter((id) => id !== productId)
+      : [...watchlist, productId];
+
+    setWatchlist(next);
+    saveWatchlist(contract, account, next);
+
+    if (next.length > watchlist.length) {
+      requestNotificationPermission();
+    }
+  };
+
+  const handleOrderUpdated = () => {
+    loadProducts();
+    console.log("✅ Order updated successfully");
+  };
+
   if (loading && !account) {
     return (
       <div className="app">
@@ -159,7 +536,17 @@ function App() {
 
   return (
     <div className="app">
-      <Header account={account} onDisconnect={handleDisconnectWallet} />
+      <Header
+        account={account}
+        contract={contract}
+        paymentTokens={paymentTokens}
+        cart={cart}
+        products={products}
+        paused={paused}
+        onCartChange={updateCart}
+        onCheckedOut={handleCartCheckedOut}
+        onDisconnect={handleDisconnectWallet}
+      />
 
       <main className="main-content">
         {error && (
@@ -169,6 +556,13 @@ function App() {
           </div>
         )}
 
+        {account && paused && (
+          <div className="paused-banner">
+            ⏸️ Marketplace paused — buying, bidding and new listings are temporarily disabled.
+            Refunds and withdrawals still work.
+          </div>
+        )}
+
         {!account ? (
           <WalletConnection onConnect={handleConnectWallet} loading={loading} />
         ) : (
@@ -181,9 +575,24 @@ function App() {
                 <button
                   className="btn btn-primary"
                   onClick={() => setShowAddProduct(!showAddProduct)}
+                  disabled={paused && !showAddProduct}
                 >
                   {showAddProduct ? "❌ Cancel" : "➕ Add Product"}
                 </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setShowOrders(!showOrders)}
+                >
+                  📜 My Orders
+                </button>
+                {moderator && (
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setShowModeration(!showModeration)}
+                  >
+                    🛡️ Moderation
+                  </button>
+                )}
                 <button
                   className="btn btn-secondary"
                   onClick={() => loadProducts()}
@@ -198,17 +607,51 @@ function App() {
               <AddProduct
                 contract={contract}
                 account={account}
+                paymentTokens={paymentTokens}
+                categories={categories}
                 onProductAdded={handleProductAdded}
                 onCancel={() => setShowAddProduct(false)}
               />
             )}
 
+            {showOrders && (
+              <MyOrders
+                contract={contract}
+                account={account}
+                products={products}
+                paymentTokens={paymentTokens}
+                onClose={() => setShowOrders(false)}
+              />
+            )}
+
+            {moderator && showModeration && (
+              <ModerationConsole
+                contract={contract}
+                account={account}
+                products={products}
+                onModerated={() => loadProducts()}
+                onClose={() => setShowModeration(false)}
+              />
+            )}
+
             <ProductList
               products={products}
               contract={contract}
               account={account}
               loading={loading}
               onProductPurchased={handleProductPurchased}
+              onProductChanged={handleProductChanged}
+              onOrderUpdated={handleOrderUpdated}
+              deliveryTimeout={deliveryTimeout}
+              feeBps={feeBps}
+              paymentTokens={paymentTokens}
+              categories={categories}
+              sellerRatings={sellerRatings}
+              cart={cart}
+              onAddToCart={handleAddToCart}
+              watchlist={watchlist}
+              onToggleWatch={handleToggleWatch}
+              paused={paused}
             />
 
             {products.length === 0 && !loading && (
@@ -218,6 +661,7 @@ function App() {
                 <button
                   className="btn btn-primary"
                   onClick={() => setShowAddProduct(true)}
+                  disabled={paused}
                 >
                   ➕ Add First Product
                 </button>
@@ -1,19 +1,109 @@
 
 import { useState } from 'react';
-import { ethToWei, formatEth } from '../utils/web3Utils';
+import {
+  formatEth,
+  toTokenUnits,
+  ethToWei,
+  findPaymentToken,
+  isEthPayment,
+  pinToIpfs,
+  pinProductMetadata,
+  createListingOrder,
+  signListingOrder,
+  saveSignedOrder,
+  sendTransaction,
+  ZERO_ADDRESS,
+  ZERO_HASH
+} from '../utils/web3Utils';
 
-const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
+// Limits on listing tags (SimpleMarket.MAX_TAGS / MAX_TAG_LENGTH)
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 32;
+
+// Auction lengths offered in the form, in hours
+const AUCTION_DURATIONS = [1, 6, 24, 72, 168];
+
+// How long a signed (gasless) listing stays valid, in days
+const ORDER_EXPIRY_DAYS = [1, 7, 30, 90];
+
+// How long an on-chain fixed-price listing stays on sale, in days (0 = until sold)
+const LISTING_DURATION_DAYS = [0, 1, 3, 7, 30];
+
+// Image upload limits
+const MAX_IMAGES = 5;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+const CONDITIONS = ['New', 'Like new', 'Used', 'For parts'];
+
+// Progress messages for each step of listing a product
+const UPLOAD_STEPS = {
+  images: 'Uploading images...',
+  metadata: 'Pinning metadata...',
+  listing: 'Adding Product...',
+  signing: 'Waiting for signature...',
+  relaying: 'Relaying sponsored transaction...'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  price: '',
+  paymentToken: ZERO_ADDRESS,
+  stock: '1',
+  saleType: 'fixed', // 'fixed' | 'auction' | 'dutch'
+  durationHours: '24',
+  floorPrice: '', // Dutch auctions: lowest price the start price falls to
+  decayHours: '24',
+  listingMode: 'onchain', // 'onchain' | 'signed' (fixed price only)
+  orderExpiryDays: '7',
+  listingDays: '0',
+  sponsored: false, // on-chain listings: sign a meta-transaction, the relayer pays gas
+  minBidIncrement: '0.01',
+  categoryId: '0',
+  tags: '', // comma-separated
+  condition: '',
+  attributes: '' // one "Name: value" per line
+};
+
+/**
+ * Split the comma-separated tags input into clean, unique, lowercase tags
+ */
+const parseTags = (input) => [
+  ...new Set(input.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))
+];
+
+/**
+ * Turn "Name: value" lines into metadata attributes, skipping malformed lines
+ */
+const parseAttributes = (input) => input
+  .split('\n')
+  .map(line => line.split(':'))
+  .filter(parts => parts.length >= 2 && parts[0].trim() && parts.slice(1).join(':').trim())
+  .map(parts => ({ trait_type: parts[0].trim(), value: parts.slice(1).join(':').trim() }));
+
+const AddProduct = ({ contract, account, paymentTokens, categories = [], onProductAdded, onCancel }) => {
   
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    price: ''
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [images, setImages] = useState([]);
   
   const [loading, setLoading] = useState(false);
+  const [uploadStep, setUploadStep] = useState(null); // 'images' | 'metadata' | 'listing'
   const [error, setError] = useState('');
   const [validationErrors, setValidationErrors] = useState({});
 
+  // Auctions take bids in ETH only
+  const isAuction = formData.saleType === 'auction';
+
+  // Dutch auctions are bought like fixed-price listings at a falling price
+  const isDutchAuction = formData.saleType === 'dutch';
+  const isFixedPrice = !isAuction && !isDutchAuction;
+
+  // Signed listings cost no gas until a buyer fulfills them
+  const isSignedListing = isFixedPrice && formData.listingMode === 'signed';
+
+  // Currency the price is entered in
+  const selectedToken = findPaymentToken(paymentTokens, isAuction ? ZERO_ADDRESS : formData.paymentToken);
+
   
   /**
    * Validate form inputs
@@ -48,11 +138,52 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
         errors.price = 'Price must be a valid number';
       } else if (priceNum <= 0) {
         errors.price = 'Price must be greater than 0';
-      } else if (priceNum > 1000) {
+      } else if (isEthPayment(selectedToken.address) && priceNum > 1000) {
         errors.price = 'Price seems too high (max 1000 ETH)';
       }
     }
     
+    // Validate tags
+    const tags = parseTags(formData.tags);
+    if (tags.length > MAX_TAGS) {
+      errors.tags = `Use at most ${MAX_TAGS} tags`;
+    } else if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      errors.tags = `Tags must be at most ${MAX_TAG_LENGTH} characters`;
+    }
+
+    // Validate images
+    if (images.length > MAX_IMAGES) {
+      errors.images = `Upload at most ${MAX_IMAGES} images`;
+    } else if (images.some(image => image.size > MAX_IMAGE_SIZE)) {
+      errors.images = 'Images must be at most 5 MB each';
+    }
+
+    if (isAuction) {
+      // Validate minimum bid increment
+      const incrementNum = parseFloat(formData.minBidIncrement);
+      if (isNaN(incrementNum) || incrementNum <= 0) {
+        errors.minBidIncrement = 'Minimum bid increment must be greater than 0';
+      }
+    } else {
+      // Validate the floor a Dutch auction's price falls to
+      if (isDutchAuction) {
+        const floorNum = parseFloat(formData.floorPrice);
+        if (isNaN(floorNum) || floorNum <= 0) {
+          errors.floorPrice = 'Floor price must be greater than 0';
+        } else if (floorNum >= parseFloat(formData.price)) {
+          errors.floorPrice = 'Floor price must be below the start price';
+        }
+      }
+
+      // Validate stock
+      const stockNum = Number(formData.stock);
+      if (!Number.isInteger(stockNum) || stockNum < 1) {
+        errors.stock = 'Stock must be a whole number of at least 1';
+      } else if (stockNum > 10000) {
+        errors.stock = 'Stock seems too high (max 10000)';
+      }
+    }
+    
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -62,7 +193,8 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
    * Handle input changes
    */
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, type, checked } = e.target;
+    const value = type === 'checkbox' ? checked : e.target.value;
     
     setFormData(prev => ({
       ...prev,
@@ -83,6 +215,53 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
     }
   };
 
+  /**
+   * Add picked image files, keeping the first MAX_IMAGES
+   */
+  const handleImagesChange = (e) => {
+    const picked = Array.from(e.target.files).filter(file => file.type.startsWith('image/'));
+    setImages(prev => [...prev, ...picked].slice(0, MAX_IMAGES));
+    e.target.value = '';
+
+    if (validationErrors.images) {
+      setValidationErrors(prev => ({ ...prev, images: '' }));
+    }
+  };
+
+  /**
+   * Remove a picked image before upload
+   */
+  const handleRemoveImage = (index) => {
+    setImages(prev => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Pin the images and the metadata document to IPFS
+   * Returns the URI and keccak256 hash to store on-chain, or empty values
+   * for a text-only listing
+   */
+  const uploadMetadata = async () => {
+    const attributes = parseAttributes(formData.attributes);
+    if (images.length === 0 && !formData.condition && attributes.length === 0) {
+      return { uri: '', hash: ZERO_HASH };
+    }
+
+    setUploadStep('images');
+    const imageURIs = [];
+    for (const image of images) {
+      imageURIs.push(await pinToIpfs(image));
+    }
+
+    setUploadStep('metadata');
+    return pinProductMetadata({
+      name: formData.name.trim(),
+      description: formData.description.trim(),
+      images: imageURIs,
+      attributes,
+      condition: formData.condition || undefined
+    });
+  };
+
   /**
    * Handle form submission
    */
@@ -98,33 +277,106 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
       setLoading(true);
       setError('');
       
-      // Convert price to Wei
-      const priceInWei = ethToWei(formData.price);
+      // Convert price to the currency's smallest unit (Wei for ETH)
+      const priceInUnits = toTokenUnits(formData.price, selectedToken.decimals);
+
+      // Images and extra details live off-chain, the contract keeps their hash
+      const metadata = await uploadMetadata();
+
+      if (isSignedListing) {
+        setUploadStep('signing');
+
+        const order = createListingOrder({
+          seller: account,
+          name: formData.name.trim(),
+          description: formData.description.trim(),
+          price: priceInUnits,
+          paymentToken: formData.paymentToken,
+          stock: formData.stock,
+          categoryId: formData.categoryId,
+          metadataURI: metadata.uri,
+          metadataHash: metadata.hash,
+          expiry: Math.floor(Date.now() / 1000) + Number(formData.orderExpiryDays) * 24 * 3600
+        });
+
+        const signedOrder = await signListingOrder(contract, order);
+        await saveSignedOrder(contract, signedOrder);
+
+        console.log('✍️ Signed listing saved:', signedOrder.signature);
+
+        setFormData(EMPTY_FORM);
+        setImages([]);
+        onProductAdded();
+        return;
+      }
+
+      setUploadStep(formData.sponsored ? 'relaying' : 'listing');
       
       console.log('📦 Adding product:', {
         name: formData.name.trim(),
         description: formData.description.trim(),
+        saleType: formData.saleType,
         price: formData.price,
-        priceInWei
+        currency: selectedToken.symbol,
+        priceInUnits,
+        stock: formData.stock,
+        categoryId: formData.categoryId,
+        tags: parseTags(formData.tags),
+        metadataURI: metadata.uri
       });
       
       // Call smart contract function
-      const result = await contract.methods.addProduct(
-        formData.name.trim(),
-        formData.description.trim(),
-        priceInWei
-      ).send({
-        from: account
-      });
+      const method = isDutchAuction
+        ? contract.methods.createDutchAuction(
+          formData.name.trim(),
+          formData.description.trim(),
+          priceInUnits,
+          toTokenUnits(formData.floorPrice, selectedToken.decimals),
+          Number(formData.decayHours) * 3600,
+          formData.paymentToken,
+          formData.stock,
+          formData.categoryId,
+          parseTags(formData.tags),
+          metadata.uri,
+          metadata.hash
+        )
+        : isAuction
+        ? contract.methods.createAuction(
+          formData.name.trim(),
+          formData.description.trim(),
+          priceInUnits,
+          Number(formData.durationHours) * 3600,
+          ethToWei(formData.minBidIncrement),
+          formData.categoryId,
+          parseTags(formData.tags),
+          metadata.uri,
+          metadata.hash
+        )
+        : contract.methods.addProduct(
+          formData.name.trim(),
+          formData.description.trim(),
+          priceInUnits,
+          formData.paymentToken,
+          formData.stock,
+          formData.categoryId,
+          parseTags(formData.tags),
+          metadata.uri,
+          metadata.hash,
+          Number(formData.listingDays) > 0
+            ? Math.floor(Date.now() / 1000) + Number(formData.listingDays) * 24 * 3600
+            : 0
+        );
+
+      // Sponsored listings are signed by the seller and submitted by the relayer
+      const result = formData.sponsored
+        ? await sendTransaction(method, { sponsored: true })
+        : await method.send({ from: account });
       
       console.log('✅ Product added successfully:', result.transactionHash);
       
       // Reset form
-      setFormData({
-        name: '',
-        description: '',
-        price: ''
-      });
+      setFormData(EMPTY_FORM);
+      setImages([]);
       
       // Notify parent component
       onProductAdded();
@@ -135,19 +387,46 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
       // Handle different error types
       let errorMessage = 'Failed to add product';
       
-      if (err.message.includes('User denied')) {
-        errorMessage = 'Transaction cancelled by user';
+      if (err.message.includes('IPFS upload failed') || err.message.includes('Failed to fetch')) {
+        errorMessage = 'Could not upload to IPFS. Is the IPFS node running?';
+      } else if (err.message.includes('Relayer unavailable')) {
+        errorMessage = 'The relayer is not running - untick "Sponsored transaction" to pay the gas yourself';
+      } else if (err.message.includes('User denied') || err.message.includes('User rejected') || err.message.includes('cancelled by user')) {
+        errorMessage = isSignedListing ? 'Signature request cancelled by user' : 'Transaction cancelled by user';
+      } else if (err.message.includes('Seller is banned')) {
+        errorMessage = 'Your account has been banned from listing on the marketplace';
+      } else if (err.message.includes('EnforcedPause')) {
+        errorMessage = 'The marketplace is paused - trading is temporarily disabled';
       } else if (err.message.includes('insufficient funds')) {
         errorMessage = 'Insufficient ETH for gas fees';
       } else if (err.message.includes('Product name cannot be empty')) {
         errorMessage = 'Product name cannot be empty';
       } else if (err.message.includes('Product price must be greater than 0')) {
         errorMessage = 'Product price must be greater than 0';
+      } else if (err.message.includes('Stock must be greater than 0')) {
+        errorMessage = 'Stock must be greater than 0';
+      } else if (err.message.includes('Auction duration must be greater than 0')) {
+        errorMessage = 'Auction duration must be greater than 0';
+      } else if (err.message.includes('Bid increment must be greater than 0')) {
+        errorMessage = 'Minimum bid increment must be greater than 0';
+      } else if (err.message.includes('Category does not exist or is inactive')) {
+        errorMessage = 'This category is no longer available';
+      } else if (err.message.includes('Too many tags') || err.message.includes('Invalid tag length')) {
+        errorMessage = 'Check your tags: at most 5, each up to 32 characters';
+      } else if (err.message.includes('Payment token not accepted')) {
+        errorMessage = 'This currency is no longer accepted by the marketplace';
+      } else if (err.message.includes('Metadata hash is required')) {
+        errorMessage = 'Listing metadata could not be verified';
+      } else if (err.message.includes('Floor price must be greater than 0') || err.message.includes('Start price must be above the floor price')) {
+        errorMessage = 'The floor price must be above 0 and below the start price';
+      } else if (err.message.includes('Expiry must be in the future')) {
+        errorMessage = 'Your clock is behind the blockchain - pick a longer sale period';
       }
       
       setError(errorMessage);
     } finally {
       setLoading(false);
+      setUploadStep(null);
     }
   };
 
@@ -155,11 +434,8 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
    * Handle form reset
    */
   const handleReset = () => {
-    setFormData({
-      name: '',
-      description: '',
-      price: ''
-    });
+    setFormData(EMPTY_FORM);
+    setImages([]);
     setValidationErrors({});
     setError('');
   };
@@ -266,10 +542,247 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
             500
           )}
 
+          {/* Images */}
+          <div className="form-group">
+            <label htmlFor="images" className="form-label">
+              🖼️ Images
+            </label>
+            <input
+              type="file"
+              id="images"
+              accept="image/*"
+              multiple
+              onChange={handleImagesChange}
+              className={`form-input ${validationErrors.images ? 'error' : ''}`}
+              disabled={loading || images.length >= MAX_IMAGES}
+            />
+            {images.length > 0 && (
+              <ul className="image-upload-list">
+                {images.map((image, index) => (
+                  <li key={`${image.name}-${index}`}>
+                    <span>{image.name} ({(image.size / 1024).toFixed(0)} KB)</span>
+                    <button
+                      type="button"
+                      className="btn btn-small btn-secondary"
+                      onClick={() => handleRemoveImage(index)}
+                      disabled={loading}
+                    >
+                      ✖
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {validationErrors.images ? (
+              <span className="error-text">{validationErrors.images}</span>
+            ) : (
+              <span className="char-count">{images.length}/{MAX_IMAGES}, pinned to IPFS</span>
+            )}
+          </div>
+
+          {/* Condition */}
+          <div className="form-group">
+            <label htmlFor="condition" className="form-label">
+              🔍 Condition
+            </label>
+            <select
+              id="condition"
+              name="condition"
+              value={formData.condition}
+              onChange={handleInputChange}
+              className="form-input"
+              disabled={loading}
+            >
+              <option value="">Not specified</option>
+              {CONDITIONS.map(condition => (
+                <option key={condition} value={condition}>
+                  {condition}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Attributes */}
+          <div className="form-group">
+            <label htmlFor="attributes" className="form-label">
+              📋 Details
+            </label>
+            <textarea
+              id="attributes"
+              name="attributes"
+              value={formData.attributes}
+              onChange={handleInputChange}
+              placeholder={'Brand: Acme\nColor: Black'}
+              rows={3}
+              className="form-textarea"
+              disabled={loading}
+            />
+            <span className="char-count">One "Name: value" per line</span>
+          </div>
+
+          {/* Category */}
+          <div className="form-group">
+            <label htmlFor="categoryId" className="form-label">
+              🗂️ Category
+            </label>
+            <select
+              id="categoryId"
+              name="categoryId"
+              value={formData.categoryId}
+              onChange={handleInputChange}
+              className="form-input"
+              disabled={loading}
+            >
+              <option value="0">No category</option>
+              {categories.filter(category => category.active).map(category => (
+                <option key={category.id} value={category.id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Tags */}
+          <div className="form-group">
+            <label htmlFor="tags" className="form-label">
+              🔖 Tags
+            </label>
+            <input
+              type="text"
+              id="tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleInputChange}
+              placeholder="e.g., vintage, handmade, wood"
+              className={`form-input ${validationErrors.tags ? 'error' : ''}`}
+              disabled={loading}
+            />
+            {validationErrors.tags ? (
+              <span className="error-text">{validationErrors.tags}</span>
+            ) : (
+              <span className="char-count">Comma-separated, up to {MAX_TAGS}</span>
+            )}
+          </div>
+
+          {/* Sale type */}
+          <div className="form-group">
+            <label htmlFor="saleType" className="form-label">
+              🏷️ Sale type
+            </label>
+            <select
+              id="saleType"
+              name="saleType"
+              value={formData.saleType}
+              onChange={handleInputChange}
+              className="form-input"
+              disabled={loading}
+            >
+              <option value="fixed">Fixed price</option>
+              <option value="auction">Auction</option>
+              <option value="dutch">📉 Dutch auction (price drops until sold)</option>
+            </select>
+          </div>
+
+          {/* Listing mode */}
+          {isFixedPrice && (
+            <div className="form-group">
+              <label htmlFor="listingMode" className="form-label">
+                ⛽ Listing mode
+              </label>
+              <select
+                id="listingMode"
+                name="listingMode"
+                value={formData.listingMode}
+                onChange={handleInputChange}
+                className="form-input"
+                disabled={loading}
+              >
+                <option value="onchain">On-chain (pay gas now)</option>
+                <option value="signed">✍️ Signed gasless listing</option>
+              </select>
+              {isSignedListing && (
+                <span className="char-count">
+                  You sign the listing for free; it goes on-chain when the first buyer pays.
+                  Tags are not included in signed listings.
+                </span>
+              )}
+            </div>
+          )}
+
+          {isSignedListing && (
+            <div className="form-group">
+              <label htmlFor="orderExpiryDays" className="form-label">
+                ⏳ Signature valid for
+              </label>
+              <select
+                id="orderExpiryDays"
+                name="orderExpiryDays"
+                value={formData.orderExpiryDays}
+                onChange={handleInputChange}
+                className="form-input"
+                disabled={loading}
+              >
+                {ORDER_EXPIRY_DAYS.map(days => (
+                  <option key={days} value={days}>
+                    {days} day{days === 1 ? '' : 's'}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isFixedPrice && !isSignedListing && (
+            <div className="form-group">
+              <label htmlFor="listingDays" className="form-label">
+                ⏳ On sale for
+              </label>
+              <select
+                id="listingDays"
+                name="listingDays"
+                value={formData.listingDays}
+                onChange={handleInputChange}
+                className="form-input"
+                disabled={loading}
+              >
+                {LISTING_DURATION_DAYS.map(days => (
+                  <option key={days} value={days}>
+                    {days === 0 ? 'Until sold' : `${days} day${days === 1 ? '' : 's'}`}
+                  </option>
+                ))}
+              </select>
+              {Number(formData.listingDays) > 0 && (
+                <span className="char-count">Expired listings can be relisted from the ⌛ Expired section</span>
+              )}
+            </div>
+          )}
+
+          {/* Currency */}
+          {!isAuction && (
+            <div className="form-group">
+              <label htmlFor="paymentToken" className="form-label">
+                🪙 Currency
+              </label>
+              <select
+                id="paymentToken"
+                name="paymentToken"
+                value={formData.paymentToken}
+                onChange={handleInputChange}
+                className="form-input"
+                disabled={loading}
+              >
+                {paymentTokens.map(token => (
+                  <option key={token.address} value={token.address}>
+                    {token.symbol}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Price */}
           <div className="form-group">
             <label htmlFor="price" className="form-label">
-              💰 Price (ETH)
+              💰 {isAuction ? 'Reserve price' : isDutchAuction ? 'Start price' : 'Price'} ({selectedToken.symbol})
               <span className="required">*</span>
             </label>
             <div className="price-input-container">
@@ -282,11 +795,11 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
                 placeholder="0.1"
                 step="0.0001"
                 min="0"
-                max="1000"
+                max={isEthPayment(selectedToken.address) ? '1000' : undefined}
                 className={`form-input price-input ${validationErrors.price ? 'error' : ''}`}
                 disabled={loading}
               />
-              <span className="price-unit">ETH</span>
+              <span className="price-unit">{selectedToken.symbol}</span>
             </div>
             {validationErrors.price && (
               <span className="error-text">{validationErrors.price}</span>
@@ -294,12 +807,154 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
             {formData.price && !validationErrors.price && (
               <div className="price-info">
                 <span className="price-conversion">
-                  ≈ {formatEth(formData.price, 6)} ETH
+                  ≈ {formatEth(formData.price, Math.min(6, selectedToken.decimals))} {selectedToken.symbol}
                 </span>
               </div>
             )}
           </div>
 
+          {/* Dutch auction settings */}
+          {isDutchAuction && (
+            <>
+              <div className="form-group">
+                <label htmlFor="floorPrice" className="form-label">
+                  📉 Floor price ({selectedToken.symbol})
+                  <span className="required">*</span>
+                </label>
+                <div className="price-input-container">
+                  <input
+                    type="number"
+                    id="floorPrice"
+                    name="floorPrice"
+                    value={formData.floorPrice}
+                    onChange={handleInputChange}
+                    placeholder="0.05"
+                    step="0.0001"
+                    min="0"
+                    className={`form-input price-input ${validationErrors.floorPrice ? 'error' : ''}`}
+                    disabled={loading}
+                  />
+                  <span className="price-unit">{selectedToken.symbol}</span>
+                </div>
+                {validationErrors.floorPrice && (
+                  <span className="error-text">{validationErrors.floorPrice}</span>
+                )}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="decayHours" className="form-label">
+                  ⏱️ Price falls to the floor over
+                </label>
+                <select
+                  id="decayHours"
+                  name="decayHours"
+                  value={formData.decayHours}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  disabled={loading}
+                >
+                  {AUCTION_DURATIONS.map(hours => (
+                    <option key={hours} value={hours}>
+                      {hours < 24 ? `${hours} hour${hours === 1 ? '' : 's'}` : `${hours / 24} day${hours === 24 ? '' : 's'}`}
+                    </option>
+                  ))}
+                </select>
+                <span className="char-count">
+                  The price drops steadily, then stays at the floor until every unit sells
+                </span>
+              </div>
+            </>
+          )}
+
+          {/* Auction settings */}
+          {isAuction && (
+            <>
+              <div className="form-group">
+                <label htmlFor="durationHours" className="form-label">
+                  ⏱️ Auction length
+                </label>
+                <select
+                  id="durationHours"
+                  name="durationHours"
+                  value={formData.durationHours}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  disabled={loading}
+                >
+                  {AUCTION_DURATIONS.map(hours => (
+                    <option key={hours} value={hours}>
+                      {hours < 24 ? `${hours} hour${hours === 1 ? '' : 's'}` : `${hours / 24} day${hours === 24 ? '' : 's'}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="minBidIncrement" className="form-label">
+                  📈 Minimum bid increment (ETH)
+                  <span className="required">*</span>
+                </label>
+                <input
+                  type="number"
+                  id="minBidIncrement"
+                  name="minBidIncrement"
+                  value={formData.minBidIncrement}
+                  onChange={handleInputChange}
+                  step="0.0001"
+                  min="0"
+                  className={`form-input ${validationErrors.minBidIncrement ? 'error' : ''}`}
+                  disabled={loading}
+                />
+                {validationErrors.minBidIncrement && (
+                  <span className="error-text">{validationErrors.minBidIncrement}</span>
+                )}
+              </div>
+            </>
+          )}
+
+          {/* Stock */}
+          {!isAuction && (
+            <div className="form-group">
+              <label htmlFor="stock" className="form-label">
+                📦 Units in stock
+                <span className="required">*</span>
+              </label>
+              <input
+                type="number"
+                id="stock"
+                name="stock"
+                value={formData.stock}
+                onChange={handleInputChange}
+                step="1"
+                min="1"
+                className={`form-input ${validationErrors.stock ? 'error' : ''}`}
+                disabled={loading}
+              />
+              {validationErrors.stock && (
+                <span className="error-text">{validationErrors.stock}</span>
+              )}
+            </div>
+          )}
+
+          {/* Sponsored transaction */}
+          {!isSignedListing && (
+            <div className="form-group">
+              <label className="form-checkbox">
+                <input
+                  type="checkbox"
+                  name="sponsored"
+                  checked={formData.sponsored}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                />
+                ⛽ Sponsored transaction
+              </label>
+              <span className="char-count">
+                Sign instead of paying gas; the marketplace relayer submits the listing for you
+              </span>
+            </div>
+          )}
+
           {/* Form Actions */}
           <div className="form-actions">
             <button
@@ -328,11 +983,11 @@ const AddProduct = ({ contract, account, onProductAdded, onCancel }) => {
               {loading ? (
                 <>
                   <span className="loading-spinner"></span>
-                  Adding Product...
+                  {UPLOAD_STEPS[uploadStep] || 'Adding Product...'}
                 </>
               ) : (
                 <>
-                  ➕ Add Product
+                  {isSignedListing ? '✍️ Sign Listing' : '➕ Add Product'}
                 </>
               )}
             </button>
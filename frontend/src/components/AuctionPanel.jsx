@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { formatAddress, formatEth, weiToEth, ethToWei, watchBidHistory } from '../utils/web3Utils';
+
+const AuctionPanel = ({
+  product,
+  account,
+  contract,
+  onBid,
+  onSettle,
+  onDelist,
+  busy = false,
+  paused = false
+}) => {
+
+  const [bids, setBids] = useState([]);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [bidAmount, setBidAmount] = useState('');
+  const [bidError, setBidError] = useState('');
+
+  const auction = product.auction;
+
+  /**
+   * Keep the bid history up to date while the card is on screen
+   */
+  useEffect(() => {
+    if (!contract) return;
+    return watchBidHistory(contract, product.id, setBids);
+  }, [contract, product.id]);
+
+  /**
+   * Tick the countdown once a second
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Every accepted bid beats the previous one, so the newest bid is the highest.
+  // Fall back to the state loaded with the product until the history arrives.
+  const highestBid = bids.length > 0 ? bids[0].amount : auction.highestBid;
+  const highestBidder = bids.length > 0 ? bids[0].bidder : auction.highestBidder;
+  const hasBids = BigInt(highestBid) > 0n;
+
+  const secondsLeft = Math.max(0, auction.endTime - now);
+  const ended = secondsLeft === 0;
+
+  const isSeller = product.seller.toLowerCase() === account?.toLowerCase();
+  const isLeading = hasBids && highestBidder.toLowerCase() === account?.toLowerCase();
+
+  /**
+   * Smallest bid the contract will accept right now (in Wei)
+   */
+  const getMinimumBid = () => {
+    if (!hasBids) return BigInt(product.price);
+    return BigInt(highestBid) + BigInt(auction.minBidIncrement);
+  };
+
+  /**
+   * Format a number of seconds as "Xd Yh", "Yh Zm" or "Zm Ss"
+   */
+  const formatCountdown = (seconds) => {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${seconds % 60}s`;
+  };
+
+  /**
+   * Validate the entered amount and place the bid
+   */
+  const handleBidSubmit = async (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(bidAmount);
+    if (isNaN(amount) || amount <= 0) {
+      setBidError('Enter a bid amount');
+      return;
+    }
+
+    const amountWei = ethToWei(bidAmount);
+    if (BigInt(amountWei) < getMinimumBid()) {
+      setBidError(`Bid at least ${weiToEth(getMinimumBid())} ETH`);
+      return;
+    }
+
+    setBidError('');
+    const placed = await onBid(product.id, amountWei);
+    if (placed) {
+      setBidAmount('');
+    }
+  };
+
+  return (
+    <div className="product-actions auction-panel">
+
+      {/* Current state */}
+      <div className="auction-summary">
+        <div className="fee-row">
+          <span>{hasBids ? 'Highest bid' : 'Reserve price'}</span>
+          <span>{formatEth(weiToEth(hasBids ? highestBid : product.price), 4)} ETH</span>
+        </div>
+        <div className="fee-row">
+          <span>{ended ? 'Bidding closed' : 'Ends in'}</span>
+          <span className={`auction-countdown ${secondsLeft < 300 ? 'ending' : ''}`}>
+            {ended ? '⏰ Ended' : formatCountdown(secondsLeft)}
+          </span>
+        </div>
+        {isLeading && (
+          <span className="escrow-note">🏆 You are the highest bidder</span>
+        )}
+      </div>
+
+      {/* Bid form for everyone but the seller */}
+      {!ended && !isSeller && (
+        <form className="auction-bid-form" onSubmit={handleBidSubmit}>
+          <div className="price-input-container">
+            <input
+              type="number"
+              value={bidAmount}
+              onChange={(e) => { setBidAmount(e.target.value); setBidError(''); }}
+              placeholder={weiToEth(getMinimumBid())}
+              step="0.0001"
+              min="0"
+              className="form-input price-input"
+              disabled={busy}
+            />
+            <span className="price-unit">ETH</span>
+          </div>
+          <button type="submit" className="btn btn-primary btn-buy" disabled={busy || paused}>
+            {busy ? 'Bidding...' : '🔨 Place bid'}
+          </button>
+          {bidError && <span className="error-text">{bidError}</span>}
+        </form>
+      )}
+
+      {/* Seller may still cancel an auction nobody has bid on */}
+      {!ended && isSeller && !hasBids && onDelist && (
+        <button
+          className="btn btn-danger btn-small"
+          onClick={() => onDelist(product.id)}
+          disabled={busy}
+        >
+          🗑️ Cancel auction
+        </button>
+      )}
+
+      {/* Anyone can settle once bidding has closed */}
+      {ended && !auction.settled && (
+        <button
+          className="btn btn-primary btn-buy"
+          onClick={() => onSettle(product.id)}
+          disabled={busy}
+        >
+          {busy ? 'Settling...' : '⚖️ Settle auction'}
+        </button>
+      )}
+
+      {/* Bid history */}
+      <div className="bid-history">
+        <h4>Bids ({bids.length})</h4>
+        {bids.length === 0 ? (
+          <p className="bid-history-empty">No bids yet</p>
+        ) : (
+          <ul>
+            {bids.map(bid => (
+              <li key={bid.transactionHash} title={bid.bidder}>
+                <span>
+                  {formatAddress(bid.bidder)}
+                  {bid.bidder.toLowerCase() === account?.toLowerCase() && ' (you)'}
+                </span>
+                <span>{formatEth(weiToEth(bid.amount), 4)} ETH</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuctionPanel;
@@ -0,0 +1,237 @@
+import { useState } from 'react';
+import {
+  formatEth,
+  weiToEth,
+  fromTokenUnits,
+  findPaymentToken,
+  getCartTotals,
+  getListingPrice,
+  checkoutCart,
+  isListingExpired,
+  MAX_CART_ITEMS,
+  SALE_TYPE
+} from '../utils/web3Utils';
+
+const CHECKOUT_STEPS = {
+  approving: 'Approving tokens...',
+  buying: 'Checking out...'
+};
+
+const CartDrawer = ({
+  contract,
+  account,
+  items = [],
+  products = [],
+  paymentTokens = [],
+  paused = false,
+  onChange,
+  onCheckedOut,
+  onClose
+}) => {
+
+  const [skipUnavailable, setSkipUnavailable] = useState(true);
+  const [step, setStep] = useState(null); // 'approving' | 'buying' while checking out
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const unitCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  /**
+   * Why a cart item can't be bought right now, or null if it can
+   */
+  const getUnavailableReason = (item, product) => {
+    if (!product) return 'No longer listed';
+    if (product.sold) return 'Sold out';
+    if (product.delisted) return 'Delisted';
+    if (isListingExpired(product)) return 'Expired';
+    if (product.saleType === SALE_TYPE.AUCTION) return 'Auction';
+    if (product.seller.toLowerCase() === account?.toLowerCase()) return 'Your own listing';
+    if (item.quantity > product.stock) return `Only ${product.stock} left`;
+    return null;
+  };
+
+  /**
+   * Change an item's quantity, dropping it at zero
+   */
+  const handleQuantityChange = (productId, quantity) => {
+    setError('');
+    setSuccess('');
+    onChange(items
+      .map(item => item.productId === productId ? { ...item, quantity } : item)
+      .filter(item => item.quantity > 0));
+  };
+
+  /**
+   * Map checkout errors to readable messages
+   */
+  const getCheckoutErrorMessage = (err) => {
+    if (err.message.includes('User denied')) {
+      return 'Transaction cancelled by user';
+    } else if (err.message.includes('EnforcedPause')) {
+      return 'The marketplace is paused - trading is temporarily disabled';
+    } else if (err.message.includes('insufficient funds')) {
+      return 'Insufficient ETH balance';
+    } else if (err.message.includes('Insufficient payment')) {
+      return 'Prices changed since you added these items - refresh and try again';
+    } else if (err.message.includes('No items in cart are available')) {
+      return 'None of the items in your cart can be bought any more';
+    } else if (err.message.includes('Product already sold') || err.message.includes('Not enough stock')) {
+      return 'An item sold out - remove it or tick "Skip unavailable items"';
+    } else if (err.message.includes('Listing has expired')) {
+      return 'An item\'s listing expired - remove it or tick "Skip unavailable items"';
+    } else if (err.message.includes('Product has been delisted') || err.message.includes('Product has been hidden')) {
+      return 'An item was taken down - remove it or tick "Skip unavailable items"';
+    } else if (err.message.includes('Cannot buy your own product')) {
+      return 'Your cart contains one of your own listings';
+    } else if (err.message.includes('Too many items in cart')) {
+      return `Check out at most ${MAX_CART_ITEMS} items at a time`;
+    } else if (err.message.includes('ERC20InsufficientBalance')) {
+      return 'Insufficient token balance';
+    }
+    return 'Checkout failed';
+  };
+
+  /**
+   * Buy the whole cart in one transaction
+   */
+  const handleCheckout = async () => {
+    try {
+      setError('');
+      setSuccess('');
+
+      const result = await checkoutCart(contract, account, items, products, {
+        skipUnavailable,
+        onStep: setStep
+      });
+
+      // Bought and skipped items both leave the cart
+      const summary = result.events?.CartCheckedOut?.returnValues;
+      const skipped = summary ? Number(summary.itemsSkipped) : 0;
+      setSuccess(skipped > 0
+        ? `✅ Order placed - ${skipped} unavailable item${skipped === 1 ? ' was' : 's were'} skipped and refunded`
+        : '✅ Order placed - payment is held in escrow until delivery');
+
+      onCheckedOut();
+    } catch (err) {
+      console.error('❌ Checkout failed:', err);
+      setError(getCheckoutErrorMessage(err));
+    } finally {
+      setStep(null);
+    }
+  };
+
+  const totals = getCartTotals(items, products);
+  const busy = step !== null;
+
+  return (
+    <section className="products-section cart-drawer">
+      <div className="section-header">
+        <h3>🛒 Cart ({unitCount})</h3>
+        <p>Buy everything in one transaction. Each item is its own escrow order.</p>
+        <button className="btn btn-small btn-secondary" onClick={onClose} disabled={busy}>
+          ✖ Close
+        </button>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="section-empty">{success || 'Your cart is empty'}</p>
+      ) : (
+        <>
+          <ul className="cart-items">
+            {items.map(item => {
+              const product = products.find(p => p.id === item.productId);
+              const token = findPaymentToken(paymentTokens, product?.paymentToken);
+              const unavailable = getUnavailableReason(item, product);
+
+              return (
+                <li key={item.productId} className={unavailable ? 'unavailable' : ''}>
+                  <div className="cart-item-info">
+                    <span className="cart-item-name">{product ? product.name : `Product #${item.productId}`}</span>
+                    {product && (
+                      <span className="cart-item-price">
+                        {formatEth(fromTokenUnits(getListingPrice(product) * BigInt(item.quantity), token.decimals), Math.min(4, token.decimals))} {token.symbol}
+                      </span>
+                    )}
+                    {unavailable && <span className="error-text">{unavailable}</span>}
+                  </div>
+                  <div className="cart-item-actions">
+                    <input
+                      type="number"
+                      value={item.quantity}
+                      onChange={(e) => {
+                        const value = parseInt(e.target.value, 10);
+                        if (!isNaN(value)) handleQuantityChange(item.productId, Math.max(1, Math.min(value, product?.stock || 1)));
+                      }}
+                      min="1"
+                      max={product?.stock || 1}
+                      className="form-input"
+                      disabled={busy}
+                      aria-label="Quantity"
+                    />
+                    <button
+                      className="btn btn-small btn-secondary"
+                      onClick={() => handleQuantityChange(item.productId, 0)}
+                      disabled={busy}
+                      title="Remove from cart"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="cart-totals">
+            <div className="fee-row">
+              <span>Total</span>
+              <span>{formatEth(weiToEth(totals.eth), 4)} ETH</span>
+            </div>
+            {Object.entries(totals.tokens).map(([tokenAddress, amount]) => {
+              const token = findPaymentToken(paymentTokens, tokenAddress);
+              return (
+                <div className="fee-row" key={tokenAddress}>
+                  <span></span>
+                  <span>+ {formatEth(fromTokenUnits(amount, token.decimals), Math.min(4, token.decimals))} {token.symbol}</span>
+                </div>
+              );
+            })}
+          </div>
+
+          <label className="form-checkbox">
+            <input
+              type="checkbox"
+              checked={skipUnavailable}
+              onChange={(e) => setSkipUnavailable(e.target.checked)}
+              disabled={busy}
+            />
+            Skip unavailable items (their payment is refunded)
+          </label>
+
+          {unitCount > MAX_CART_ITEMS && (
+            <span className="error-text">Check out at most {MAX_CART_ITEMS} items at a time</span>
+          )}
+          {error && <span className="error-text">{error}</span>}
+
+          <button
+            className="btn btn-primary btn-buy"
+            onClick={handleCheckout}
+            disabled={busy || paused || unitCount > MAX_CART_ITEMS}
+            title={paused ? 'Trading is paused' : undefined}
+          >
+            {busy ? (
+              <>
+                <span className="loading-spinner"></span>
+                {CHECKOUT_STEPS[step]}
+              </>
+            ) : (
+              `✅ Check out ${unitCount} item${unitCount === 1 ? '' : 's'}`
+            )}
+          </button>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default CartDrawer;
@@ -1,13 +1,31 @@
 
 
 import { useState, useEffect } from 'react';
-import { getAccountBalance, checkNetwork, formatAddress } from '../utils/web3Utils';
+import CartDrawer from './CartDrawer';
+import { getAccountBalance, checkNetwork, formatAddress, weiToEth, formatEth, fromTokenUnits, isEthPayment, ZERO_ADDRESS, MAX_CART_ITEMS } from '../utils/web3Utils';
 
-const Header = ({ account, onDisconnect }) => {
+const Header = ({
+  account,
+  contract,
+  paymentTokens = [],
+  cart = [],
+  products = [],
+  paused = false,
+  onCartChange,
+  onCheckedOut,
+  onDisconnect
+}) => {
   
   const [balance, setBalance] = useState('0');
   const [network, setNetwork] = useState({ correct: false, name: 'Unknown' });
   const [loading, setLoading] = useState(false);
+  const [earnings, setEarnings] = useState('0');
+  const [tokenEarnings, setTokenEarnings] = useState([]); // [{ token, amount }] for ERC-20 payouts
+  const [withdrawing, setWithdrawing] = useState(null); // address of the currency being withdrawn
+  const [withdrawError, setWithdrawError] = useState('');
+  const [showCart, setShowCart] = useState(false);
+
+  const cartCount = cart.reduce((sum, item) => sum + item.quantity, 0);
 
   /**
    * Load account balance and network info when account changes
@@ -18,8 +36,10 @@ const Header = ({ account, onDisconnect }) => {
     } else {
       setBalance('0');
       setNetwork({ correct: false, name: 'Unknown' });
+      setEarnings('0');
+      setTokenEarnings([]);
     }
-  }, [account]);
+  }, [account, contract, paymentTokens]);
 
   
   /**
@@ -37,6 +57,19 @@ const Header = ({ account, onDisconnect }) => {
       
       setBalance(accountBalance);
       setNetwork(networkInfo);
+
+      // Earnings and refunds waiting in the marketplace contract
+      if (contract) {
+        const pending = await contract.methods.pendingWithdrawal(account).call();
+        setEarnings(pending.toString());
+
+        const tokens = paymentTokens.filter(token => !isEthPayment(token.address));
+        const pendingTokens = await Promise.all(tokens.map(async (token) => ({
+          token,
+          amount: (await contract.methods.pendingTokenWithdrawal(token.address, account).call()).toString()
+        })));
+        setTokenEarnings(pendingTokens.filter(entry => entry.amount !== '0'));
+      }
       
     } catch (error) {
       console.error('❌ Error loading account info:', error);
@@ -55,6 +88,38 @@ const Header = ({ account, onDisconnect }) => {
     }
   };
 
+  /**
+   * Withdraw earnings and refunds held by the marketplace contract
+   * tokenAddress is ZERO_ADDRESS for ETH, otherwise the ERC-20 to withdraw
+   */
+  const handleWithdraw = async (tokenAddress = ZERO_ADDRESS) => {
+    try {
+      setWithdrawing(tokenAddress);
+      setWithdrawError('');
+
+      const method = isEthPayment(tokenAddress)
+        ? contract.methods.withdraw()
+        : contract.methods.withdrawToken(tokenAddress);
+
+      const result = await method.send({ from: account });
+      console.log('✅ Earnings withdrawn:', result.transactionHash);
+
+      await loadAccountInfo();
+    } catch (error) {
+      console.error('❌ Withdrawal failed:', error);
+
+      if (error.message.includes('User denied')) {
+        setWithdrawError('Transaction cancelled by user');
+      } else if (error.message.includes('No funds to withdraw')) {
+        setWithdrawError('No funds to withdraw');
+      } else {
+        setWithdrawError('Withdrawal failed');
+      }
+    } finally {
+      setWithdrawing(null);
+    }
+  };
+
   /**
    * Handle refresh button click
    */
@@ -110,9 +175,53 @@ const Header = ({ account, onDisconnect }) => {
                     </span>
                   </div>
                 </div>
+
+                {/* Withdraw earnings panel */}
+                {contract && (
+                  <div className="earnings-panel">
+                    <div className="account-earnings">
+                      <span className="earnings-label">Earnings:</span>
+                      <span className="earnings-value">
+                        {loading ? '...' : `${formatEth(weiToEth(earnings), 4)} ETH`}
+                      </span>
+                    </div>
+                    <button
+                      className="btn btn-small btn-primary"
+                      onClick={() => handleWithdraw(ZERO_ADDRESS)}
+                      disabled={withdrawing !== null || earnings === '0'}
+                      title={withdrawError || 'Withdraw earnings and refunds to your wallet'}
+                    >
+                      {withdrawing === ZERO_ADDRESS ? 'Withdrawing...' : '💸 Withdraw earnings'}
+                    </button>
+                    {tokenEarnings.map(({ token, amount }) => (
+                      <div className="account-earnings" key={token.address}>
+                        <span className="earnings-value">
+                          {formatEth(fromTokenUnits(amount, token.decimals), 2)} {token.symbol}
+                        </span>
+                        <button
+                          className="btn btn-small btn-secondary"
+                          onClick={() => handleWithdraw(token.address)}
+                          disabled={withdrawing !== null}
+                        >
+                          {withdrawing === token.address ? 'Withdrawing...' : `💸 Withdraw ${token.symbol}`}
+                        </button>
+                      </div>
+                    ))}
+                    {withdrawError && (
+                      <span className="error-text">{withdrawError}</span>
+                    )}
+                  </div>
+                )}
                 
                 {/* Action buttons */}
                 <div className="account-actions">
+                  <button
+                    className={`btn btn-small ${cartCount > MAX_CART_ITEMS ? 'btn-danger' : 'btn-secondary'}`}
+                    onClick={() => setShowCart(!showCart)}
+                    title="Show cart"
+                  >
+                    🛒 Cart ({cartCount})
+                  </button>
                   <button 
                     className="btn btn-small btn-secondary"
                     onClick={handleRefresh}
@@ -144,6 +253,23 @@ const Header = ({ account, onDisconnect }) => {
         </div>
       </div>
 
+      {/* Cart, checked out in one transaction */}
+      {account && showCart && (
+        <div className="header-cart">
+          <CartDrawer
+            contract={contract}
+            account={account}
+            items={cart}
+            products={products}
+            paymentTokens={paymentTokens}
+            paused={paused}
+            onChange={onCartChange}
+            onCheckedOut={onCheckedOut}
+            onClose={() => setShowCart(false)}
+          />
+        </div>
+      )}
+
       {/* Network warning banner */}
       {account && !network.correct && (
         <div className="network-warning">
@@ -0,0 +1,294 @@
+import { useState, useEffect } from 'react';
+import { formatAddress, getModerationLog, MODERATION_REASON } from '../utils/web3Utils';
+
+const REASON_LABELS = {
+  [MODERATION_REASON.FRAUD]: 'Fraud',
+  [MODERATION_REASON.COUNTERFEIT]: 'Counterfeit',
+  [MODERATION_REASON.PROHIBITED]: 'Prohibited item',
+  [MODERATION_REASON.SPAM]: 'Spam',
+  [MODERATION_REASON.OTHER]: 'Other',
+};
+
+const ACTION_LABELS = {
+  ProductHidden: '🙈 Hid listing',
+  ProductUnhidden: '👁️ Restored listing',
+  SellerBanned: '🚫 Banned seller',
+  SellerUnbanned: '✅ Unbanned seller',
+};
+
+const ModerationConsole = ({ contract, account, products = [], onModerated, onClose }) => {
+
+  const [log, setLog] = useState({ actions: [], hiddenProducts: {}, bannedSellers: {} });
+  const [hiddenNames, setHiddenNames] = useState({}); // product id => name
+  const [hideForm, setHideForm] = useState({ productId: '', reason: MODERATION_REASON.FRAUD });
+  const [banForm, setBanForm] = useState({ seller: '', reason: MODERATION_REASON.FRAUD });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0); // bumped after each action
+
+  /**
+   * Load the moderation history and the names of hidden listings
+   * (hidden listings are no longer in the product list)
+   */
+  useEffect(() => {
+    const loadLog = async () => {
+      try {
+        setLoading(true);
+
+        const moderationLog = await getModerationLog(contract);
+        const names = await Promise.all(
+          Object.keys(moderationLog.hiddenProducts).map(async (id) => {
+            const product = await contract.methods.products(id).call();
+            return [id, product.name];
+          })
+        );
+
+        setLog(moderationLog);
+        setHiddenNames(Object.fromEntries(names));
+      } catch (err) {
+        console.error('❌ Error loading moderation log:', err);
+        setError('Failed to load the moderation history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (contract) {
+      loadLog();
+    }
+  }, [contract, reloadKey]);
+
+  /**
+   * Map moderation errors to readable messages
+   */
+  const getModerationErrorMessage = (err, fallback) => {
+    if (err.message.includes('User denied')) {
+      return 'Transaction cancelled by user';
+    } else if (err.message.includes('AccessControlUnauthorizedAccount')) {
+      return 'Your account is not a moderator';
+    } else if (err.message.includes('Product does not exist')) {
+      return 'There is no product with that ID';
+    } else if (err.message.includes('Product already hidden')) {
+      return 'That listing is already hidden';
+    } else if (err.message.includes('Seller already banned')) {
+      return 'That seller is already banned';
+    } else if (err.message.includes('Seller is not banned')) {
+      return 'That seller is not banned';
+    }
+    return fallback;
+  };
+
+  /**
+   * Send a moderation transaction, then refresh the log and the marketplace
+   */
+  const runAction = async (method, fallbackError) => {
+    try {
+      setBusy(true);
+      setError('');
+
+      const result = await method.send({ from: account });
+      console.log('🛡️ Moderation action:', result.transactionHash);
+
+      setReloadKey(key => key + 1);
+      onModerated();
+      return true;
+    } catch (err) {
+      console.error('❌ Moderation action failed:', err);
+      setError(getModerationErrorMessage(err, fallbackError));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleHide = async (e) => {
+    e.preventDefault();
+    const productId = Number(hideForm.productId);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      setError('Enter a valid product ID');
+      return;
+    }
+
+    const hidden = await runAction(
+      contract.methods.hideProduct(productId, hideForm.reason),
+      'Hiding the listing failed'
+    );
+    if (hidden) setHideForm(prev => ({ ...prev, productId: '' }));
+  };
+
+  const handleBan = async (e) => {
+    e.preventDefault();
+    const seller = banForm.seller.trim();
+    if (!/^0x[0-9a-fA-F]{40}$/.test(seller)) {
+      setError('Enter a valid seller address');
+      return;
+    }
+
+    const banned = await runAction(
+      contract.methods.banSeller(seller, banForm.reason),
+      'Banning the seller failed'
+    );
+    if (banned) setBanForm(prev => ({ ...prev, seller: '' }));
+  };
+
+  /**
+   * Reason picker shared by both forms
+   */
+  const renderReasonSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="form-input"
+      disabled={busy}
+      aria-label="Reason"
+    >
+      {Object.entries(REASON_LABELS).map(([reason, label]) => (
+        <option key={reason} value={reason}>{label}</option>
+      ))}
+    </select>
+  );
+
+  const hiddenIds = Object.keys(log.hiddenProducts);
+  const bannedSellers = Object.keys(log.bannedSellers);
+
+  return (
+    <section className="products-section moderation-console">
+      <div className="section-header">
+        <h3>🛡️ Moderation</h3>
+        <p>Take down listings and ban sellers. Every action is recorded on-chain.</p>
+        <button className="btn btn-small btn-secondary" onClick={onClose}>
+          ✖ Close
+        </button>
+      </div>
+
+      {error && <span className="error-text">{error}</span>}
+
+      <div className="moderation-forms">
+        {/* Take down a listing */}
+        <form className="moderation-form" onSubmit={handleHide}>
+          <h4>Hide a listing</h4>
+          <input
+            type="number"
+            value={hideForm.productId}
+            onChange={(e) => setHideForm(prev => ({ ...prev, productId: e.target.value }))}
+            placeholder="Product ID"
+            min="1"
+            step="1"
+            className="form-input"
+            list="moderation-products"
+            disabled={busy}
+          />
+          <datalist id="moderation-products">
+            {products.map(product => (
+              <option key={product.id} value={product.id}>{product.name}</option>
+            ))}
+          </datalist>
+          {renderReasonSelect(hideForm.reason, (reason) => setHideForm(prev => ({ ...prev, reason })))}
+          <button type="submit" className="btn btn-danger btn-small" disabled={busy}>
+            🙈 Hide listing
+          </button>
+        </form>
+
+        {/* Ban a seller */}
+        <form className="moderation-form" onSubmit={handleBan}>
+          <h4>Ban a seller</h4>
+          <input
+            type="text"
+            value={banForm.seller}
+            onChange={(e) => setBanForm(prev => ({ ...prev, seller: e.target.value }))}
+            placeholder="0x..."
+            className="form-input"
+            disabled={busy}
+          />
+          {renderReasonSelect(banForm.reason, (reason) => setBanForm(prev => ({ ...prev, reason })))}
+          <button type="submit" className="btn btn-danger btn-small" disabled={busy}>
+            🚫 Ban seller
+          </button>
+        </form>
+      </div>
+
+      {loading && <p className="section-empty">Loading moderation history...</p>}
+
+      {!loading && (
+        <>
+          <h4>Hidden listings ({hiddenIds.length})</h4>
+          {hiddenIds.length === 0 ? (
+            <p className="section-empty">No listings are hidden</p>
+          ) : (
+            <ul className="moderation-list">
+              {hiddenIds.map(id => (
+                <li key={id}>
+                  <span>#{id} {hiddenNames[id]}</span>
+                  <span className="category-chip">{REASON_LABELS[log.hiddenProducts[id]]}</span>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => runAction(contract.methods.unhideProduct(id), 'Restoring the listing failed')}
+                    disabled={busy}
+                  >
+                    👁️ Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h4>Banned sellers ({bannedSellers.length})</h4>
+          {bannedSellers.length === 0 ? (
+            <p className="section-empty">No sellers are banned</p>
+          ) : (
+            <ul className="moderation-list">
+              {bannedSellers.map(seller => (
+                <li key={seller}>
+                  <span title={seller}>{formatAddress(seller)}</span>
+                  <span className="category-chip">{REASON_LABELS[log.bannedSellers[seller]]}</span>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => runAction(contract.methods.unbanSeller(seller), 'Unbanning the seller failed')}
+                    disabled={busy}
+                  >
+                    ✅ Unban
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h4>History</h4>
+          {log.actions.length === 0 ? (
+            <p className="section-empty">No moderation actions yet</p>
+          ) : (
+            <div className="orders-table-wrapper">
+              <table className="orders-table">
+                <thead>
+                  <tr>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Reason</th>
+                    <th>Moderator</th>
+                    <th>Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {log.actions.map(action => (
+                    <tr key={action.transactionHash + action.action}>
+                      <td>{ACTION_LABELS[action.action]}</td>
+                      <td title={action.seller || undefined}>
+                        {action.productId !== null ? `Product #${action.productId}` : formatAddress(action.seller)}
+                      </td>
+                      <td>{REASON_LABELS[action.reason] || '—'}</td>
+                      <td title={action.moderator}>{formatAddress(action.moderator)}</td>
+                      <td>{new Date(action.timestamp * 1000).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ModerationConsole;
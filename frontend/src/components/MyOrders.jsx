@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import {
+  formatAddress,
+  formatEth,
+  fromTokenUnits,
+  findPaymentToken,
+  getPurchaseHistory,
+  ORDER_STATUS
+} from '../utils/web3Utils';
+
+const STATUS_LABELS = {
+  [ORDER_STATUS.AWAITING_SHIPMENT]: '📦 Awaiting shipment',
+  [ORDER_STATUS.SHIPPED]: '🚚 Shipped',
+  [ORDER_STATUS.COMPLETED]: '✅ Completed',
+  [ORDER_STATUS.REFUNDED]: '↩️ Refunded',
+};
+
+const MyOrders = ({ contract, account, products = [], paymentTokens = [], onClose }) => {
+
+  const [purchases, setPurchases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the account's purchases whenever the account changes
+   */
+  useEffect(() => {
+    const loadPurchases = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setPurchases(await getPurchaseHistory(contract, account));
+      } catch (err) {
+        console.error('❌ Error loading order history:', err);
+        setError('Failed to load your orders');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (contract && account) {
+      loadPurchases();
+    }
+  }, [contract, account]);
+
+  /**
+   * Format the amount paid in the listing's currency
+   */
+  const formatAmount = (purchase) => {
+    const product = products.find(p => p.id === purchase.productId);
+    const token = findPaymentToken(paymentTokens, product?.paymentToken);
+    const amount = fromTokenUnits(purchase.amountPaid, token.decimals);
+    return `${formatEth(amount, Math.min(4, token.decimals))} ${token.symbol}`;
+  };
+
+  return (
+    <section className="products-section my-orders">
+      <div className="section-header">
+        <h3>📜 My Orders ({purchases.length})</h3>
+        <p>Everything you've bought on the marketplace</p>
+        <button className="btn btn-small btn-secondary" onClick={onClose}>
+          ✖ Close
+        </button>
+      </div>
+
+      {loading && <p className="section-empty">Loading orders...</p>}
+      {error && <span className="error-text">{error}</span>}
+      {!loading && !error && purchases.length === 0 && (
+        <p className="section-empty">You haven't bought anything yet</p>
+      )}
+
+      {purchases.length > 0 && (
+        <div className="orders-table-wrapper">
+          <table className="orders-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Qty</th>
+                <th>Paid</th>
+                <th>Seller</th>
+                <th>Status</th>
+                <th>Date</th>
+                <th>Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {purchases.map(purchase => (
+                <tr key={purchase.orderId ?? `${purchase.transactionHash}-${purchase.logIndex}`}>
+                  <td>
+                    {purchase.productName}
+                    {purchase.orderId && <span className="order-id"> #{purchase.orderId}</span>}
+                  </td>
+                  <td>{purchase.quantity}</td>
+                  <td>{formatAmount(purchase)}</td>
+                  <td title={purchase.seller}>{formatAddress(purchase.seller)}</td>
+                  <td>{STATUS_LABELS[purchase.status] || '—'}</td>
+                  <td>
+                    {purchase.purchasedAt
+                      ? new Date(purchase.purchasedAt * 1000).toLocaleString()
+                      : '—'}
+                  </td>
+                  <td title={purchase.transactionHash}>
+                    <code>{formatAddress(purchase.transactionHash)}</code>
+                    <span className="order-block">block {purchase.blockNumber}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default MyOrders;
@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { formatAddress, formatEth, weiToEth, ethToWei, OFFER_STATUS } from '../utils/web3Utils';
+
+const STATUS_LABELS = {
+  [OFFER_STATUS.OPEN]: { text: 'Open', icon: '💬' },
+  [OFFER_STATUS.COUNTERED]: { text: 'Countered', icon: '🔁' },
+  [OFFER_STATUS.ACCEPTED]: { text: 'Accepted', icon: '✅' },
+  [OFFER_STATUS.REJECTED]: { text: 'Rejected', icon: '❌' },
+  [OFFER_STATUS.WITHDRAWN]: { text: 'Withdrawn', icon: '↩️' },
+};
+
+const OfferCard = ({
+  offer,
+  product,
+  account,
+  onOfferAction,
+  busy = false
+}) => {
+
+  const [countering, setCountering] = useState(false);
+  const [counterAmount, setCounterAmount] = useState('');
+  const [counterError, setCounterError] = useState('');
+
+  const isSeller = product.seller.toLowerCase() === account?.toLowerCase();
+  const isBuyer = offer.buyer.toLowerCase() === account?.toLowerCase();
+  const isOpen = offer.status === OFFER_STATUS.OPEN;
+  const isCountered = offer.status === OFFER_STATUS.COUNTERED;
+  const expired = offer.expiresAt <= Math.floor(Date.now() / 1000);
+
+  /**
+   * Format an expiry timestamp relative to now
+   */
+  const formatExpiry = () => {
+    const seconds = offer.expiresAt - Math.floor(Date.now() / 1000);
+    if (seconds <= 0) return 'Expired';
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    if (days > 0) return `Expires in ${days}d ${hours}h`;
+    return `Expires in ${hours}h ${Math.floor((seconds % 3600) / 60)}m`;
+  };
+
+  /**
+   * Validate and send the seller's counter-offer
+   */
+  const handleCounterSubmit = async (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(counterAmount);
+    if (isNaN(amount) || amount <= 0) {
+      setCounterError('Enter an amount');
+      return;
+    }
+
+    const amountWei = ethToWei(counterAmount);
+    if (BigInt(amountWei) <= BigInt(offer.amount)) {
+      setCounterError('Counter-offer must be above the offer');
+      return;
+    }
+
+    setCounterError('');
+    const sent = await onOfferAction(offer.id, 'counterOffer', { amount: amountWei });
+    if (sent) {
+      setCountering(false);
+      setCounterAmount('');
+    }
+  };
+
+  /**
+   * Render the actions available to the seller
+   */
+  const renderSellerActions = () => {
+    if (!isOpen && !isCountered) return null;
+
+    if (countering) {
+      return (
+        <form className="product-edit-form" onSubmit={handleCounterSubmit}>
+          <div className="price-input-container">
+            <input
+              type="number"
+              value={counterAmount}
+              onChange={(e) => { setCounterAmount(e.target.value); setCounterError(''); }}
+              placeholder={weiToEth(product.price)}
+              step="0.0001"
+              min="0"
+              className="form-input price-input"
+              disabled={busy}
+            />
+            <span className="price-unit">ETH</span>
+          </div>
+          {counterError && <span className="error-text">{counterError}</span>}
+          <div className="owner-actions">
+            <button
+              type="button"
+              className="btn btn-secondary btn-small"
+              onClick={() => setCountering(false)}
+              disabled={busy}
+            >
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary btn-small" disabled={busy}>
+              {busy ? 'Sending...' : '🔁 Send counter'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <div className="owner-actions">
+        {isOpen && !expired && (
+          <button
+            className="btn btn-primary btn-small"
+            onClick={() => onOfferAction(offer.id, 'acceptOffer')}
+            disabled={busy}
+          >
+            {busy ? 'Processing...' : '✅ Accept'}
+          </button>
+        )}
+        {isOpen && !expired && (
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => setCountering(true)}
+            disabled={busy}
+          >
+            🔁 Counter
+          </button>
+        )}
+        <button
+          className="btn btn-danger btn-small"
+          onClick={() => onOfferAction(offer.id, 'rejectOffer')}
+          disabled={busy}
+        >
+          ❌ Reject
+        </button>
+      </div>
+    );
+  };
+
+  /**
+   * Render the actions available to the buyer
+   */
+  const renderBuyerActions = () => {
+    if (!isOpen && !isCountered) return null;
+
+    const topUp = isCountered ? BigInt(offer.counterAmount) - BigInt(offer.amount) : 0n;
+
+    return (
+      <div className="owner-actions">
+        {isCountered && !expired && (
+          <button
+            className="btn btn-primary btn-small"
+            onClick={() => onOfferAction(offer.id, 'acceptCounterOffer', { value: topUp.toString() })}
+            disabled={busy}
+          >
+            {busy ? 'Processing...' : `✅ Accept (+${formatEth(weiToEth(topUp), 4)} ETH)`}
+          </button>
+        )}
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => onOfferAction(offer.id, 'withdrawOffer')}
+          disabled={busy}
+        >
+          ↩️ Withdraw offer
+        </button>
+      </div>
+    );
+  };
+
+  const status = STATUS_LABELS[offer.status];
+
+  return (
+    <div className={`product-card offer-card ${isOpen || isCountered ? 'available' : 'sold'}`}>
+      <div className="product-header">
+        <div className="product-id">
+          <span className="id-label">Offer</span>
+          <span className="id-value">#{offer.id}</span>
+        </div>
+        {status && (
+          <span className="offer-status">{status.icon} {status.text}</span>
+        )}
+      </div>
+
+      <div className="product-content">
+        <h3 className="product-name" title={product.name}>
+          {product.name}
+        </h3>
+
+        <div className="product-details">
+          <div className="detail-item">
+            <span className="detail-label">🏷️ Listed at:</span>
+            <span className="detail-value">{formatEth(weiToEth(product.price), 4)} ETH</span>
+          </div>
+          <div className="detail-item price-item">
+            <span className="detail-label">💬 Offer:</span>
+            <span className="detail-value price-value">{formatEth(weiToEth(offer.amount), 4)} ETH</span>
+          </div>
+          {isCountered && (
+            <div className="detail-item">
+              <span className="detail-label">🔁 Counter:</span>
+              <span className="detail-value">{formatEth(weiToEth(offer.counterAmount), 4)} ETH</span>
+            </div>
+          )}
+          <div className="detail-item">
+            <span className="detail-label">{isSeller ? '👤 Buyer:' : '👤 Seller:'}</span>
+            <span className="detail-value" title={isSeller ? offer.buyer : product.seller}>
+              {formatAddress(isSeller ? offer.buyer : product.seller)}
+            </span>
+          </div>
+          {(isOpen || isCountered) && (
+            <div className="detail-item">
+              <span className="detail-label">⏱️</span>
+              <span className="detail-value">{formatExpiry()}</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="product-footer">
+        <div className="product-actions">
+          {isSeller && renderSellerActions()}
+          {isBuyer && renderBuyerActions()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OfferCard;
@@ -0,0 +1,56 @@
+import { formatEth, fromTokenUnits, getDecayedPrice } from '../utils/web3Utils';
+
+const CHART_WIDTH = 200;
+const CHART_HEIGHT = 60;
+const PADDING = 4;
+
+// Part of the chart showing the floor after the decay ends
+const FLOOR_TAIL = 0.2;
+
+/**
+ * Small line chart of a Dutch auction's price over time, with a marker
+ * at the current price
+ */
+const PriceDecayChart = ({ priceDecay, now, paymentToken }) => {
+
+  const startPrice = Number(fromTokenUnits(priceDecay.startPrice, paymentToken.decimals));
+  const floorPrice = Number(fromTokenUnits(priceDecay.floorPrice, paymentToken.decimals));
+  const price = Number(fromTokenUnits(getDecayedPrice(priceDecay, now), paymentToken.decimals));
+
+  // Time runs left to right, ending a little after the price reaches the floor
+  const decayWidth = (CHART_WIDTH - PADDING * 2) * (1 - FLOOR_TAIL);
+  const elapsed = Math.max(0, Math.floor(now / 1000) - priceDecay.startTime);
+  const progress = Math.min(elapsed / priceDecay.duration, 1 / (1 - FLOOR_TAIL));
+
+  const x = (fraction) => PADDING + fraction * decayWidth;
+  const y = (value) =>
+    PADDING + ((startPrice - value) / (startPrice - floorPrice)) * (CHART_HEIGHT - PADDING * 2);
+
+  const formatAmount = (amount) => `${formatEth(amount, Math.min(4, paymentToken.decimals))} ${paymentToken.symbol}`;
+
+  return (
+    <svg
+      className="price-decay-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={`Price falls from ${formatAmount(startPrice)} to ${formatAmount(floorPrice)}`}
+    >
+      <polyline
+        className="decay-line"
+        points={`${x(0)},${y(startPrice)} ${x(1)},${y(floorPrice)} ${CHART_WIDTH - PADDING},${y(floorPrice)}`}
+      />
+      <line
+        className="decay-floor"
+        x1={PADDING}
+        x2={CHART_WIDTH - PADDING}
+        y1={y(floorPrice)}
+        y2={y(floorPrice)}
+      />
+      <circle className="decay-marker" cx={x(progress)} cy={y(price)} r="3.5">
+        <title>{`Now: ${formatAmount(price)}`}</title>
+      </circle>
+    </svg>
+  );
+};
+
+export default PriceDecayChart;
@@ -1,21 +1,111 @@
-import { weiToEth, formatAddress, formatEth } from '../utils/web3Utils';
+import { useState, useEffect } from 'react';
+import { formatAddress, formatEth, fromTokenUnits, toTokenUnits, ethToWei, isEthPayment, isListingExpired, getListingPrice, ORDER_STATUS, SALE_TYPE, ETH_TOKEN } from '../utils/web3Utils';
+import AuctionPanel from './AuctionPanel';
+import ReviewForm from './ReviewForm';
+import ProductGallery from './ProductGallery';
+import PriceDecayChart from './PriceDecayChart';
+
+// Sale periods offered when relisting, in days (0 = until sold)
+const RELIST_DAYS = [0, 1, 3, 7, 30];
 
 const ProductCard = ({ 
   product, 
   account, 
   onPurchase, 
+  onUpdate,
+  onDelist,
+  onOrderAction,
+  onBid,
+  onSettle,
+  onMakeOffer,
+  onAddToCart,
+  onToggleWatch,
+  onRelist,
+  onReview,
+  onViewSeller,
+  sellerRating = null,
+  contract = null,
   purchasing, 
+  modifying = false,
+  relisting = false,
+  orderBusy = false,
+  auctionBusy = false,
+  offerBusy = false,
+  reviewBusy = false,
+  deliveryTimeout = 0,
+  feeBps = 0,
+  paymentToken = ETH_TOKEN,
+  allowance = null,
+  purchaseStep = null,
   canPurchase, 
+  paused = false,
   isOwner = false,
-  isSold = false 
+  isSold = false,
+  cartQuantity = 0,
+  watched = false
 }) => {
   
+  const [editing, setEditing] = useState(false);
+  const [editForm, setEditForm] = useState({ description: '', price: '' });
+  const [editError, setEditError] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [offering, setOffering] = useState(false);
+  const [offerForm, setOfferForm] = useState({ amount: '', days: '3' });
+  const [offerError, setOfferError] = useState('');
+  const [relistDays, setRelistDays] = useState('7');
+  const [now, setNow] = useState(Date.now());
+
+  // Tick the expiry countdown and falling Dutch auction price while the listing is on sale
+  useEffect(() => {
+    const ticking = product.expiresAt > 0 || product.saleType === SALE_TYPE.DUTCH_AUCTION;
+    if (!ticking || product.sold || product.delisted) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [product.expiresAt, product.saleType, product.sold, product.delisted]);
+
+  const expired = !product.sold && !product.delisted && isListingExpired(product, now);
+
   /**
    * Format product price for display
    */
   const formatPrice = () => {
-    const ethAmount = weiToEth(product.price);
-    return formatEth(ethAmount, 4);
+    const amount = fromTokenUnits(getListingPrice(product, now), paymentToken.decimals);
+    return formatEth(amount, Math.min(4, paymentToken.decimals));
+  };
+
+  /**
+   * Total cost of the selected quantity, in the listing currency's base units
+   */
+  const getTotalPrice = () => getListingPrice(product, now) * BigInt(quantity);
+
+  /**
+   * Format the total cost of the selected quantity for display
+   */
+  const formatTotalPrice = () => {
+    const amount = fromTokenUnits(getTotalPrice(), paymentToken.decimals);
+    return formatEth(amount, Math.min(4, paymentToken.decimals));
+  };
+
+  /**
+   * Split the total into marketplace fee and seller payout (in the listing currency)
+   */
+  const getFeeBreakdown = () => {
+    const priceUnits = getTotalPrice();
+    const feeUnits = (priceUnits * BigInt(feeBps)) / 10000n;
+    const decimals = Math.min(6, paymentToken.decimals);
+    return {
+      fee: formatEth(fromTokenUnits(feeUnits, paymentToken.decimals), decimals),
+      sellerReceives: formatEth(fromTokenUnits(priceUnits - feeUnits, paymentToken.decimals), decimals),
+      percent: (feeBps / 100).toString()
+    };
+  };
+
+  /**
+   * Check if a token listing still needs an approve transaction before buying
+   */
+  const needsApproval = () => {
+    if (allowance === null || allowance === undefined) return false;
+    return BigInt(allowance) < getTotalPrice();
   };
 
   /**
@@ -25,12 +115,77 @@ const ProductCard = ({
     return product.seller.toLowerCase() === account?.toLowerCase();
   };
 
+  /**
+   * Check if the product is sold by auction rather than at a fixed price
+   */
+  const isAuction = () => product.saleType === SALE_TYPE.AUCTION && Boolean(product.auction);
+
+  /**
+   * Check if the product's price falls over time
+   */
+  const isDutchAuction = () => product.saleType === SALE_TYPE.DUTCH_AUCTION && Boolean(product.priceDecay);
+
+  /**
+   * Seconds left until a Dutch auction reaches its floor price
+   */
+  const getSecondsToFloor = () => {
+    const floorAt = product.priceDecay.startTime + product.priceDecay.duration;
+    return Math.max(0, floorAt - Math.floor(now / 1000));
+  };
+
+  /**
+   * Check if the product's order is still holding funds in escrow
+   */
+  const isInEscrow = () => {
+    const status = product.order?.status;
+    return status === ORDER_STATUS.AWAITING_SHIPMENT || status === ORDER_STATUS.SHIPPED;
+  };
+
+  /**
+   * Check if current user is the buyer of this product's order
+   */
+  const isCurrentUserBuyer = () => {
+    return product.order?.buyer.toLowerCase() === account?.toLowerCase();
+  };
+
+  /**
+   * Seconds left until the seller can release escrow without the buyer
+   */
+  const getReleaseCountdown = () => {
+    if (product.order?.status !== ORDER_STATUS.SHIPPED) return null;
+    const releaseAt = product.order.shippedAt + deliveryTimeout;
+    return Math.max(0, releaseAt - Math.floor(Date.now() / 1000));
+  };
+
+  /**
+   * Seconds left before the listing expires, or null if it never does
+   */
+  const getExpiryCountdown = () => {
+    if (!product.expiresAt) return null;
+    return Math.max(0, product.expiresAt - Math.floor(now / 1000));
+  };
+
+  /**
+   * Format a number of seconds as "Xd Yh" / "Yh Zm"
+   */
+  const formatDuration = (seconds) => {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    return `${hours}h ${minutes}m`;
+  };
+
   /**
    * Get card status class
    */
   const getCardStatusClass = () => {
+    if (product.order && isInEscrow()) return 'escrow';
     if (isSold || product.sold) return 'sold';
+    if (product.delisted) return 'delisted';
+    if (expired) return 'expired';
     if (isOwner || isCurrentUserSeller()) return 'owner';
+    if (isAuction()) return 'auction';
     if (canPurchase) return 'available';
     return 'default';
   };
@@ -39,12 +194,27 @@ const ProductCard = ({
    * Get status badge
    */
   const getStatusBadge = () => {
+    if (product.order && isInEscrow()) {
+      return { text: 'AWAITING DELIVERY', icon: '📬', class: 'escrow' };
+    }
     if (isSold || product.sold) {
       return { text: 'SOLD', icon: '✅', class: 'sold' };
     }
+    if (product.delisted) {
+      return { text: 'DELISTED', icon: '🚫', class: 'delisted' };
+    }
+    if (expired) {
+      return { text: 'EXPIRED', icon: '⌛', class: 'expired' };
+    }
     if (isOwner || isCurrentUserSeller()) {
       return { text: 'YOUR PRODUCT', icon: '👤', class: 'owner' };
     }
+    if (isAuction()) {
+      return { text: 'AUCTION', icon: '🔨', class: 'auction' };
+    }
+    if (isDutchAuction() && canPurchase) {
+      return { text: 'PRICE DROPPING', icon: '📉', class: 'available' };
+    }
     if (canPurchase) {
       return { text: 'AVAILABLE', icon: '🛒', class: 'available' };
     }
@@ -57,7 +227,106 @@ const ProductCard = ({
    */
   const handleBuyClick = () => {
     if (canPurchase && !purchasing && onPurchase) {
-      onPurchase(product.id, product.price);
+      onPurchase(product.id, product.price, quantity);
+    }
+  };
+
+  /**
+   * Keep the selected quantity between 1 and the remaining stock
+   */
+  const handleQuantityChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (isNaN(value)) return;
+    setQuantity(Math.min(Math.max(value, 1), product.stock));
+  };
+
+  /**
+   * Open the inline edit form pre-filled with the current listing
+   */
+  const handleEditClick = () => {
+    setEditForm({
+      description: product.description,
+      price: fromTokenUnits(product.price, paymentToken.decimals)
+    });
+    setEditError('');
+    setEditing(true);
+  };
+
+  /**
+   * Handle edit form input changes
+   */
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditForm(prev => ({ ...prev, [name]: value }));
+    setEditError('');
+  };
+
+  /**
+   * Validate and submit the edited listing
+   */
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+
+    const description = editForm.description.trim();
+    const priceNum = parseFloat(editForm.price);
+
+    if (description.length < 10 || description.length > 500) {
+      setEditError('Description must be between 10 and 500 characters');
+      return;
+    }
+    if (isNaN(priceNum) || priceNum <= 0) {
+      setEditError('Price must be greater than 0');
+      return;
+    }
+
+    const updated = await onUpdate(
+      product.id,
+      description,
+      toTokenUnits(editForm.price, paymentToken.decimals)
+    );
+    if (updated) {
+      setEditing(false);
+    }
+  };
+
+  /**
+   * Handle delist button click
+   */
+  const handleDelistClick = () => {
+    if (!modifying && onDelist) {
+      onDelist(product.id);
+    }
+  };
+
+  /**
+   * Handle escrow action button click
+   */
+  const handleOrderClick = (action) => {
+    if (!orderBusy && onOrderAction && product.order) {
+      onOrderAction(product.order.id, action);
+    }
+  };
+
+  /**
+   * Validate and submit an offer below the listing price
+   */
+  const handleOfferSubmit = async (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(offerForm.amount);
+    if (isNaN(amount) || amount <= 0) {
+      setOfferError('Offer must be greater than 0');
+      return;
+    }
+
+    const sent = await onMakeOffer(
+      product.id,
+      ethToWei(offerForm.amount),
+      Number(offerForm.days) * 86400
+    );
+    if (sent) {
+      setOffering(false);
+      setOfferForm({ amount: '', days: '3' });
     }
   };
 
@@ -94,50 +363,357 @@ const ProductCard = ({
    * Render product actions (buy button, etc.)
    */
   const renderActions = () => {
+    // Review form for a completed purchase
+    if (onReview && product.order) {
+      return (
+        <div className="product-actions">
+          <ReviewForm
+            onSubmit={(rating, comment) => onReview(product.order.id, rating, comment)}
+            busy={reviewBusy}
+          />
+        </div>
+      );
+    }
+
+    // Escrow actions for the buyer and the seller of an open order, whether
+    // or not the listing still has stock
+    if (product.order && isInEscrow() && onOrderAction) {
+      const escrowActions = renderEscrowActions();
+      if (escrowActions) return escrowActions;
+    }
+
     // No actions for sold products
     if (isSold || product.sold) {
       return (
         <div className="product-actions">
           <div className="sold-indicator">
             <span className="sold-icon">✅</span>
-            <span className="sold-text">Product Sold</span>
+            <span className="sold-text">Sold Out</span>
+          </div>
+        </div>
+      );
+    }
+
+    // Delisted products can no longer be bought or edited
+    if (product.delisted) {
+      return (
+        <div className="product-actions">
+          <div className="delisted-indicator">
+            <span className="delisted-icon">🚫</span>
+            <span className="delisted-text">Listing Removed</span>
           </div>
         </div>
       );
     }
 
-    // No actions for owner's products
+    // Expired listings can be put back on sale by their seller
+    if (expired) {
+      return (
+        <div className="product-actions">
+          <div className="delisted-indicator">
+            <span className="delisted-icon">⌛</span>
+            <span className="delisted-text">Listing Expired</span>
+          </div>
+          {(isOwner || isCurrentUserSeller()) && onRelist && (
+            <div className="owner-actions">
+              <select
+                value={relistDays}
+                onChange={(e) => setRelistDays(e.target.value)}
+                className="form-input"
+                disabled={relisting || paused}
+                aria-label="Sale period"
+              >
+                {RELIST_DAYS.map(days => (
+                  <option key={days} value={days}>
+                    {days === 0 ? 'Until sold' : `${days} day${days === 1 ? '' : 's'}`}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn btn-primary btn-small"
+                onClick={() => onRelist(product.id, Number(relistDays))}
+                disabled={relisting || paused}
+                title={paused ? 'Trading is paused' : undefined}
+              >
+                {relisting ? 'Relisting...' : '🔁 Relist'}
+              </button>
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    // Live auctions: bidding, countdown and settlement
+    if (isAuction() && onBid && onSettle) {
+      return (
+        <AuctionPanel
+          product={product}
+          account={account}
+          contract={contract}
+          onBid={onBid}
+          onSettle={onSettle}
+          onDelist={onDelist}
+          busy={auctionBusy || modifying}
+          paused={paused}
+        />
+      );
+    }
+
+    // Edit/Delist actions for owner's products
     if (isOwner || isCurrentUserSeller()) {
+      if (editing) {
+        return renderEditForm();
+      }
+
       return (
         <div className="product-actions">
           <div className="owner-indicator">
             <span className="owner-icon">👤</span>
             <span className="owner-text">Your Product</span>
           </div>
+          {onUpdate && onDelist && (
+            <div className="owner-actions">
+              {!isDutchAuction() && (
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={handleEditClick}
+                  disabled={modifying}
+                >
+                  ✏️ Edit
+                </button>
+              )}
+              <button
+                className="btn btn-danger btn-small"
+                onClick={handleDelistClick}
+                disabled={modifying}
+              >
+                {modifying ? 'Updating...' : '🗑️ Delist'}
+              </button>
+            </div>
+          )}
         </div>
       );
     }
 
     // Buy button for available products
     if (canPurchase) {
+      const breakdown = getFeeBreakdown();
+
       return (
         <div className="product-actions">
+          {product.stock > 1 && (
+            <div className="quantity-picker">
+              <label htmlFor={`quantity-${product.id}`}>Quantity</label>
+              <input
+                type="number"
+                id={`quantity-${product.id}`}
+                value={quantity}
+                onChange={handleQuantityChange}
+                min="1"
+                max={product.stock}
+                step="1"
+                className="form-input"
+                disabled={purchasing}
+              />
+            </div>
+          )}
+          {feeBps > 0 && (
+            <div className="fee-breakdown">
+              <div className="fee-row">
+                <span>You pay</span>
+                <span>{formatTotalPrice()} {paymentToken.symbol}</span>
+              </div>
+              <div className="fee-row">
+                <span>Marketplace fee ({breakdown.percent}%)</span>
+                <span>{breakdown.fee} {paymentToken.symbol}</span>
+              </div>
+              <div className="fee-row">
+                <span>Seller receives</span>
+                <span>{breakdown.sellerReceives} {paymentToken.symbol}</span>
+              </div>
+            </div>
+          )}
+          {allowance !== null && allowance !== undefined && (
+            <div className={`allowance-status ${needsApproval() ? 'needs-approval' : 'approved'}`}>
+              {needsApproval()
+                ? `🔒 Approval needed: market may spend ${formatEth(fromTokenUnits(allowance, paymentToken.decimals), 2)} ${paymentToken.symbol}`
+                : `🔓 ${paymentToken.symbol} spending approved`}
+            </div>
+          )}
           <button
             className="btn btn-primary btn-buy"
             onClick={handleBuyClick}
-            disabled={purchasing}
+            disabled={purchasing || paused}
+            title={paused ? 'Trading is paused' : undefined}
           >
             {purchasing ? (
               <>
                 <span className="loading-spinner"></span>
-                Purchasing...
+                {purchaseStep === 'approving'
+                  ? `Approving ${paymentToken.symbol}...`
+                  : 'Purchasing...'}
               </>
             ) : (
               <>
-                🛒 Buy for {formatPrice()} ETH
+                {needsApproval() ? '🔓 Approve & Buy' : '🛒 Buy'} for {formatTotalPrice()} {paymentToken.symbol}
               </>
             )}
           </button>
+          {onAddToCart && (
+            <button
+              className="btn btn-secondary btn-buy"
+              onClick={() => onAddToCart(product.id, quantity)}
+              disabled={purchasing || cartQuantity + quantity > product.stock}
+              title={cartQuantity > 0 ? `${cartQuantity} already in your cart` : undefined}
+            >
+              ➕ Add to cart{cartQuantity > 0 ? ` (${cartQuantity} in cart)` : ''}
+            </button>
+          )}
+          {/* The contract only takes offers on fixed-price ETH listings */}
+          {onMakeOffer && product.saleType === SALE_TYPE.FIXED_PRICE && isEthPayment(product.paymentToken) && renderOfferForm()}
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  /**
+   * Render the "Make offer" button, or the offer form once opened
+   */
+  const renderOfferForm = () => {
+    if (!offering) {
+      return (
+        <button
+          className="btn btn-outline btn-buy"
+          onClick={() => { setOffering(true); setOfferError(''); }}
+          disabled={purchasing || offerBusy || paused}
+        >
+          💬 Make offer
+        </button>
+      );
+    }
+
+    return (
+      <form className="product-edit-form" onSubmit={handleOfferSubmit}>
+        <div className="price-input-container">
+          <input
+            type="number"
+            name="amount"
+            value={offerForm.amount}
+            onChange={(e) => { setOfferForm(prev => ({ ...prev, amount: e.target.value })); setOfferError(''); }}
+            placeholder={formatPrice()}
+            step="0.0001"
+            min="0"
+            className="form-input price-input"
+            disabled={offerBusy}
+          />
+          <span className="price-unit">ETH</span>
+        </div>
+        <select
+          name="days"
+          value={offerForm.days}
+          onChange={(e) => setOfferForm(prev => ({ ...prev, days: e.target.value }))}
+          className="form-input"
+          disabled={offerBusy}
+        >
+          <option value="1">Valid for 1 day</option>
+          <option value="3">Valid for 3 days</option>
+          <option value="7">Valid for 7 days</option>
+        </select>
+        {offerError && <span className="error-text">{offerError}</span>}
+        <div className="owner-actions">
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            onClick={() => setOffering(false)}
+            disabled={offerBusy}
+          >
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary btn-small" disabled={offerBusy || paused}>
+            {offerBusy ? 'Sending...' : '💬 Send offer'}
+          </button>
+        </div>
+      </form>
+    );
+  };
+
+  /**
+   * Render escrow state and the actions available to the current user
+   */
+  const renderEscrowActions = () => {
+    const shipped = product.order.status === ORDER_STATUS.SHIPPED;
+    const countdown = getReleaseCountdown();
+
+    if (isCurrentUserBuyer()) {
+      return (
+        <div className="product-actions escrow-actions">
+          <div className="escrow-indicator">
+            <span className="escrow-icon">{shipped ? '🚚' : '⏳'}</span>
+            <span className="escrow-text">
+              {shipped ? 'Awaiting delivery' : 'Awaiting shipment'} ({product.order.quantity} unit{product.order.quantity === 1 ? '' : 's'})
+            </span>
+          </div>
+          <button
+            className="btn btn-primary btn-buy"
+            onClick={() => handleOrderClick('confirmDelivery')}
+            disabled={orderBusy}
+          >
+            {orderBusy ? 'Processing...' : '📦 Confirm receipt'}
+          </button>
+          {!shipped && (
+            <button
+              className="btn btn-secondary btn-buy"
+              onClick={() => handleOrderClick('requestRefund')}
+              disabled={orderBusy}
+            >
+              ↩️ Request refund
+            </button>
+          )}
+          {shipped && countdown !== null && (
+            <span className="escrow-note">
+              {countdown > 0
+                ? `Payment auto-releases to the seller in ${formatDuration(countdown)}`
+                : 'Seller can now release the payment'}
+            </span>
+          )}
+        </div>
+      );
+    }
+
+    if (isCurrentUserSeller()) {
+      return (
+        <div className="product-actions escrow-actions">
+          <div className="escrow-indicator">
+            <span className="escrow-icon">{shipped ? '🚚' : '📦'}</span>
+            <span className="escrow-text">
+              {shipped ? 'Awaiting buyer confirmation' : 'Sold - ship to buyer'} ({product.order.quantity} unit{product.order.quantity === 1 ? '' : 's'})
+            </span>
+          </div>
+          {!shipped && (
+            <button
+              className="btn btn-primary btn-buy"
+              onClick={() => handleOrderClick('markShipped')}
+              disabled={orderBusy}
+            >
+              {orderBusy ? 'Processing...' : '🚚 Mark as shipped'}
+            </button>
+          )}
+          {shipped && countdown === 0 && (
+            <button
+              className="btn btn-primary btn-buy"
+              onClick={() => handleOrderClick('releaseEscrow')}
+              disabled={orderBusy}
+            >
+              {orderBusy ? 'Processing...' : '💰 Release payment'}
+            </button>
+          )}
+          {shipped && countdown > 0 && (
+            <span className="escrow-note">
+              Payment can be released in {formatDuration(countdown)} if the buyer does not confirm
+            </span>
+          )}
         </div>
       );
     }
@@ -145,9 +721,58 @@ const ProductCard = ({
     return null;
   };
 
+  /**
+   * Render inline form for editing price and description
+   */
+  const renderEditForm = () => (
+    <form className="product-edit-form" onSubmit={handleEditSubmit}>
+      <textarea
+        name="description"
+        value={editForm.description}
+        onChange={handleEditChange}
+        maxLength={500}
+        rows={3}
+        className="form-textarea"
+        disabled={modifying}
+      />
+      <div className="price-input-container">
+        <input
+          type="number"
+          name="price"
+          value={editForm.price}
+          onChange={handleEditChange}
+          step="0.0001"
+          min="0"
+          max="1000"
+          className="form-input price-input"
+          disabled={modifying}
+        />
+        <span className="price-unit">{paymentToken.symbol}</span>
+      </div>
+      {editError && <span className="error-text">{editError}</span>}
+      <div className="owner-actions">
+        <button
+          type="button"
+          className="btn btn-secondary btn-small"
+          onClick={() => setEditing(false)}
+          disabled={modifying}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="btn btn-primary btn-small"
+          disabled={modifying}
+        >
+          {modifying ? 'Saving...' : '💾 Save'}
+        </button>
+      </div>
+    </form>
+  );
+
   
   return (
-    <div className={`product-card ${getCardStatusClass()}`}>
+    <div className={`product-card ${getCardStatusClass()} ${product.liveStatus ? `live-${product.liveStatus}` : ''}`}>
       
       {/* Status badge */}
       {renderStatusBadge()}
@@ -158,10 +783,31 @@ const ProductCard = ({
           <span className="id-label">ID:</span>
           <span className="id-value">#{product.id}</span>
         </div>
+        {product.liveStatus === 'new' && (
+          <span className="live-badge new">🆕 New listing</span>
+        )}
+        {product.liveStatus === 'sold' && (
+          <span className="live-badge sold">🔥 Just sold</span>
+        )}
+        {onToggleWatch && !(isOwner || isCurrentUserSeller()) && (
+          <button
+            className={`watch-toggle ${watched ? 'watched' : ''}`}
+            onClick={() => onToggleWatch(product.id)}
+            title={watched ? 'Stop watching' : 'Watch for price changes and sales'}
+            aria-pressed={watched}
+          >
+            {watched ? '★' : '☆'}
+          </button>
+        )}
       </div>
 
       {/* Product content */}
       <div className="product-content">
+
+        {/* Images and details pinned off-chain */}
+        {product.metadataURI && (
+          <ProductGallery metadataURI={product.metadataURI} metadataHash={product.metadataHash} />
+        )}
         
         {/* Product name */}
         <h3 className="product-name" title={product.name}>
@@ -173,17 +819,49 @@ const ProductCard = ({
           {product.description}
         </p>
 
+        {/* Category and tags */}
+        {(product.categoryName || product.tags?.length > 0) && (
+          <div className="product-tags">
+            {product.categoryName && (
+              <span className="category-chip">🗂️ {product.categoryName}</span>
+            )}
+            {product.tags?.map(tag => (
+              <span key={tag} className="tag-chip">#{tag}</span>
+            ))}
+          </div>
+        )}
+
         {/* Product details */}
         <div className="product-details">
           
           {/* Price */}
           <div className="detail-item price-item">
-            <span className="detail-label">💰 Price:</span>
-            <span className="detail-value price-value">
-              {formatPrice()} ETH
+            <span className="detail-label">
+              {isAuction() ? '💰 Reserve:' : isDutchAuction() ? '📉 Price now:' : '💰 Price:'}
+            </span>
+            <span className={`detail-value price-value ${isDutchAuction() ? 'price-ticker' : ''}`}>
+              {formatPrice()} {paymentToken.symbol}
             </span>
           </div>
 
+          {/* Dutch auction price schedule */}
+          {isDutchAuction() && !product.sold && !product.delisted && (
+            <div className="price-decay">
+              <PriceDecayChart priceDecay={product.priceDecay} now={now} paymentToken={paymentToken} />
+              <span className="char-count">
+                {getSecondsToFloor() > 0
+                  ? `Falls to ${formatEth(fromTokenUnits(product.priceDecay.floorPrice, paymentToken.decimals), Math.min(4, paymentToken.decimals))} ${paymentToken.symbol} in ${formatDuration(getSecondsToFloor())}`
+                  : 'At its floor price'}
+              </span>
+            </div>
+          )}
+
+          {/* Stock */}
+          <div className="detail-item stock-item">
+            <span className="detail-label">📦 In stock:</span>
+            <span className="detail-value">{product.stock}</span>
+          </div>
+
           {/* Seller */}
           <div className="detail-item seller-item">
             <span className="detail-label">👤 Seller:</span>
@@ -194,13 +872,33 @@ const ProductCard = ({
             >
               {formatAddress(product.seller)}
             </span>
+            {sellerRating && (
+              <button
+                type="button"
+                className="seller-rating"
+                onClick={() => onViewSeller && onViewSeller(product.seller)}
+                title="View seller reviews"
+              >
+                {sellerRating.count > 0
+                  ? `⭐ ${sellerRating.average.toFixed(1)} (${sellerRating.count})`
+                  : 'No reviews'}
+              </button>
+            )}
           </div>
 
+          {/* Expiry */}
+          {product.expiresAt > 0 && !product.sold && !product.delisted && !expired && (
+            <div className="detail-item expiry-item">
+              <span className="detail-label">⏳ Expires in:</span>
+              <span className="detail-value">{formatDuration(getExpiryCountdown())}</span>
+            </div>
+          )}
+
           {/* Status */}
           <div className="detail-item status-item">
             <span className="detail-label">📊 Status:</span>
-            <span className={`detail-value status-value ${product.sold ? 'sold' : 'available'}`}>
-              {product.sold ? '❌ Sold' : '✅ Available'}
+            <span className={`detail-value status-value ${product.sold ? 'sold' : product.delisted ? 'delisted' : expired ? 'expired' : 'available'}`}>
+              {product.sold ? '❌ Sold out' : product.delisted ? '🚫 Delisted' : expired ? '⌛ Expired' : '✅ Available'}
             </span>
           </div>
         </div>
@@ -217,9 +915,15 @@ const ProductCard = ({
           <details>
             <summary>🔧 Debug Info</summary>
             <div className="debug-content">
-              <p><strong>Price (Wei):</strong> {product.price}</p>
+              <p><strong>Price (base units):</strong> {product.price}</p>
+              <p><strong>Payment Token:</strong> {product.paymentToken}</p>
               <p><strong>Seller:</strong> {product.seller}</p>
               <p><strong>Sold:</strong> {product.sold.toString()}</p>
+              <p><strong>Stock:</strong> {product.stock}</p>
+              <p><strong>Delisted:</strong> {product.delisted.toString()}</p>
+              {product.order && (
+                <p><strong>Order:</strong> #{product.order.id} (status {product.order.status})</p>
+              )}
               <p><strong>Can Purchase:</strong> {canPurchase.toString()}</p>
               <p><strong>Is Owner:</strong> {(isOwner || isCurrentUserSeller()).toString()}</p>
             </div>
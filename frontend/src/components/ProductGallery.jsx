@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { fetchProductMetadata, ipfsToGatewayUrl } from '../utils/web3Utils';
+
+const ProductGallery = ({ metadataURI, metadataHash }) => {
+
+  const [metadata, setMetadata] = useState(null);
+  const [verified, setVerified] = useState(null);
+  const [selected, setSelected] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the listing's metadata and check it against the on-chain hash
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadMetadata = async () => {
+      try {
+        setLoading(true);
+        setError('');
+
+        const result = await fetchProductMetadata(metadataURI, metadataHash);
+        if (cancelled) return;
+
+        setMetadata(result.metadata);
+        setVerified(result.verified);
+        setSelected(0);
+      } catch (err) {
+        console.error('❌ Error loading product metadata:', err);
+        if (!cancelled) setError('Images unavailable');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadMetadata();
+    return () => { cancelled = true; };
+  }, [metadataURI, metadataHash]);
+
+  if (loading) {
+    return <div className="product-gallery loading">Loading images...</div>;
+  }
+
+  if (error) {
+    return <div className="product-gallery unavailable">🖼️ {error}</div>;
+  }
+
+  // Don't show content that doesn't match what the seller committed to on-chain
+  if (!verified) {
+    return (
+      <div className="product-gallery unavailable">
+        <span className="metadata-badge mismatch" title={metadataURI}>
+          ⚠️ Metadata does not match the on-chain hash
+        </span>
+      </div>
+    );
+  }
+
+  const images = Array.isArray(metadata?.images) ? metadata.images : [];
+  const attributes = Array.isArray(metadata?.attributes) ? metadata.attributes : [];
+
+  return (
+    <div className="product-gallery">
+      {images.length > 0 && (
+        <img
+          className="gallery-main"
+          src={ipfsToGatewayUrl(images[selected])}
+          alt={metadata.name || 'Product image'}
+        />
+      )}
+
+      {images.length > 1 && (
+        <div className="gallery-thumbs">
+          {images.map((image, index) => (
+            <button
+              key={image}
+              type="button"
+              className={`gallery-thumb ${index === selected ? 'active' : ''}`}
+              onClick={() => setSelected(index)}
+            >
+              <img src={ipfsToGatewayUrl(image)} alt={`Image ${index + 1}`} />
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="gallery-meta">
+        <span className="metadata-badge verified" title={metadataHash}>
+          ✅ Verified metadata
+        </span>
+        {metadata.condition && (
+          <span className="category-chip">{metadata.condition}</span>
+        )}
+      </div>
+
+      {attributes.length > 0 && (
+        <ul className="gallery-attributes">
+          {attributes.map(attribute => (
+            <li key={attribute.trait_type}>
+              <span>{attribute.trait_type}</span>
+              <span>{attribute.value}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
@@ -1,35 +1,184 @@
 
 
-import { useState } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import ProductCard from './ProductCard';
+import OfferCard from './OfferCard';
+import SellerProfile from './SellerProfile';
+import SellerDashboard from './SellerDashboard';
+import SignedOrderCard from './SignedOrderCard';
+import {
+  ORDER_STATUS,
+  OFFER_STATUS,
+  SALE_TYPE,
+  PRODUCT_PAGE_SIZE,
+  getTokenContract,
+  isEthPayment,
+  isListingExpired,
+  findPaymentToken,
+  getSignedOrders,
+  removeSignedOrder
+} from '../utils/web3Utils';
 
 const ProductList = ({ 
   products, 
   contract, 
   account, 
   loading, 
-  onProductPurchased 
+  onProductPurchased,
+  onProductChanged,
+  onOrderUpdated,
+  deliveryTimeout,
+  feeBps,
+  paymentTokens,
+  categories = [],
+  sellerRatings = {},
+  cart = [],
+  onAddToCart,
+  watchlist = [],
+  onToggleWatch,
+  paused = false
 }) => {
   
   const [purchasingId, setPurchasingId] = useState(null);
+  const [purchaseStep, setPurchaseStep] = useState(null); // 'approving' | 'buying'
+  const [allowances, setAllowances] = useState({}); // token address => allowance for the market
+  const [modifyingId, setModifyingId] = useState(null);
+  const [orderBusyId, setOrderBusyId] = useState(null);
+  const [auctionBusyId, setAuctionBusyId] = useState(null);
+  const [offerBusyId, setOfferBusyId] = useState(null); // offer id, or `product-<id>` while making an offer
+  const [sellerTab, setSellerTab] = useState('products'); // 'products' | 'offers' | 'dashboard'
+  const [reviewBusyId, setReviewBusyId] = useState(null);
+  const [viewingSeller, setViewingSeller] = useState(null); // seller address shown in the detail view
+  const [categoryFilter, setCategoryFilter] = useState('all'); // 'all' or a category id
+  const [tagFilter, setTagFilter] = useState(null);
+  const [visibleCount, setVisibleCount] = useState(PRODUCT_PAGE_SIZE); // available products shown so far
+  const [signedOrders, setSignedOrders] = useState([]); // open gasless listings from the local order book
+  const [signedOrderBusy, setSignedOrderBusy] = useState(null); // signature of the order being processed
+  const [signedOrdersKey, setSignedOrdersKey] = useState(0); // bumped to re-read the order book
   const [error, setError] = useState('');
+  const loadMoreRef = useRef(null);
+
+  /**
+   * Load how much of each listed token the market may spend for this account
+   */
+  const loadAllowances = useCallback(async () => {
+    if (!contract || !account) return;
+
+    const tokenAddresses = [...new Set(
+      products
+        .filter(product => !isEthPayment(product.paymentToken))
+        .map(product => product.paymentToken.toLowerCase())
+    )];
+
+    try {
+      const entries = await Promise.all(tokenAddresses.map(async (tokenAddress) => {
+        const allowance = await getTokenContract(tokenAddress).methods
+          .allowance(account, contract.options.address)
+          .call();
+        return [tokenAddress, allowance.toString()];
+      }));
+
+      setAllowances(Object.fromEntries(entries));
+    } catch (err) {
+      console.error('❌ Error loading token allowances:', err);
+    }
+  }, [products, account, contract]);
+
+  useEffect(() => {
+    loadAllowances();
+  }, [loadAllowances]);
+
+  /**
+   * Load the open signed listings; fulfilled ones become products, so
+   * reload whenever the catalog changes
+   */
+  useEffect(() => {
+    const loadSignedOrders = async () => {
+      try {
+        setSignedOrders(await getSignedOrders(contract));
+      } catch (err) {
+        console.error('❌ Error loading signed listings:', err);
+      }
+    };
+
+    if (contract) {
+      loadSignedOrders();
+    }
+  }, [products, contract, signedOrdersKey]);
+
+  /**
+   * Show the next page of available products when the end of the list scrolls into view
+   */
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        setVisibleCount(count => count + PRODUCT_PAGE_SIZE);
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [visibleCount, products, categoryFilter, tagFilter]);
 
   
   /**
    * Handle product purchase
+   * Token listings first approve the market to pull the price, then buy
    */
-  const handlePurchase = async (productId, price) => {
+  const handlePurchase = async (productId, price, quantity = 1) => {
     try {
       setPurchasingId(productId);
       setError('');
+
+      const product = products.find(p => p.id === productId);
+      const token = findPaymentToken(paymentTokens, product.paymentToken);
+
+      // Dutch auctions charge their price when the purchase is mined. The
+      // on-chain price now is never below that, and any excess is credited back.
+      const unitPrice = product.saleType === SALE_TYPE.DUTCH_AUCTION
+        ? await contract.methods.currentPrice(productId).call()
+        : price;
+
+      // Unit price times quantity, in the listing currency's base units
+      const totalPrice = (BigInt(unitPrice) * BigInt(quantity)).toString();
       
-      console.log(`🛒 Attempting to buy product ${productId} for ${price} Wei`);
-      
-      // Call the buyProduct function on the smart contract
-      const result = await contract.methods.buyProduct(productId).send({
-        from: account,
-        value: price
-      });
+      console.log(`🛒 Attempting to buy ${quantity} x product ${productId} for ${totalPrice} (${token.symbol} base units)`);
+
+      let result;
+
+      if (isEthPayment(product.paymentToken)) {
+        setPurchaseStep('buying');
+
+        // Call the buyProduct function on the smart contract
+        result = await contract.methods.buyProduct(productId, quantity).send({
+          from: account,
+          value: totalPrice
+        });
+      } else {
+        const tokenContract = getTokenContract(product.paymentToken);
+        const marketAddress = contract.options.address;
+
+        const allowance = await tokenContract.methods
+          .allowance(account, marketAddress)
+          .call();
+
+        if (BigInt(allowance) < BigInt(totalPrice)) {
+          setPurchaseStep('approving');
+          console.log(`🔓 Approving market to spend ${totalPrice} ${token.symbol} base units`);
+
+          await tokenContract.methods
+            .approve(marketAddress, totalPrice)
+            .send({ from: account });
+        }
+
+        setPurchaseStep('buying');
+        result = await contract.methods.buyProduct(productId, quantity).send({
+          from: account
+        });
+      }
       
       console.log('✅ Purchase successful:', result.transactionHash);
       
@@ -44,25 +193,575 @@ const ProductList = ({
       
       if (err.message.includes('User denied')) {
         errorMessage = 'Transaction cancelled by user';
+      } else if (err.message.includes('EnforcedPause')) {
+        errorMessage = 'The marketplace is paused - trading is temporarily disabled';
       } else if (err.message.includes('insufficient funds')) {
         errorMessage = 'Insufficient ETH balance';
       } else if (err.message.includes('Product already sold')) {
-        errorMessage = 'Product already sold';
+        errorMessage = 'Product already sold out';
+      } else if (err.message.includes('Not enough stock')) {
+        errorMessage = 'Not enough stock left for that quantity';
       } else if (err.message.includes('Cannot buy your own product')) {
         errorMessage = 'Cannot buy your own product';
       } else if (err.message.includes('Insufficient payment')) {
         errorMessage = 'Insufficient payment amount';
       } else if (err.message.includes('Product does not exist')) {
         errorMessage = 'Product does not exist';
+      } else if (err.message.includes('Product has been hidden')) {
+        errorMessage = 'This listing was taken down by a moderator';
+      } else if (err.message.includes('Listing has expired')) {
+        errorMessage = 'This listing has expired';
+      } else if (err.message.includes('Payment token not accepted')) {
+        errorMessage = 'This currency is no longer accepted';
+      } else if (err.message.includes('ERC20InsufficientBalance')) {
+        errorMessage = 'Insufficient token balance';
+      } else if (err.message.includes('ERC20InsufficientAllowance')) {
+        errorMessage = 'Token allowance too low, please approve again';
       }
       
       setError(errorMessage);
+
+      // The approval may have gone through even if the purchase did not
+      loadAllowances();
       
     } finally {
       setPurchasingId(null);
+      setPurchaseStep(null);
     }
   };
 
+  /**
+   * Buy from a signed listing; the first purchase puts it on-chain
+   * Token listings approve the market first, like handlePurchase
+   */
+  const handleFulfillOrder = async ({ order, signature }, quantity = 1) => {
+    try {
+      setSignedOrderBusy(signature);
+      setError('');
+
+      const totalPrice = (BigInt(order.price) * BigInt(quantity)).toString();
+      console.log(`✍️ Fulfilling signed listing "${order.name}" x ${quantity} for ${totalPrice} base units`);
+
+      let result;
+
+      if (isEthPayment(order.paymentToken)) {
+        result = await contract.methods.fulfillOrder(order, signature, quantity).send({
+          from: account,
+          value: totalPrice
+        });
+      } else {
+        const tokenContract = getTokenContract(order.paymentToken);
+        const marketAddress = contract.options.address;
+
+        const allowance = await tokenContract.methods
+          .allowance(account, marketAddress)
+          .call();
+
+        if (BigInt(allowance) < BigInt(totalPrice)) {
+          await tokenContract.methods
+            .approve(marketAddress, totalPrice)
+            .send({ from: account });
+        }
+
+        result = await contract.methods.fulfillOrder(order, signature, quantity).send({
+          from: account
+        });
+      }
+
+      console.log('✅ Signed listing fulfilled:', result.transactionHash);
+      onProductPurchased();
+
+    } catch (err) {
+      console.error('❌ Fulfilling signed listing failed:', err);
+
+      let errorMessage = 'Purchase failed';
+
+      if (err.message.includes('User denied')) {
+        errorMessage = 'Transaction cancelled by user';
+      } else if (err.message.includes('EnforcedPause')) {
+        errorMessage = 'The marketplace is paused - trading is temporarily disabled';
+      } else if (err.message.includes('insufficient funds')) {
+        errorMessage = 'Insufficient ETH balance';
+      } else if (err.message.includes('Order has expired')) {
+        errorMessage = 'This signed listing has expired';
+      } else if (err.message.includes('Order nonce already used')) {
+        errorMessage = 'Someone else bought this listing first - it is now a regular product';
+      } else if (err.message.includes('Order has been cancelled')) {
+        errorMessage = 'The seller cancelled this listing';
+      } else if (err.message.includes('Invalid order signature')) {
+        errorMessage = 'The listing signature is not valid';
+      } else if (err.message.includes('Seller is banned')) {
+        errorMessage = 'This seller has been banned';
+      } else if (err.message.includes('Not enough stock')) {
+        errorMessage = 'Not enough stock left for that quantity';
+      } else if (err.message.includes('Cannot buy your own product')) {
+        errorMessage = 'Cannot buy your own product';
+      } else if (err.message.includes('Payment token not accepted')) {
+        errorMessage = 'This currency is no longer accepted';
+      } else if (err.message.includes('ERC20InsufficientBalance')) {
+        errorMessage = 'Insufficient token balance';
+      }
+
+      setError(errorMessage);
+      setSignedOrdersKey(key => key + 1);
+
+    } finally {
+      setSignedOrderBusy(null);
+    }
+  };
+
+  /**
+   * Seller invalidates their own signed listing on-chain
+   */
+  const handleCancelOrder = async ({ order, signature }) => {
+    try {
+      setSignedOrderBusy(signature);
+      setError('');
+
+      const result = await contract.methods.cancelOrder(order).send({ from: account });
+      console.log('🚫 Signed listing cancelled:', result.transactionHash);
+
+      await removeSignedOrder(contract, signature);
+      setSignedOrdersKey(key => key + 1);
+
+    } catch (err) {
+      console.error('❌ Cancelling signed listing failed:', err);
+      setError(err.message.includes('User denied')
+        ? 'Transaction cancelled by user'
+        : 'Failed to cancel the signed listing');
+    } finally {
+      setSignedOrderBusy(null);
+    }
+  };
+
+  /**
+   * Forget a signed listing in this browser (the signature stays valid)
+   */
+  const handleRemoveOrder = async ({ signature }) => {
+    await removeSignedOrder(contract, signature);
+    setSignedOrdersKey(key => key + 1);
+  };
+
+  /**
+   * Map seller-side contract errors to readable messages
+   */
+  const getListingErrorMessage = (err, fallback) => {
+    if (err.message.includes('User denied')) {
+      return 'Transaction cancelled by user';
+    } else if (err.message.includes('Only the seller can modify this product')) {
+      return 'Only the seller can modify this product';
+    } else if (err.message.includes('Product already sold')) {
+      return 'Product already sold';
+    } else if (err.message.includes('Product has been delisted')) {
+      return 'Product has been delisted';
+    } else if (err.message.includes('Product price must be greater than 0')) {
+      return 'Product price must be greater than 0';
+    } else if (err.message.includes('Auction already has bids')) {
+      return 'Auctions cannot be cancelled once bids are in';
+    } else if (err.message.includes('Expiry must be in the future')) {
+      return 'Your clock is behind the blockchain - pick a longer sale period';
+    } else if (err.message.includes('Seller is banned')) {
+      return 'Your account is banned from selling';
+    } else if (err.message.includes('EnforcedPause')) {
+      return 'The marketplace is paused - trading is temporarily disabled';
+    }
+    return fallback;
+  };
+
+  /**
+   * Handle seller editing price/description
+   */
+  const handleUpdate = async (productId, description, priceInWei) => {
+    try {
+      setModifyingId(productId);
+      setError('');
+
+      console.log(`✏️ Updating product ${productId}`, { description, priceInWei });
+
+      const result = await contract.methods
+        .updateProduct(productId, description, priceInWei)
+        .send({ from: account });
+
+      console.log('✅ Product updated:', result.transactionHash);
+      onProductChanged();
+      return true;
+
+    } catch (err) {
+      console.error('❌ Update failed:', err);
+      setError(getListingErrorMessage(err, 'Failed to update product'));
+      return false;
+
+    } finally {
+      setModifyingId(null);
+    }
+  };
+
+  /**
+   * Handle seller taking a listing down
+   */
+  const handleDelist = async (productId) => {
+    if (!window.confirm('Delist this product? Buyers will no longer be able to purchase it.')) {
+      return;
+    }
+
+    try {
+      setModifyingId(productId);
+      setError('');
+
+      console.log(`🗑️ Delisting product ${productId}`);
+
+      const result = await contract.methods
+        .cancelListing(productId)
+        .send({ from: account });
+
+      console.log('✅ Product delisted:', result.transactionHash);
+      onProductChanged();
+
+    } catch (err) {
+      console.error('❌ Delist failed:', err);
+      setError(getListingErrorMessage(err, 'Failed to delist product'));
+
+    } finally {
+      setModifyingId(null);
+    }
+  };
+
+  /**
+   * Put an expired listing back on sale for `days` days (0 = until sold)
+   */
+  const handleRelist = async (productId, days) => {
+    try {
+      setModifyingId(productId);
+      setError('');
+
+      const newExpiry = days > 0 ? Math.floor(Date.now() / 1000) + days * 24 * 3600 : 0;
+      console.log(`🔁 Relisting product ${productId} until ${newExpiry || 'sold'}`);
+
+      const result = await contract.methods
+        .relist(productId, newExpiry)
+        .send({ from: account });
+
+      console.log('✅ Product relisted:', result.transactionHash);
+      onProductChanged();
+
+    } catch (err) {
+      console.error('❌ Relist failed:', err);
+      setError(getListingErrorMessage(err, 'Failed to relist product'));
+
+    } finally {
+      setModifyingId(null);
+    }
+  };
+
+  /**
+   * Handle escrow actions on an order
+   * action is one of: markShipped, confirmDelivery, requestRefund, releaseEscrow
+   */
+  const handleOrderAction = async (orderId, action) => {
+    try {
+      setOrderBusyId(orderId);
+      setError('');
+
+      console.log(`📬 ${action} on order ${orderId}`);
+
+      const result = await contract.methods[action](orderId).send({
+        from: account
+      });
+
+      console.log(`✅ ${action} successful:`, result.transactionHash);
+      onOrderUpdated();
+
+    } catch (err) {
+      console.error(`❌ ${action} failed:`, err);
+
+      let errorMessage = 'Order update failed';
+
+      if (err.message.includes('User denied')) {
+        errorMessage = 'Transaction cancelled by user';
+      } else if (err.message.includes('Order has already shipped')) {
+        errorMessage = 'Order has already shipped, refund is no longer possible';
+      } else if (err.message.includes('Delivery timeout has not passed')) {
+        errorMessage = 'Delivery timeout has not passed yet';
+      } else if (err.message.includes('Order is not in escrow')) {
+        errorMessage = 'Order is no longer in escrow';
+      } else if (err.message.includes('Order is not awaiting shipment')) {
+        errorMessage = 'Order is not awaiting shipment';
+      }
+
+      setError(errorMessage);
+
+    } finally {
+      setOrderBusyId(null);
+    }
+  };
+
+  /**
+   * Place a bid on an auction (amount in Wei)
+   * Returns true if the bid went through
+   */
+  const handleBid = async (productId, amountInWei) => {
+    try {
+      setAuctionBusyId(productId);
+      setError('');
+
+      console.log(`🔨 Bidding ${amountInWei} Wei on product ${productId}`);
+
+      const result = await contract.methods.placeBid(productId).send({
+        from: account,
+        value: amountInWei
+      });
+
+      console.log('✅ Bid placed:', result.transactionHash);
+      onProductChanged();
+      return true;
+
+    } catch (err) {
+      console.error('❌ Bid failed:', err);
+
+      let errorMessage = 'Bid failed';
+
+      if (err.message.includes('User denied')) {
+        errorMessage = 'Transaction cancelled by user';
+      } else if (err.message.includes('EnforcedPause')) {
+        errorMessage = 'The marketplace is paused - trading is temporarily disabled';
+      } else if (err.message.includes('insufficient funds')) {
+        errorMessage = 'Insufficient ETH balance';
+      } else if (err.message.includes('Bid is below the reserve price')) {
+        errorMessage = 'Bid is below the reserve price';
+      } else if (err.message.includes('Bid increment too low')) {
+        errorMessage = 'Someone placed a higher bid - raise your bid and try again';
+      } else if (err.message.includes('Auction has ended')) {
+        errorMessage = 'This auction has already ended';
+      } else if (err.message.includes('Product has been hidden')) {
+        errorMessage = 'This auction was taken down by a moderator';
+      } else if (err.message.includes('Cannot bid on your own product')) {
+        errorMessage = 'You cannot bid on your own product';
+      }
+
+      setError(errorMessage);
+      return false;
+
+    } finally {
+      setAuctionBusyId(null);
+    }
+  };
+
+  /**
+   * Settle an auction whose end time has passed
+   */
+  const handleSettle = async (productId) => {
+    try {
+      setAuctionBusyId(productId);
+      setError('');
+
+      const result = await contract.methods.settleAuction(productId).send({
+        from: account
+      });
+
+      console.log('✅ Auction settled:', result.transactionHash);
+      onProductChanged();
+
+    } catch (err) {
+      console.error('❌ Settling auction failed:', err);
+
+      let errorMessage = 'Settling the auction failed';
+
+      if (err.message.includes('User denied')) {
+        errorMessage = 'Transaction cancelled by user';
+      } else if (err.message.includes('Auction has not ended')) {
+        errorMessage = 'The auction has not ended yet';
+      } else if (err.message.includes('Auction already settled')) {
+        errorMessage = 'The auction has already been settled';
+      }
+
+      setError(errorMessage);
+
+    } finally {
+      setAuctionBusyId(null);
+    }
+  };
+
+  /**
+   * Make an offer on a listing (amount in Wei, duration in seconds)
+   * Returns true if the offer went through
+   */
+  const handleMakeOffer = async (productId, amountInWei, duration) => {
+    try {
+      setOfferBusyId(`product-${productId}`);
+      setError('');
+
+      console.log(`💬 Offering ${amountInWei} Wei on product ${productId}`);
+
+      const result = await contract.methods.makeOffer(productId, duration).send({
+        from: account,
+        value: amountInWei
+      });
+
+      console.log('✅ Offer made:', result.transactionHash);
+      onProductChanged();
+      return true;
+
+    } catch (err) {
+      console.error('❌ Offer failed:', err);
+      setError(getOfferErrorMessage(err, 'Offer failed'));
+      return false;
+
+    } finally {
+      setOfferBusyId(null);
+    }
+  };
+
+  /**
+   * Handle actions on an offer
+   * action is one of: acceptOffer, rejectOffer, counterOffer, acceptCounterOffer, withdrawOffer
+   * options.amount is the counter-offer amount, options.value the ETH to send
+   */
+  const handleOfferAction = async (offerId, action, options = {}) => {
+    try {
+      setOfferBusyId(offerId);
+      setError('');
+
+      console.log(`💬 ${action} on offer ${offerId}`);
+
+      const method = action === 'counterOffer'
+        ? contract.methods.counterOffer(offerId, options.amount)
+        : contract.methods[action](offerId);
+
+      const result = await method.send({
+        from: account,
+        value: options.value || '0'
+      });
+
+      console.log(`✅ ${action} successful:`, result.transactionHash);
+      onProductChanged();
+      return true;
+
+    } catch (err) {
+      console.error(`❌ ${action} failed:`, err);
+      setError(getOfferErrorMessage(err, 'Offer update failed'));
+      return false;
+
+    } finally {
+      setOfferBusyId(null);
+    }
+  };
+
+  /**
+   * Rate the seller of a purchase (1-5 stars plus an optional comment)
+   * Returns true if the review was recorded
+   */
+  const handleReview = async (orderId, rating, comment) => {
+    try {
+      setReviewBusyId(orderId);
+      setError('');
+
+      const result = await contract.methods.submitReview(orderId, rating, comment).send({
+        from: account
+      });
+
+      console.log('✅ Review submitted:', result.transactionHash);
+      onOrderUpdated();
+      return true;
+
+    } catch (err) {
+      console.error('❌ Review failed:', err);
+
+      let errorMessage = 'Review failed';
+
+      if (err.message.includes('User denied')) {
+        errorMessage = 'Transaction cancelled by user';
+      } else if (err.message.includes('Order already reviewed')) {
+        errorMessage = 'You already reviewed this purchase';
+      } else if (err.message.includes('Comment is too long')) {
+        errorMessage = 'Comment is too long';
+      } else if (err.message.includes('Order has not been delivered')) {
+        errorMessage = 'Purchases can be reviewed once delivery is confirmed';
+      }
+
+      setError(errorMessage);
+      return false;
+
+    } finally {
+      setReviewBusyId(null);
+    }
+  };
+
+  /**
+   * Map contract revert reasons for offers to user-facing messages
+   */
+  const getOfferErrorMessage = (err, fallback) => {
+    if (err.message.includes('User denied')) {
+      return 'Transaction cancelled by user';
+    } else if (err.message.includes('EnforcedPause')) {
+      return 'The marketplace is paused - trading is temporarily disabled';
+    } else if (err.message.includes('insufficient funds')) {
+      return 'Insufficient ETH balance';
+    } else if (err.message.includes('Offer has expired')) {
+      return 'This offer has expired';
+    } else if (err.message.includes('Offer is not open')) {
+      return 'This offer is no longer open';
+    } else if (err.message.includes('Counter-offer must be above the offer')) {
+      return 'Counter-offer must be above the offer';
+    } else if (err.message.includes('Product already sold')) {
+      return 'Product already sold out';
+    } else if (err.message.includes('Product has been hidden')) {
+      return 'This listing was taken down by a moderator';
+    } else if (err.message.includes('Listing has expired')) {
+      return 'This listing has expired';
+    } else if (err.message.includes('Offer must be greater than 0')) {
+      return 'Offer must be greater than 0';
+    } else if (err.message.includes('Cannot make an offer on your own product')) {
+      return 'You cannot make an offer on your own product';
+    }
+    return fallback;
+  };
+
+  
+  /**
+   * Render the category/tag filter bar
+   */
+  const renderFilterBar = () => {
+    const popularTags = getPopularTags();
+    const filtering = categoryFilter !== 'all' || tagFilter !== null;
+
+    return (
+      <div className="filter-bar">
+        <select
+          className="form-input filter-category"
+          value={categoryFilter}
+          onChange={(e) => setCategoryFilter(e.target.value)}
+          aria-label="Filter by category"
+        >
+          <option value="all">All categories</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>
+              {category.name}
+            </option>
+          ))}
+        </select>
+        <div className="filter-tags">
+          {popularTags.map(tag => (
+            <button
+              key={tag}
+              className={`tag-chip ${tagFilter === tag ? 'active' : ''}`}
+              onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+        {filtering && (
+          <button
+            className="btn btn-small btn-secondary"
+            onClick={() => { setCategoryFilter('all'); setTagFilter(null); }}
+          >
+            ✖ Clear filters
+          </button>
+        )}
+      </div>
+    );
+  };
+
   
   /**
    * Render loading state
@@ -108,17 +807,94 @@ const ProductList = ({
     </div>
   );
 
+  /**
+   * Apply the category and tag filters
+   */
+  const matchesFilters = (product) => {
+    if (categoryFilter !== 'all' && product.categoryId !== Number(categoryFilter)) {
+      return false;
+    }
+    if (tagFilter && !(product.tags || []).includes(tagFilter)) {
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Most used tags across the catalog, for the filter bar
+   */
+  const getPopularTags = (limit = 12) => {
+    const counts = {};
+    products.forEach(product => {
+      (product.tags || []).forEach(tag => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+    return Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+      .slice(0, limit);
+  };
+
   /**
    * Filter and categorize products
    */
   const categorizeProducts = () => {
-    const available = products.filter(product => !product.sold);
-    const sold = products.filter(product => product.sold);
-    const myProducts = products.filter(product => 
+    // Browsing sections follow the filter bar
+    const filtered = products.filter(matchesFilters);
+
+    // Listings hidden by a moderator can't be bought, so they are left out
+    const available = filtered.filter(product =>
+      !product.sold && !product.delisted && !product.hidden && !isListingExpired(product)
+    );
+    const expired = filtered.filter(product =>
+      !product.sold && !product.delisted && isListingExpired(product)
+    );
+    const sold = filtered.filter(product => product.sold);
+    const myProducts = filtered.filter(product => 
       product.seller.toLowerCase() === account?.toLowerCase()
     );
+
+    // Orders still in escrow where the current user is the buyer or the seller,
+    // one entry per order (a product with stock can have several)
+    const inEscrow = products.flatMap(product =>
+      (product.orders || [])
+        .filter(order =>
+          order.status === ORDER_STATUS.AWAITING_SHIPMENT || order.status === ORDER_STATUS.SHIPPED
+        )
+        .map(order => ({ ...product, order }))
+    );
+
+    // Offers on the user's own products still waiting for an answer
+    const receivedOffers = myProducts.flatMap(product =>
+      (product.offers || [])
+        .filter(offer => offer.status === OFFER_STATUS.OPEN || offer.status === OFFER_STATUS.COUNTERED)
+        .map(offer => ({ product, offer }))
+    );
+
+    // Every offer the user made, newest first
+    const myOffers = products
+      .flatMap(product =>
+        (product.offers || [])
+          .filter(offer => offer.buyer.toLowerCase() === account?.toLowerCase())
+          .map(offer => ({ product, offer }))
+      )
+      .sort((a, b) => b.offer.id - a.offer.id);
+    
+    // Completed purchases the user has not reviewed yet
+    const toReview = products.flatMap(product =>
+      (product.orders || [])
+        .filter(order =>
+          order.buyer.toLowerCase() === account?.toLowerCase() &&
+          order.status === ORDER_STATUS.COMPLETED &&
+          !order.reviewed
+        )
+        .map(order => ({ ...product, order }))
+    );
     
-    return { available, sold, myProducts };
+    // Watched products in any state, so sales stay visible (not filtered)
+    const watching = products.filter(product => watchlist.includes(product.id));
+
+    return { available, expired, sold, myProducts, inEscrow, receivedOffers, myOffers, toReview, watching };
   };
 
   
@@ -128,11 +904,11 @@ const ProductList = ({
   }
 
   // Show empty state
-  if (!loading && products.length === 0) {
+  if (!loading && products.length === 0 && signedOrders.length === 0) {
     return renderEmpty();
   }
 
-  const { available, sold, myProducts } = categorizeProducts();
+  const { available, expired, sold, myProducts, inEscrow, receivedOffers, myOffers, toReview, watching } = categorizeProducts();
 
   return (
     <div className="product-list">
@@ -140,9 +916,60 @@ const ProductList = ({
       {/* Error banner */}
       {error && renderError()}
 
+      {/* Category/tag filters */}
+      {renderFilterBar()}
+
       {/* Products sections */}
       <div className="products-sections">
+
+        {/* Seller detail view with reviews */}
+        {viewingSeller && (
+          <SellerProfile
+            seller={viewingSeller}
+            contract={contract}
+            rating={sellerRatings[viewingSeller.toLowerCase()]}
+            products={products}
+            onClose={() => setViewingSeller(null)}
+          />
+        )}
         
+        {/* Products the user follows */}
+        {watching.length > 0 && (
+          <section className="products-section">
+            <div className="section-header">
+              <h3>⭐ Watching ({watching.length})</h3>
+              <p>You get a notification when these sell or change price</p>
+            </div>
+            <div className="products-grid">
+              {watching.map(product => (
+                <ProductCard
+                  key={`watching-${product.id}`}
+                  product={product}
+                  sellerRating={sellerRatings[product.seller.toLowerCase()]}
+                  onViewSeller={setViewingSeller}
+                  account={account}
+                  onPurchase={handlePurchase}
+                  onBid={handleBid}
+                  onSettle={handleSettle}
+                  onAddToCart={onAddToCart}
+                  cartQuantity={cart.find(item => item.productId === product.id)?.quantity || 0}
+                  onToggleWatch={onToggleWatch}
+                  watched={true}
+                  contract={contract}
+                  auctionBusy={auctionBusyId === product.id}
+                  purchasing={purchasingId === product.id}
+                  purchaseStep={purchasingId === product.id ? purchaseStep : null}
+                  feeBps={feeBps}
+                  paymentToken={findPaymentToken(paymentTokens, product.paymentToken)}
+                  allowance={isEthPayment(product.paymentToken) ? null : allowances[product.paymentToken.toLowerCase()]}
+                  canPurchase={!product.sold && !product.delisted && !isListingExpired(product)}
+                  paused={paused}
+                />
+              ))}
+            </div>
+          </section>
+        )}
+
         {/* Available Products */}
         {available.length > 0 && (
           <section className="products-section">
@@ -151,37 +978,259 @@ const ProductList = ({
               <p>Products you can buy right now</p>
             </div>
             <div className="products-grid">
-              {available.map(product => (
+              {available.slice(0, visibleCount).map(product => (
                 <ProductCard
                   key={product.id}
                   product={product}
+                  sellerRating={sellerRatings[product.seller.toLowerCase()]}
+                  onViewSeller={setViewingSeller}
                   account={account}
                   onPurchase={handlePurchase}
+                  onUpdate={handleUpdate}
+                  onDelist={handleDelist}
+                  onBid={handleBid}
+                  onSettle={handleSettle}
+                  onMakeOffer={handleMakeOffer}
+                  onAddToCart={onAddToCart}
+                  cartQuantity={cart.find(item => item.productId === product.id)?.quantity || 0}
+                  onToggleWatch={onToggleWatch}
+                  watched={watchlist.includes(product.id)}
+                  contract={contract}
+                  auctionBusy={auctionBusyId === product.id}
+                  offerBusy={offerBusyId === `product-${product.id}`}
                   purchasing={purchasingId === product.id}
+                  purchaseStep={purchasingId === product.id ? purchaseStep : null}
+                  modifying={modifyingId === product.id}
+                  feeBps={feeBps}
+                  paymentToken={findPaymentToken(paymentTokens, product.paymentToken)}
+                  allowance={isEthPayment(product.paymentToken) ? null : allowances[product.paymentToken.toLowerCase()]}
                   canPurchase={true}
+                  paused={paused}
+                />
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Gasless listings waiting for their first buyer */}
+        {signedOrders.length > 0 && (
+          <section className="products-section">
+            <div className="section-header">
+              <h3>✍️ Signed Listings ({signedOrders.length})</h3>
+              <p>Listed off-chain by signature - the first purchase puts them on the blockchain</p>
+            </div>
+            <div className="products-grid">
+              {signedOrders.map(signedOrder => (
+                <SignedOrderCard
+                  key={signedOrder.signature}
+                  signedOrder={signedOrder}
+                  account={account}
+                  paymentToken={findPaymentToken(paymentTokens, signedOrder.order.paymentToken)}
+                  onFulfill={handleFulfillOrder}
+                  onCancel={handleCancelOrder}
+                  onRemove={handleRemoveOrder}
+                  busy={signedOrderBusy === signedOrder.signature}
+                  paused={paused}
+                />
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* More available products appear as the user scrolls */}
+        {available.length > visibleCount && (
+          <div ref={loadMoreRef} className="load-more">
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => setVisibleCount(count => count + PRODUCT_PAGE_SIZE)}
+            >
+              ⬇️ Show more ({available.length - visibleCount} left)
+            </button>
+          </div>
+        )}
+
+        {/* Orders in escrow */}
+        {inEscrow.length > 0 && (
+          <section className="products-section">
+            <div className="section-header">
+              <h3>📬 Awaiting Delivery ({inEscrow.length})</h3>
+              <p>Purchases and sales with payment held in escrow</p>
+            </div>
+            <div className="products-grid">
+              {inEscrow.map(product => (
+                <ProductCard
+                  key={`order-${product.order.id}`}
+                  product={product}
+                  sellerRating={sellerRatings[product.seller.toLowerCase()]}
+                  onViewSeller={setViewingSeller}
+                  account={account}
+                  onPurchase={handlePurchase}
+                  onOrderAction={handleOrderAction}
+                  purchasing={false}
+                  orderBusy={orderBusyId === product.order.id}
+                  deliveryTimeout={deliveryTimeout}
+                  paymentToken={findPaymentToken(paymentTokens, product.paymentToken)}
+                  canPurchase={false}
                 />
               ))}
             </div>
           </section>
         )}
 
-        {/* My Products */}
+        {/* Completed purchases waiting for a review */}
+        {toReview.length > 0 && (
+          <section className="products-section">
+            <div className="section-header">
+              <h3>⭐ Rate Your Purchases ({toReview.length})</h3>
+              <p>Let other buyers know how it went</p>
+            </div>
+            <div className="products-grid">
+              {toReview.map(product => (
+                <ProductCard
+                  key={`review-${product.order.id}`}
+                  product={product}
+                  sellerRating={sellerRatings[product.seller.toLowerCase()]}
+                  onViewSeller={setViewingSeller}
+                  account={account}
+                  onReview={handleReview}
+                  reviewBusy={reviewBusyId === product.order.id}
+                  purchasing={false}
+                  paymentToken={findPaymentToken(paymentTokens, product.paymentToken)}
+                  canPurchase={false}
+                  isSold={true}
+                />
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Offers the user made */}
+        {myOffers.length > 0 && (
+          <section className="products-section">
+            <div className="section-header">
+              <h3>🙋 My Offers ({myOffers.length})</h3>
+              <p>Offers you made on other sellers' products</p>
+            </div>
+            <div className="products-grid">
+              {myOffers.map(({ product, offer }) => (
+                <OfferCard
+                  key={`offer-${offer.id}`}
+                  offer={offer}
+                  product={product}
+                  account={account}
+                  onOfferAction={handleOfferAction}
+                  busy={offerBusyId === offer.id}
+                />
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* My Products, with the offers received on them in a second tab */}
         {myProducts.length > 0 && (
           <section className="products-section">
             <div className="section-header">
-              <h3>📦 My Products ({myProducts.length})</h3>
-              <p>Products you've added to the marketplace</p>
+              <div className="section-tabs">
+                <button
+                  className={`section-tab ${sellerTab === 'products' ? 'active' : ''}`}
+                  onClick={() => setSellerTab('products')}
+                >
+                  📦 My Products ({myProducts.length})
+                </button>
+                <button
+                  className={`section-tab ${sellerTab === 'offers' ? 'active' : ''}`}
+                  onClick={() => setSellerTab('offers')}
+                >
+                  💬 Offers ({receivedOffers.length})
+                </button>
+                <button
+                  className={`section-tab ${sellerTab === 'dashboard' ? 'active' : ''}`}
+                  onClick={() => setSellerTab('dashboard')}
+                >
+                  📊 Dashboard
+                </button>
+              </div>
+              <p>
+                {sellerTab === 'products' && "Products you've added to the marketplace"}
+                {sellerTab === 'offers' && 'Offers from buyers waiting for your answer'}
+                {sellerTab === 'dashboard' && 'Your earnings and sales'}
+              </p>
+            </div>
+            {sellerTab === 'dashboard' ? (
+              <SellerDashboard
+                contract={contract}
+                account={account}
+                paymentTokens={paymentTokens}
+              />
+            ) : sellerTab === 'offers' ? (
+              <div className="products-grid">
+                {receivedOffers.length === 0 && (
+                  <p className="section-empty">No open offers on your products</p>
+                )}
+                {receivedOffers.map(({ product, offer }) => (
+                  <OfferCard
+                    key={`offer-${offer.id}`}
+                    offer={offer}
+                    product={product}
+                    account={account}
+                    onOfferAction={handleOfferAction}
+                    busy={offerBusyId === offer.id}
+                  />
+                ))}
+              </div>
+            ) : (
+              <div className="products-grid">
+                {myProducts.map(product => (
+                  <ProductCard
+                    key={product.id}
+                    product={product}
+                    sellerRating={sellerRatings[product.seller.toLowerCase()]}
+                    onViewSeller={setViewingSeller}
+                    account={account}
+                    onPurchase={handlePurchase}
+                    onUpdate={handleUpdate}
+                    onDelist={handleDelist}
+                    onRelist={handleRelist}
+                    onBid={handleBid}
+                    onSettle={handleSettle}
+                    contract={contract}
+                    auctionBusy={auctionBusyId === product.id}
+                    purchasing={false}
+                    modifying={modifyingId === product.id}
+                    relisting={modifyingId === product.id}
+                    paymentToken={findPaymentToken(paymentTokens, product.paymentToken)}
+                    canPurchase={false}
+                    isOwner={true}
+                  />
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Listings past their expiry */}
+        {expired.length > 0 && (
+          <section className="products-section">
+            <div className="section-header">
+              <h3>⌛ Expired ({expired.length})</h3>
+              <p>Listings whose sale period ended - sellers can relist them</p>
             </div>
             <div className="products-grid">
-              {myProducts.map(product => (
+              {expired.map(product => (
                 <ProductCard
                   key={product.id}
                   product={product}
+                  sellerRating={sellerRatings[product.seller.toLowerCase()]}
+                  onViewSeller={setViewingSeller}
                   account={account}
-                  onPurchase={handlePurchase}
+                  onRelist={handleRelist}
+                  onToggleWatch={onToggleWatch}
+                  watched={watchlist.includes(product.id)}
                   purchasing={false}
+                  relisting={modifyingId === product.id}
+                  paymentToken={findPaymentToken(paymentTokens, product.paymentToken)}
                   canPurchase={false}
-                  isOwner={true}
+                  paused={paused}
                 />
               ))}
             </div>
@@ -192,17 +1241,20 @@ const ProductList = ({
         {sold.length > 0 && (
           <section className="products-section">
             <div className="section-header">
-              <h3>✅ Sold Products ({sold.length})</h3>
-              <p>Products that have been purchased</p>
+              <h3>✅ Sold Out ({sold.length})</h3>
+              <p>Products with no stock left</p>
             </div>
             <div className="products-grid">
               {sold.map(product => (
                 <ProductCard
                   key={product.id}
                   product={product}
+                  sellerRating={sellerRatings[product.seller.toLowerCase()]}
+                  onViewSeller={setViewingSeller}
                   account={account}
                   onPurchase={handlePurchase}
                   purchasing={false}
+                  paymentToken={findPaymentToken(paymentTokens, product.paymentToken)}
                   canPurchase={false}
                   isSold={true}
                 />
@@ -212,11 +1264,15 @@ const ProductList = ({
         )}
 
         {/* All sections empty */}
-        {available.length === 0 && sold.length === 0 && myProducts.length === 0 && (
+        {available.length === 0 && expired.length === 0 && sold.length === 0 && myProducts.length === 0 && inEscrow.length === 0 && myOffers.length === 0 && signedOrders.length === 0 && (
           <div className="no-products">
             <div className="no-products-content">
               <h3>🏪 No products found</h3>
-              <p>There are no products in the marketplace yet.</p>
+              <p>
+                {categoryFilter !== 'all' || tagFilter
+                  ? 'No products match the selected filters.'
+                  : 'There are no products in the marketplace yet.'}
+              </p>
             </div>
           </div>
         )}
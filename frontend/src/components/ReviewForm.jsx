@@ -0,0 +1,67 @@
+import { useState } from 'react';
+
+// Longest comment the contract accepts (SimpleMarket.MAX_REVIEW_LENGTH)
+const MAX_COMMENT_LENGTH = 280;
+
+const ReviewForm = ({ onSubmit, busy = false }) => {
+
+  const [rating, setRating] = useState(0);
+  const [hovered, setHovered] = useState(0);
+  const [comment, setComment] = useState('');
+  const [formError, setFormError] = useState('');
+
+  /**
+   * Validate and submit the review
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (rating < 1 || rating > 5) {
+      setFormError('Pick a rating from 1 to 5 stars');
+      return;
+    }
+
+    setFormError('');
+    const submitted = await onSubmit(rating, comment.trim());
+    if (submitted) {
+      setRating(0);
+      setComment('');
+    }
+  };
+
+  return (
+    <form className="product-edit-form review-form" onSubmit={handleSubmit}>
+      <div className="star-picker" onMouseLeave={() => setHovered(0)}>
+        {[1, 2, 3, 4, 5].map(star => (
+          <button
+            key={star}
+            type="button"
+            className={`star ${star <= (hovered || rating) ? 'filled' : ''}`}
+            onClick={() => { setRating(star); setFormError(''); }}
+            onMouseEnter={() => setHovered(star)}
+            disabled={busy}
+            aria-label={`${star} star${star === 1 ? '' : 's'}`}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="How did the purchase go? (optional)"
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={2}
+        className="form-textarea"
+        disabled={busy}
+      />
+      <span className="char-count">{comment.length}/{MAX_COMMENT_LENGTH}</span>
+      {formError && <span className="error-text">{formError}</span>}
+      <button type="submit" className="btn btn-primary btn-small" disabled={busy}>
+        {busy ? 'Submitting...' : '⭐ Submit review'}
+      </button>
+    </form>
+  );
+};
+
+export default ReviewForm;
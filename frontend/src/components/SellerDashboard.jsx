@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import {
+  formatEth,
+  weiToEth,
+  fromTokenUnits,
+  isEthPayment,
+  findPaymentToken,
+  getSellerActivity
+} from '../utils/web3Utils';
+
+const DAY = 24 * 60 * 60;
+
+// Quick date ranges, in days (null = everything)
+const RANGE_PRESETS = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: 'All time', days: null },
+];
+
+// Switch the chart from daily to weekly bars past this many days
+const MAX_DAILY_BARS = 60;
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+/**
+ * yyyy-mm-dd for a date input
+ */
+const toDateInput = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+/**
+ * Format a number of seconds as "Xd Yh" or "Yh Zm"
+ */
+const formatDuration = (seconds) => {
+  const days = Math.floor(seconds / DAY);
+  const hours = Math.floor((seconds % DAY) / 3600);
+  if (days > 0) return `${days}d ${hours}h`;
+  return `${hours}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+const SellerDashboard = ({ contract, account, paymentTokens = [] }) => {
+
+  const [activity, setActivity] = useState({ listings: [], sales: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [range, setRange] = useState({ from: '', to: '' }); // yyyy-mm-dd, empty = open-ended
+
+  /**
+   * Load the seller's listings and sales from the logs
+   */
+  useEffect(() => {
+    const loadActivity = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setActivity(await getSellerActivity(contract, account));
+      } catch (err) {
+        console.error('❌ Error loading seller activity:', err);
+        setError('Failed to load your sales history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (contract && account) {
+      loadActivity();
+    }
+  }, [contract, account]);
+
+  /**
+   * Apply one of the quick ranges
+   */
+  const handlePreset = (days) => {
+    if (days === null) {
+      setRange({ from: '', to: '' });
+    } else {
+      const now = Math.floor(Date.now() / 1000);
+      setRange({ from: toDateInput(now - days * DAY), to: '' });
+    }
+  };
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Work out the figures for the selected range
+   */
+  const computeStats = () => {
+    const { listings, sales } = activity;
+    const now = Math.floor(Date.now() / 1000);
+
+    const firstActivity = Math.min(
+      ...listings.map(l => l.listedAt),
+      ...sales.map(s => s.soldAt),
+      now
+    );
+    const from = range.from ? Date.parse(range.from) / 1000 : firstActivity;
+    const to = range.to ? Date.parse(range.to) / 1000 + DAY - 1 : now;
+    const inRange = (time) => time >= from && time <= to;
+
+    const listingsById = Object.fromEntries(listings.map(l => [l.productId, l]));
+    const rangeListings = listings.filter(l => inRange(l.listedAt));
+    const rangeSales = sales.filter(s => inRange(s.soldAt));
+
+    // What the seller keeps from a sale: nothing once refunded, otherwise
+    // the amount paid less the marketplace fee
+    const netAmount = (sale) => sale.refunded ? 0n : BigInt(sale.amount) - BigInt(sale.fee);
+
+    // Revenue per currency; ETH is the headline figure
+    let ethRevenue = 0n;
+    let ethRefunded = 0n;
+    const tokenRevenue = {};
+    rangeSales.forEach(sale => {
+      const token = listingsById[sale.productId]?.paymentToken;
+      if (isEthPayment(token)) {
+        ethRevenue += netAmount(sale);
+        if (sale.refunded) ethRefunded += BigInt(sale.amount);
+      } else {
+        tokenRevenue[token] = (tokenRevenue[token] || 0n) + netAmount(sale);
+      }
+    });
+
+    // Listings made in the range that have never sold a unit
+    const everSold = new Set(sales.map(s => s.productId));
+    const unsold = rangeListings.filter(l => !everSold.has(l.productId)).length;
+
+    // Time from listing to first sale, for first sales inside the range
+    const firstSales = {};
+    sales.forEach(sale => {
+      if (!(sale.productId in firstSales)) firstSales[sale.productId] = sale.soldAt;
+    });
+    const saleDelays = Object.entries(firstSales)
+      .filter(([productId, soldAt]) => inRange(soldAt) && listingsById[productId])
+      .map(([productId, soldAt]) => soldAt - listingsById[productId].listedAt);
+    const avgTimeToSale = saleDelays.length > 0
+      ? saleDelays.reduce((sum, delay) => sum + delay, 0) / saleDelays.length
+      : null;
+
+    // ETH revenue per day (or per week for long ranges)
+    const bucketSize = (to - from) / DAY > MAX_DAILY_BARS ? 7 * DAY : DAY;
+    const start = Math.floor(from / DAY) * DAY;
+    const bucketCount = Math.max(1, Math.ceil((to - start + 1) / bucketSize));
+    const buckets = Array.from({ length: bucketCount }, (_, i) => ({ start: start + i * bucketSize, wei: 0n }));
+    rangeSales.forEach(sale => {
+      if (!isEthPayment(listingsById[sale.productId]?.paymentToken)) return;
+      const index = Math.min(bucketCount - 1, Math.floor((sale.soldAt - start) / bucketSize));
+      buckets[index].wei += netAmount(sale);
+    });
+
+    return {
+      ethRevenue,
+      ethRefunded,
+      tokenRevenue,
+      listed: rangeListings.length,
+      soldItems: new Set(rangeSales.map(s => s.productId)).size,
+      unitsSold: rangeSales.reduce((sum, s) => sum + s.quantity, 0),
+      unsold,
+      avgTimeToSale,
+      buckets,
+      weekly: bucketSize > DAY
+    };
+  };
+
+  /**
+   * Bar chart of ETH revenue over the selected range
+   */
+  const renderChart = (buckets, weekly) => {
+    const values = buckets.map(b => Number(weiToEth(b.wei)));
+    const max = Math.max(...values);
+    const barWidth = CHART_WIDTH / buckets.length;
+
+    if (max === 0) {
+      return <p className="section-empty">No ETH sales in this period</p>;
+    }
+
+    return (
+      <svg
+        className="revenue-chart"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label="Revenue over time"
+      >
+        {values.map((value, i) => {
+          const height = (value / max) * (CHART_HEIGHT - 4);
+          return (
+            <rect
+              key={buckets[i].start}
+              x={i * barWidth + barWidth * 0.1}
+              y={CHART_HEIGHT - height}
+              width={barWidth * 0.8}
+              height={height}
+            >
+              <title>
+                {`${weekly ? 'Week of ' : ''}${new Date(buckets[i].start * 1000).toLocaleDateString()}: ${formatEth(value, 4)} ETH`}
+              </title>
+            </rect>
+          );
+        })}
+      </svg>
+    );
+  };
+
+  if (loading) {
+    return <p className="section-empty">Loading your sales history...</p>;
+  }
+
+  if (error) {
+    return <span className="error-text">{error}</span>;
+  }
+
+  const stats = computeStats();
+
+  return (
+    <div className="seller-dashboard">
+
+      {/* Date range */}
+      <div className="dashboard-range">
+        {RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            type="button"
+            className="tag-chip"
+            onClick={() => handlePreset(preset.days)}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <input
+          type="date"
+          name="from"
+          value={range.from}
+          max={range.to || undefined}
+          onChange={handleRangeChange}
+          className="form-input"
+          aria-label="From"
+        />
+        <span>to</span>
+        <input
+          type="date"
+          name="to"
+          value={range.to}
+          min={range.from || undefined}
+          onChange={handleRangeChange}
+          className="form-input"
+          aria-label="To"
+        />
+      </div>
+
+      {/* Headline figures */}
+      <div className="summary-stats dashboard-stats">
+        <div className="stat">
+          <span className="stat-number">{formatEth(weiToEth(stats.ethRevenue), 4)} ETH</span>
+          <span className="stat-label">Revenue after fees</span>
+        </div>
+        <div className="stat">
+          <span className="stat-number">{stats.listed}</span>
+          <span className="stat-label">Listed</span>
+        </div>
+        <div className="stat">
+          <span className="stat-number">{stats.soldItems}</span>
+          <span className="stat-label">Sold ({stats.unitsSold} units)</span>
+        </div>
+        <div className="stat">
+          <span className="stat-number">{stats.unsold}</span>
+          <span className="stat-label">Unsold</span>
+        </div>
+        <div className="stat">
+          <span className="stat-number">
+            {stats.avgTimeToSale === null ? '—' : formatDuration(stats.avgTimeToSale)}
+          </span>
+          <span className="stat-label">Avg. time to sale</span>
+        </div>
+      </div>
+
+      {Object.entries(stats.tokenRevenue).map(([tokenAddress, amount]) => {
+        const token = findPaymentToken(paymentTokens, tokenAddress);
+        return (
+          <p key={tokenAddress} className="dashboard-token-revenue">
+            + {formatEth(fromTokenUnits(amount, token.decimals), Math.min(4, token.decimals))} {token.symbol} in token sales
+          </p>
+        );
+      })}
+
+      {stats.ethRefunded > 0n && (
+        <p className="dashboard-token-revenue">
+          {formatEth(weiToEth(stats.ethRefunded), 4)} ETH refunded to buyers is not counted
+        </p>
+      )}
+
+      {/* Revenue over time */}
+      <h4>Revenue over time{stats.weekly ? ' (weekly)' : ' (daily)'}</h4>
+      {renderChart(stats.buckets, stats.weekly)}
+    </div>
+  );
+};
+
+export default SellerDashboard;
@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { formatAddress, formatReview } from '../utils/web3Utils';
+
+const SellerProfile = ({ seller, contract, rating, products = [], onClose }) => {
+
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the seller's reviews whenever a different seller is shown
+   */
+  useEffect(() => {
+    const loadReviews = async () => {
+      try {
+        setLoading(true);
+        setError('');
+
+        const result = await contract.methods.getSellerReviews(seller).call();
+
+        // Newest first
+        setReviews(result.map(formatReview).reverse());
+      } catch (err) {
+        console.error('❌ Error loading reviews:', err);
+        setError('Failed to load reviews');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (contract && seller) {
+      loadReviews();
+    }
+  }, [contract, seller]);
+
+  /**
+   * Name of the reviewed product, if it is still in the loaded catalog
+   */
+  const getProductName = (productId) => {
+    const product = products.find(p => p.id === productId);
+    return product ? product.name : `Product #${productId}`;
+  };
+
+  const listings = products.filter(p => p.seller.toLowerCase() === seller.toLowerCase());
+
+  return (
+    <section className="products-section seller-profile">
+      <div className="section-header">
+        <h3>👤 Seller {formatAddress(seller)}</h3>
+        <p title={seller}>
+          {rating && rating.count > 0
+            ? `⭐ ${rating.average.toFixed(1)} average from ${rating.count} review${rating.count === 1 ? '' : 's'}`
+            : 'No reviews yet'}
+          {' · '}
+          {listings.length} listing{listings.length === 1 ? '' : 's'}
+        </p>
+        <button className="btn btn-small btn-secondary" onClick={onClose}>
+          ✖ Close
+        </button>
+      </div>
+
+      {loading && <p className="section-empty">Loading reviews...</p>}
+      {error && <span className="error-text">{error}</span>}
+      {!loading && !error && reviews.length === 0 && (
+        <p className="section-empty">This seller has not been reviewed yet</p>
+      )}
+
+      <ul className="review-list">
+        {reviews.map(review => (
+          <li key={review.orderId} className="review-item">
+            <div className="review-header">
+              <span className="review-stars" title={`${review.rating} of 5`}>
+                {'★'.repeat(review.rating)}{'☆'.repeat(5 - review.rating)}
+              </span>
+              <span className="review-meta">
+                {getProductName(review.productId)} · {formatAddress(review.reviewer)} ·{' '}
+                {new Date(review.createdAt * 1000).toLocaleDateString()}
+              </span>
+            </div>
+            {review.comment && <p className="review-comment">{review.comment}</p>}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default SellerProfile;
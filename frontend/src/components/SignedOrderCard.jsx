@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { formatAddress, formatEth, fromTokenUnits } from '../utils/web3Utils';
+
+const SignedOrderCard = ({
+  signedOrder,
+  account,
+  paymentToken,
+  onFulfill,
+  onCancel,
+  onRemove,
+  busy = false,
+  paused = false
+}) => {
+
+  const { order } = signedOrder;
+  const [quantity, setQuantity] = useState(1);
+
+  const stock = Number(order.stock);
+  const isSeller = order.seller.toLowerCase() === account?.toLowerCase();
+
+  /**
+   * Format an amount in the order's currency
+   */
+  const formatAmount = (units) => {
+    const amount = fromTokenUnits(units, paymentToken.decimals);
+    return formatEth(amount, Math.min(4, paymentToken.decimals));
+  };
+
+  /**
+   * Format the signature expiry relative to now
+   */
+  const formatExpiry = () => {
+    const seconds = Number(order.expiry) - Math.floor(Date.now() / 1000);
+    if (seconds <= 0) return 'Expired';
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    if (days > 0) return `Expires in ${days}d ${hours}h`;
+    return `Expires in ${hours}h ${Math.floor((seconds % 3600) / 60)}m`;
+  };
+
+  /**
+   * Keep the selected quantity between 1 and the signed stock
+   */
+  const handleQuantityChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (isNaN(value)) return;
+    setQuantity(Math.min(Math.max(value, 1), stock));
+  };
+
+  const totalPrice = (BigInt(order.price) * BigInt(quantity)).toString();
+
+  return (
+    <div className="product-card signed-order-card available">
+      <div className="product-header">
+        <div className="product-id">
+          <span className="id-label">Signed</span>
+          <span className="id-value">✍️</span>
+        </div>
+        <span className="offer-status" title="Goes on-chain when the first buyer pays">⛽ Gasless</span>
+      </div>
+
+      <div className="product-content">
+        <h3 className="product-name" title={order.name}>
+          {order.name}
+        </h3>
+        <p className="product-description">{order.description}</p>
+
+        <div className="product-details">
+          <div className="detail-item price-item">
+            <span className="detail-label">💰 Price:</span>
+            <span className="detail-value price-value">
+              {formatAmount(order.price)} {paymentToken.symbol}
+            </span>
+          </div>
+          <div className="detail-item">
+            <span className="detail-label">📦 Stock:</span>
+            <span className="detail-value">{stock}</span>
+          </div>
+          <div className="detail-item">
+            <span className="detail-label">👤 Seller:</span>
+            <span className="detail-value" title={order.seller}>
+              {isSeller ? 'You' : formatAddress(order.seller)}
+            </span>
+          </div>
+          <div className="detail-item">
+            <span className="detail-label">⏱️</span>
+            <span className="detail-value">{formatExpiry()}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="product-footer">
+        {isSeller ? (
+          <div className="owner-actions">
+            <button
+              className="btn btn-danger btn-small"
+              onClick={() => onCancel(signedOrder)}
+              disabled={busy}
+              title="Invalidate the signature on-chain (costs gas)"
+            >
+              {busy ? 'Cancelling...' : '🚫 Cancel on-chain'}
+            </button>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => onRemove(signedOrder)}
+              disabled={busy}
+              title="Remove from this browser only; the signature stays valid"
+            >
+              🗑️ Remove
+            </button>
+          </div>
+        ) : (
+          <div className="product-actions">
+            {stock > 1 && (
+              <div className="quantity-picker">
+                <label htmlFor={`quantity-${signedOrder.signature}`}>Quantity</label>
+                <input
+                  type="number"
+                  id={`quantity-${signedOrder.signature}`}
+                  value={quantity}
+                  onChange={handleQuantityChange}
+                  min="1"
+                  max={stock}
+                  step="1"
+                  className="form-input"
+                  disabled={busy}
+                />
+              </div>
+            )}
+            <button
+              className="btn btn-primary btn-buy"
+              onClick={() => onFulfill(signedOrder, quantity)}
+              disabled={busy || paused || !account}
+            >
+              {busy ? 'Processing...' : `🛒 Buy for ${formatAmount(totalPrice)} ${paymentToken.symbol}`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignedOrderCard;
@@ -0,0 +1,80 @@
+// IndexedDB storage for the product catalog rebuilt from contract logs.
+// One record per chain + contract address, so switching networks or
+// redeploying to a new address starts from a fresh catalog.
+
+const DB_NAME = "simple-market";
+const DB_VERSION = 1;
+const STORE_NAME = "catalogs";
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the cache database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the catalog store
+ */
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    const request = makeRequest(store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Cache key for a deployment
+ */
+export const getCatalogKey = (chainId, contractAddress) => {
+  return `${chainId}:${contractAddress.toLowerCase()}`;
+};
+
+/**
+ * Load a cached catalog, or null if there is none (or IndexedDB is unavailable)
+ */
+export const loadCachedCatalog = async (key) => {
+  try {
+    return (await runRequest("readonly", (store) => store.get(key))) || null;
+  } catch (error) {
+    console.warn("⚠️ Could not read the catalog cache:", error);
+    return null;
+  }
+};
+
+/**
+ * Store a catalog; the app keeps working without the cache if this fails
+ */
+export const saveCachedCatalog = async (key, catalog) => {
+  try {
+    await runRequest("readwrite", (store) => store.put(catalog, key));
+  } catch (error) {
+    console.warn("⚠️ Could not write the catalog cache:", error);
+  }
+};
+
+/**
+ * Drop a cached catalog
+ */
+export const clearCachedCatalog = async (key) => {
+  try {
+    await runRequest("readwrite", (store) => store.delete(key));
+  } catch (error) {
+    console.warn("⚠️ Could not clear the catalog cache:", error);
+  }
+};
@@ -0,0 +1,38 @@
+// Lists kept in this browser's localStorage: the signed order book, the cart
+// and the watchlist. Each list belongs to one chain + contract address, and
+// per-account lists also to one account, so switching wallets or networks
+// shows the right data.
+
+const STORAGE_PREFIX = "simple-market";
+
+/**
+ * Storage key for a feature's list on a deployment, e.g. "cart".
+ * Leave out the account for lists shared by every account.
+ */
+export const getStorageKey = (feature, chainId, contractAddress, account) => {
+  const key = `${STORAGE_PREFIX}:${feature}:${chainId}:${contractAddress.toLowerCase()}`;
+  return account ? `${key}:${account.toLowerCase()}` : key;
+};
+
+/**
+ * Load the list stored under a key (empty if there is none)
+ */
+export const loadList = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch (error) {
+    console.warn(`⚠️ Could not read ${key}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Replace the list stored under a key
+ */
+export const saveList = (key, items) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(items));
+  } catch (error) {
+    console.warn(`⚠️ Could not write ${key}:`, error);
+  }
+};
@@ -1,10 +1,119 @@
 import Web3 from "web3";
 import detectEthereumProvider from "@metamask/detect-provider";
+import {
+  getCatalogKey,
+  loadCachedCatalog,
+  saveCachedCatalog,
+  clearCachedCatalog,
+} from "./catalogCache";
+import { getStorageKey, loadList, saveList } from "./localStore";
 
 let web3 = null;
 let contract = null;
 let currentAccount = null;
 
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+export const ZERO_HASH = "0x" + "0".repeat(64);
+
+// Listings with paymentToken = address(0) are priced in ETH
+export const ETH_TOKEN = { address: ZERO_ADDRESS, symbol: "ETH", decimals: 18 };
+
+// Just the ERC-20 functions the marketplace UI needs
+const ERC20_ABI = [
+  {
+    inputs: [{ name: "account", type: "address" }],
+    name: "balanceOf",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+    ],
+    name: "allowance",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+    ],
+    name: "approve",
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "decimals",
+    outputs: [{ name: "", type: "uint8" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "symbol",
+    outputs: [{ name: "", type: "string" }],
+    stateMutability: "view",
+    type: "function",
+  },
+];
+
+// Just the MarketForwarder functions needed to sign a forward request
+const FORWARDER_ABI = [
+  {
+    inputs: [{ name: "owner", type: "address" }],
+    name: "nonces",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "eip712Domain",
+    outputs: [
+      { name: "fields", type: "bytes1" },
+      { name: "name", type: "string" },
+      { name: "version", type: "string" },
+      { name: "chainId", type: "uint256" },
+      { name: "verifyingContract", type: "address" },
+      { name: "salt", type: "bytes32" },
+      { name: "extensions", type: "uint256[]" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+];
+
+// EIP-712 types of an ERC-2771 forward request (ERC2771Forwarder.ForwardRequest)
+const FORWARD_REQUEST_TYPES = {
+  EIP712Domain: [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" },
+  ],
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+// Relayer that submits sponsored transactions (scripts/relayer.js)
+const RELAYER_URL = import.meta.env.VITE_RELAYER_URL || "http://127.0.0.1:8787";
+
+// How long a signed forward request stays valid, in seconds
+const FORWARD_REQUEST_TTL = 60 * 60;
+
 // Contract configuration - these will be set after deployment
 const CONTRACT_CONFIG = {
   // This will be populated from deployment files
@@ -263,11 +372,11 @@ export const getContract = async () => {
     console.log("📋 Contract address:", contract.options.address);
     console.log("📋 Available methods:", Object.keys(contract.methods));
 
-    // Test if getAllProducts method exists
-    if (contract.methods.getAllProducts) {
-      console.log("✅ getAllProducts method is available");
+    // Test if getAvailableProducts method exists
+    if (contract.methods.getAvailableProducts) {
+      console.log("✅ getAvailableProducts method is available");
     } else {
-      console.error("❌ getAllProducts method NOT found!");
+      console.error("❌ getAvailableProducts method NOT found!");
       console.log("Available methods:", Object.keys(contract.methods));
     }
 
@@ -278,26 +387,484 @@ export const getContract = async () => {
   }
 };
 
+/**
+ * Get an ERC-20 contract instance for a payment token
+ */
+export const getTokenContract = (tokenAddress) => {
+  if (!web3) {
+    throw new Error("Web3 not initialized");
+  }
+  return new web3.eth.Contract(ERC20_ABI, tokenAddress);
+};
+
+/**
+ * Load the currencies listings can be priced in
+ * ETH is always available; ERC-20 tokens come from deploymentInfo.json
+ * and are kept only while the marketplace still accepts them
+ */
+export const getPaymentTokens = async (marketContract) => {
+  const tokens = [ETH_TOKEN];
+
+  try {
+    const response = await fetch("/src/contracts/deploymentInfo.json");
+    if (!response.ok) return tokens;
+
+    const deploymentInfo = await response.json();
+
+    for (const token of deploymentInfo.paymentTokens || []) {
+      const accepted = await marketContract.methods
+        .acceptedTokens(token.address)
+        .call();
+
+      if (accepted) {
+        tokens.push({
+          address: token.address,
+          symbol: token.symbol,
+          decimals: Number(token.decimals),
+        });
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error loading payment tokens:", error);
+  }
+
+  console.log("🪙 Payment tokens:", tokens.map((t) => t.symbol));
+  return tokens;
+};
+
+/**
+ * Load the category registry as [{ id, name, active }]
+ */
+export const getCategories = async (marketContract) => {
+  const categories = await marketContract.methods.getCategories().call();
+  return categories.map((category, index) => ({
+    id: index + 1,
+    name: category.name,
+    active: category.active,
+  }));
+};
+
+// Listings shown per page while browsing
+export const PRODUCT_PAGE_SIZE = 12;
+
+// Blocks per getPastEvents call while catching up on logs, to stay under RPC limits
+const LOG_BLOCK_RANGE = 5000;
+
+/**
+ * Block the marketplace was deployed at, from deploymentInfo.json (0 if unknown)
+ */
+const getDeploymentBlock = async () => {
+  try {
+    const response = await fetch("/src/contracts/deploymentInfo.json");
+    if (!response.ok) return 0;
+    const deploymentInfo = await response.json();
+    return Number(deploymentInfo.blockNumber || 0);
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Catalog entry for a product struct read from the contract
+ */
+const toCatalogProduct = (product, tags = []) => ({
+  id: Number(product.id),
+  name: product.name,
+  description: product.description,
+  price: product.price.toString(),
+  seller: product.seller,
+  sold: product.sold,
+  delisted: product.delisted,
+  paymentToken: product.paymentToken,
+  stock: Number(product.stock),
+  saleType: Number(product.saleType),
+  categoryId: Number(product.categoryId),
+  tags,
+  metadataURI: product.metadataURI,
+  metadataHash: product.metadataHash,
+  expiresAt: 0,
+  priceDecay: null,
+  hidden: false,
+});
+
+/**
+ * Catalog entry for a new listing, from its ProductAdded event
+ */
+export const productFromAddedEvent = (event) => {
+  const values = event.returnValues;
+  return {
+    id: Number(values.id),
+    name: values.name,
+    description: values.description,
+    price: values.price.toString(),
+    seller: values.seller,
+    sold: false,
+    delisted: false,
+    paymentToken: values.paymentToken,
+    stock: Number(values.stock),
+    saleType: Number(values.saleType),
+    categoryId: Number(values.categoryId),
+    tags: [...(values.tags || [])],
+    metadataURI: "",
+    metadataHash: ZERO_HASH,
+    expiresAt: 0,
+    priceDecay: null,
+    hidden: false,
+  };
+};
+
+/**
+ * Price schedule of a Dutch auction, from its DutchAuctionCreated event
+ */
+export const priceDecayFromEvent = (event) => {
+  const values = event.returnValues;
+  return {
+    startPrice: values.startPrice.toString(),
+    floorPrice: values.floorPrice.toString(),
+    startTime: Number(values.startTime),
+    duration: Number(values.duration),
+  };
+};
+
+/**
+ * Apply one marketplace event to the catalog
+ * Ids of products the logs alone can't update are added to `stale`
+ */
+const applyCatalogEvent = (catalog, event, stale) => {
+  const values = event.returnValues;
+  const product = catalog.products[Number(values.id ?? values.productId)];
+
+  switch (event.event) {
+    case "ProductAdded":
+      catalog.products[Number(values.id)] = productFromAddedEvent(event);
+      break;
+    case "MetadataSet":
+      if (!product) break;
+      product.metadataURI = values.metadataURI;
+      product.metadataHash = values.metadataHash;
+      break;
+    case "ExpirySet":
+      if (!product) break;
+      product.expiresAt = Number(values.expiresAt);
+      break;
+    case "DutchAuctionCreated":
+      if (!product) break;
+      product.priceDecay = priceDecayFromEvent(event);
+      break;
+    case "ProductSold":
+      if (!product) break;
+      product.stock = Math.max(0, product.stock - Number(values.quantity));
+      product.sold = product.stock === 0;
+      break;
+    case "ProductUpdated":
+      if (!product) break;
+      product.description = values.description;
+      product.price = values.price.toString();
+      break;
+    case "ProductDelisted":
+      if (!product) break;
+      product.delisted = true;
+      break;
+    case "ProductHidden":
+    case "ProductUnhidden":
+      if (!product) break;
+      product.hidden = event.event === "ProductHidden";
+      break;
+    case "AuctionSettled":
+      // A won auction is also logged as ProductSold; without bids it closes unsold
+      if (product && values.winner === ZERO_ADDRESS) {
+        product.delisted = true;
+      }
+      break;
+    case "OrderCreated":
+      catalog.orderProducts[Number(values.orderId)] = Number(values.productId);
+      break;
+    case "OrderRefunded": {
+      // The refund puts units back on sale; the log doesn't say how many
+      const productId = catalog.orderProducts[Number(values.orderId)];
+      if (productId) stale.add(productId);
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+/**
+ * Check a cached catalog still belongs to the chain we are connected to.
+ * A restarted local node (or a redeploy) replays different blocks, so the
+ * hash of the last processed block no longer matches.
+ */
+const isCatalogCurrent = async (catalog, deploymentBlock) => {
+  if (catalog.deploymentBlock !== deploymentBlock) return false;
+
+  try {
+    const block = await web3.eth.getBlock(catalog.lastBlock);
+    return !!block && block.hash === catalog.lastBlockHash;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Bring the product catalog up to date from contract logs.
+ * The catalog and the last processed block are cached in IndexedDB, so later
+ * loads only fetch the logs of new blocks.
+ * Returns { products, syncedBlock }, syncedBlock being the last block read.
+ */
+export const syncProductCatalog = async (marketContract) => {
+  const chainId = Number(await web3.eth.getChainId());
+  const key = getCatalogKey(chainId, marketContract.options.address);
+  const deploymentBlock = await getDeploymentBlock();
+
+  let catalog = await loadCachedCatalog(key);
+  if (catalog && !(await isCatalogCurrent(catalog, deploymentBlock))) {
+    console.log("♻️ Chain was reset, dropping the cached catalog");
+    await clearCachedCatalog(key);
+    catalog = null;
+  }
+
+  if (!catalog) {
+    catalog = {
+      deploymentBlock,
+      lastBlock: deploymentBlock - 1,
+      lastBlockHash: null,
+      products: {},
+      orderProducts: {},
+    };
+  }
+
+  const latestBlock = Number(await web3.eth.getBlockNumber());
+  const stale = new Set();
+  let eventCount = 0;
+
+  for (let fromBlock = catalog.lastBlock + 1; fromBlock <= latestBlock; fromBlock += LOG_BLOCK_RANGE) {
+    const toBlock = Math.min(fromBlock + LOG_BLOCK_RANGE - 1, latestBlock);
+    const events = await marketContract.getPastEvents("allEvents", { fromBlock, toBlock });
+    events.forEach((event) => applyCatalogEvent(catalog, event, stale));
+    eventCount += events.length;
+  }
+
+  // Re-read the few products whose new state isn't in the logs
+  await Promise.all(
+    [...stale].map(async (id) => {
+      const product = await marketContract.methods.products(id).call();
+      catalog.products[id] = {
+        ...toCatalogProduct(product, catalog.products[id]?.tags),
+        expiresAt: catalog.products[id]?.expiresAt || 0,
+        priceDecay: catalog.products[id]?.priceDecay || null,
+        hidden: !!catalog.products[id]?.hidden,
+      };
+    })
+  );
+
+  if (latestBlock > catalog.lastBlock) {
+    const block = await web3.eth.getBlock(latestBlock);
+    catalog.lastBlock = latestBlock;
+    catalog.lastBlockHash = block.hash;
+    await saveCachedCatalog(key, catalog);
+  }
+
+  console.log(`📚 Catalog synced to block ${latestBlock} (${eventCount} new events)`);
+  return {
+    products: Object.values(catalog.products).sort((a, b) => b.id - a.id),
+    syncedBlock: latestBlock,
+  };
+};
+
+// IPFS node used to pin listing images and metadata (`node scripts/ipfs-stub.js` runs a local stand-in)
+const IPFS_API_URL = import.meta.env.VITE_IPFS_API_URL || "http://127.0.0.1:5001";
+const IPFS_GATEWAY_URL = import.meta.env.VITE_IPFS_GATEWAY_URL || "http://127.0.0.1:8080";
+
+/**
+ * Pin a file (or Blob) to IPFS and return its ipfs:// URI
+ */
+export const pinToIpfs = async (file, fileName = file.name || "file") => {
+  const body = new FormData();
+  body.append("file", file, fileName);
+
+  const response = await fetch(`${IPFS_API_URL}/api/v0/add?cid-version=1&pin=true`, {
+    method: "POST",
+    body,
+  });
+  if (!response.ok) {
+    throw new Error(`IPFS upload failed (${response.status})`);
+  }
+
+  const { Hash } = await response.json();
+  console.log(`📌 Pinned ${fileName}:`, Hash);
+  return `ipfs://${Hash}`;
+};
+
+/**
+ * Resolve an ipfs:// URI to a gateway URL the browser can load
+ * Plain http(s) URIs are returned unchanged
+ */
+export const ipfsToGatewayUrl = (uri) => {
+  if (!uri || !uri.startsWith("ipfs://")) return uri;
+  return `${IPFS_GATEWAY_URL}/ipfs/${uri.slice("ipfs://".length)}`;
+};
+
+/**
+ * keccak256 of a metadata document's exact text, as stored on-chain
+ */
+export const hashMetadata = (text) => {
+  return Web3.utils.keccak256(Web3.utils.utf8ToHex(text));
+};
+
+/**
+ * Pin a listing's metadata JSON and return { uri, hash } for addProduct
+ */
+export const pinProductMetadata = async (metadata) => {
+  const text = JSON.stringify(metadata);
+  const uri = await pinToIpfs(new Blob([text], { type: "application/json" }), "metadata.json");
+  return { uri, hash: hashMetadata(text) };
+};
+
+/**
+ * Fetch a listing's metadata and check it against the on-chain hash
+ * Returns { metadata, verified }; metadata is null if it can't be read
+ */
+export const fetchProductMetadata = async (uri, expectedHash) => {
+  const response = await fetch(ipfsToGatewayUrl(uri));
+  if (!response.ok) {
+    throw new Error(`Metadata request failed (${response.status})`);
+  }
+
+  const text = await response.text();
+  const verified = hashMetadata(text) === expectedHash.toLowerCase();
+
+  let metadata = null;
+  try {
+    metadata = JSON.parse(text);
+  } catch {
+    console.warn("⚠️ Listing metadata is not valid JSON:", uri);
+  }
+
+  return { metadata, verified };
+};
+
+/**
+ * Check if a listing's payment token means ETH
+ */
+export const isEthPayment = (tokenAddress) => {
+  return !tokenAddress || tokenAddress.toLowerCase() === ZERO_ADDRESS;
+};
+
+/**
+ * Find token info for an address, falling back to ETH
+ */
+export const findPaymentToken = (tokens, tokenAddress) => {
+  if (isEthPayment(tokenAddress)) return ETH_TOKEN;
+  return (
+    tokens.find((t) => t.address.toLowerCase() === tokenAddress.toLowerCase()) ||
+    { address: tokenAddress, symbol: "TOKEN", decimals: 18 }
+  );
+};
+
+/**
+ * Sign a market call as an ERC-2771 forward request and hand it to the
+ * relayer, which pays the gas. The market sees the signer as the caller.
+ */
+const sendSponsoredTransaction = async (contractMethod, options = {}) => {
+  if (options.value && BigInt(options.value) > 0n) {
+    throw new Error("Sponsored transactions can't send ETH");
+  }
+
+  const marketAddress = contract.options.address;
+  const forwarderAddress = await contract.methods.trustedForwarder().call();
+  const forwarder = new web3.eth.Contract(FORWARDER_ABI, forwarderAddress);
+  const data = contractMethod.encodeABI();
+
+  // Estimate the call as the forwarder will make it: signer appended to the calldata
+  const gasEstimate = await web3.eth.estimateGas({
+    from: forwarderAddress,
+    to: marketAddress,
+    data: data + currentAccount.slice(2).toLowerCase(),
+  });
+
+  const [nonce, domain] = await Promise.all([
+    forwarder.methods.nonces(currentAccount).call(),
+    forwarder.methods.eip712Domain().call(),
+  ]);
+
+  const request = {
+    from: currentAccount,
+    to: marketAddress,
+    value: "0",
+    gas: Math.floor(Number(gasEstimate) * 1.2).toString(),
+    nonce: nonce.toString(),
+    deadline: (Math.floor(Date.now() / 1000) + FORWARD_REQUEST_TTL).toString(),
+    data,
+  };
+
+  const signature = await window.ethereum.request({
+    method: "eth_signTypedData_v4",
+    params: [
+      currentAccount,
+      JSON.stringify({
+        types: FORWARD_REQUEST_TYPES,
+        primaryType: "ForwardRequest",
+        domain: {
+          name: domain.name,
+          version: domain.version,
+          chainId: Number(domain.chainId),
+          verifyingContract: domain.verifyingContract,
+        },
+        message: request,
+      }),
+    ],
+  });
+
+  let response;
+  try {
+    response = await fetch(`${RELAYER_URL}/relay`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ request: { ...request, signature } }),
+    });
+  } catch {
+    throw new Error("Relayer unavailable - is scripts/relayer.js running?");
+  }
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Relayer error (${response.status})`);
+  }
+
+  console.log("⛽ Sponsored transaction relayed:", result.transactionHash);
+  return { ...result, sponsored: true };
+};
+
+/**
+ * Send a transaction for a market method
+ * With { sponsored: true } the user only signs and the relayer pays the gas
+ */
 export const sendTransaction = async (contractMethod, options = {}) => {
   try {
     if (!currentAccount) {
       throw new Error("Please connect your wallet first");
     }
 
+    const { sponsored, ...txOptions } = options;
+    if (sponsored) {
+      return await sendSponsoredTransaction(contractMethod, txOptions);
+    }
+
     // Estimate gas for the transaction
     const gasEstimate = await contractMethod.estimateGas({
       from: currentAccount,
-      ...options,
+      ...txOptions,
     });
 
     // Add 20% buffer to gas estimate
-    const gasLimit = Math.floor(gasEstimate * 1.2);
+    const gasLimit = Math.floor(Number(gasEstimate) * 1.2);
 
     // Send the transaction
     const result = await contractMethod.send({
       from: currentAccount,
       gas: gasLimit,
-      ...options,
+      ...txOptions,
     });
 
     console.log("✅ Transaction successful:", result.transactionHash);
@@ -352,6 +919,864 @@ export const weiToEth = (weiAmount) => {
   return web3.utils.fromWei(weiAmount.toString(), "ether");
 };
 
+/**
+ * Convert a human amount into a token's smallest unit
+ */
+export const toTokenUnits = (amount, decimals) => {
+  if (!web3) return "0";
+  return web3.utils.toWei(amount.toString(), Number(decimals));
+};
+
+/**
+ * Convert a token's smallest unit into a human amount
+ */
+export const fromTokenUnits = (amount, decimals) => {
+  if (!web3) return "0";
+  return web3.utils.fromWei(amount.toString(), Number(decimals));
+};
+
+/**
+ * Escrow order states, mirroring SimpleMarket.OrderStatus
+ */
+export const ORDER_STATUS = {
+  NONE: 0,
+  AWAITING_SHIPMENT: 1,
+  SHIPPED: 2,
+  COMPLETED: 3,
+  REFUNDED: 4,
+};
+
+/**
+ * Convert an Order struct returned by the contract into plain JS values
+ */
+export const formatOrder = (order) => ({
+  id: Number(order.id),
+  productId: Number(order.productId),
+  buyer: order.buyer,
+  quantity: Number(order.quantity),
+  amount: order.amount.toString(),
+  fee: order.fee.toString(),
+  status: Number(order.status),
+  purchasedAt: Number(order.purchasedAt),
+  shippedAt: Number(order.shippedAt),
+});
+
+/**
+ * Load a buyer's purchase history, newest first.
+ * ProductSold logs found through the indexed buyer topic give the seller,
+ * transaction hash and block; the stored orders give the amount paid, the
+ * purchase time and the escrow status. Each purchase logs one ProductSold and
+ * creates one order, so the n-th sale of a product to the buyer matches
+ * their n-th order for it.
+ */
+export const getPurchaseHistory = async (marketContract, buyer) => {
+  const [events, orders] = await Promise.all([
+    marketContract.getPastEvents("ProductSold", {
+      filter: { buyer },
+      fromBlock: await getDeploymentBlock(),
+      toBlock: "latest",
+    }),
+    marketContract.methods.getBuyerOrders(buyer).call(),
+  ]);
+
+  const ordersByProduct = {};
+  orders.map(formatOrder).forEach((order) => {
+    (ordersByProduct[order.productId] ||= []).push(order);
+  });
+
+  return events
+    .map((event) => {
+      const productId = Number(event.returnValues.id);
+      const order = ordersByProduct[productId]?.shift();
+      return {
+        orderId: order?.id ?? null,
+        productId,
+        productName: event.returnValues.name,
+        quantity: Number(event.returnValues.quantity),
+        amountPaid: order ? order.amount : event.returnValues.price.toString(),
+        seller: event.returnValues.seller,
+        status: order?.status ?? ORDER_STATUS.NONE,
+        purchasedAt: order?.purchasedAt ?? 0,
+        transactionHash: event.transactionHash,
+        blockNumber: Number(event.blockNumber),
+        logIndex: Number(event.logIndex),
+      };
+    })
+    .reverse();
+};
+
+// Block timestamps never change, so they are fetched once per block
+const blockTimestamps = new Map();
+
+/**
+ * Look up the timestamps (in seconds) of a set of blocks
+ * Returns { [blockNumber]: timestamp }
+ */
+const getBlockTimestamps = async (blockNumbers) => {
+  const missing = [...new Set(blockNumbers)].filter((n) => !blockTimestamps.has(n));
+
+  await Promise.all(
+    missing.map(async (blockNumber) => {
+      const block = await web3.eth.getBlock(blockNumber);
+      blockTimestamps.set(blockNumber, Number(block.timestamp));
+    })
+  );
+
+  return Object.fromEntries(blockNumbers.map((n) => [n, blockTimestamps.get(n)]));
+};
+
+/**
+ * Load a seller's listings and sales from the logs indexed by their address,
+ * oldest first, each with the time of its block. Like getPurchaseHistory, the
+ * n-th sale of a product is matched with its n-th order, which gives the
+ * amount actually paid, the marketplace fee and whether it was refunded.
+ */
+export const getSellerActivity = async (marketContract, seller) => {
+  const range = { filter: { seller }, fromBlock: await getDeploymentBlock(), toBlock: "latest" };
+  const [addedEvents, soldEvents] = await Promise.all([
+    marketContract.getPastEvents("ProductAdded", range),
+    marketContract.getPastEvents("ProductSold", range),
+  ]);
+
+  const [times, productOrders] = await Promise.all([
+    getBlockTimestamps([...addedEvents, ...soldEvents].map((event) => Number(event.blockNumber))),
+    Promise.all(
+      addedEvents.map((event) => marketContract.methods.getProductOrders(event.returnValues.id).call())
+    ),
+  ]);
+
+  const ordersByProduct = {};
+  productOrders.flat().map(formatOrder).forEach((order) => {
+    (ordersByProduct[order.productId] ||= []).push(order);
+  });
+
+  const listings = addedEvents.map((event) => ({
+    productId: Number(event.returnValues.id),
+    name: event.returnValues.name,
+    price: event.returnValues.price.toString(),
+    paymentToken: event.returnValues.paymentToken,
+    listedAt: times[Number(event.blockNumber)],
+  }));
+
+  const sales = soldEvents.map((event) => {
+    const productId = Number(event.returnValues.id);
+    const order = ordersByProduct[productId]?.shift();
+    return {
+      productId,
+      name: event.returnValues.name,
+      quantity: Number(event.returnValues.quantity),
+      // ProductSold logs the unit price
+      amount: order ? order.amount : (BigInt(event.returnValues.price) * BigInt(event.returnValues.quantity)).toString(),
+      fee: order ? order.fee : "0",
+      refunded: order?.status === ORDER_STATUS.REFUNDED,
+      buyer: event.returnValues.buyer,
+      soldAt: times[Number(event.blockNumber)],
+      transactionHash: event.transactionHash,
+    };
+  });
+
+  return { listings, sales };
+};
+
+/**
+ * Convert a Review struct returned by the contract into plain JS values
+ */
+export const formatReview = (review) => ({
+  orderId: Number(review.orderId),
+  productId: Number(review.productId),
+  reviewer: review.reviewer,
+  seller: review.seller,
+  rating: Number(review.rating),
+  comment: review.comment,
+  createdAt: Number(review.createdAt),
+});
+
+/**
+ * Convert getSellerRating's (average x100, count) into { average, count }
+ */
+export const formatSellerRating = (rating) => ({
+  average: Number(rating.average) / 100,
+  count: Number(rating.count),
+});
+
+/**
+ * Offer states, mirroring SimpleMarket.OfferStatus
+ */
+export const OFFER_STATUS = {
+  NONE: 0,
+  OPEN: 1,
+  COUNTERED: 2,
+  ACCEPTED: 3,
+  REJECTED: 4,
+  WITHDRAWN: 5,
+};
+
+/**
+ * Convert an Offer struct returned by the contract into plain JS values
+ */
+export const formatOffer = (offer) => ({
+  id: Number(offer.id),
+  productId: Number(offer.productId),
+  buyer: offer.buyer,
+  amount: offer.amount.toString(),
+  counterAmount: offer.counterAmount.toString(),
+  expiresAt: Number(offer.expiresAt),
+  status: Number(offer.status),
+});
+
+/**
+ * How a listing is sold, mirroring SimpleMarket.SaleType
+ */
+export const SALE_TYPE = {
+  FIXED_PRICE: 0,
+  AUCTION: 1,
+  DUTCH_AUCTION: 2,
+};
+
+/**
+ * Price of a Dutch auction at `now` (ms), in base units, following the same
+ * linear decay as SimpleMarket.currentPrice
+ */
+export const getDecayedPrice = (priceDecay, now = Date.now()) => {
+  const startPrice = BigInt(priceDecay.startPrice);
+  const floorPrice = BigInt(priceDecay.floorPrice);
+  const elapsed = Math.max(0, Math.floor(now / 1000) - priceDecay.startTime);
+
+  if (elapsed >= priceDecay.duration) return floorPrice;
+  return startPrice - ((startPrice - floorPrice) * BigInt(elapsed)) / BigInt(priceDecay.duration);
+};
+
+/**
+ * Price per unit a buyer pays at `now` (ms): the decayed price for Dutch
+ * auctions, the listed price otherwise
+ */
+export const getListingPrice = (product, now = Date.now()) => {
+  if (product.saleType === SALE_TYPE.DUTCH_AUCTION && product.priceDecay) {
+    return getDecayedPrice(product.priceDecay, now);
+  }
+  return BigInt(product.price);
+};
+
+/**
+ * Whether a listing's expiry has passed (listings without one never expire)
+ */
+export const isListingExpired = (product, now = Date.now()) => {
+  return product.expiresAt > 0 && product.expiresAt * 1000 <= now;
+};
+
+/**
+ * Convert an Auction struct returned by the contract into plain JS values
+ */
+export const formatAuction = (auction) => ({
+  endTime: Number(auction.endTime),
+  minBidIncrement: auction.minBidIncrement.toString(),
+  highestBidder: auction.highestBidder,
+  highestBid: auction.highestBid.toString(),
+  settled: auction.settled,
+});
+
+/**
+ * Load every bid placed on an auction from BidPlaced events, newest first
+ */
+export const getBidHistory = async (marketContract, productId) => {
+  const events = await marketContract.getPastEvents("BidPlaced", {
+    filter: { productId },
+    fromBlock: await getDeploymentBlock(),
+    toBlock: "latest",
+  });
+
+  return events
+    .map((event) => ({
+      bidder: event.returnValues.bidder,
+      amount: event.returnValues.amount.toString(),
+      blockNumber: Number(event.blockNumber),
+      transactionHash: event.transactionHash,
+    }))
+    .reverse();
+};
+
+/**
+ * Poll an auction's bid history and pass it to onBids whenever it is loaded.
+ * Returns a function that stops polling.
+ */
+export const watchBidHistory = (marketContract, productId, onBids, intervalMs = 5000) => {
+  let stopped = false;
+
+  const poll = async () => {
+    try {
+      const bids = await getBidHistory(marketContract, productId);
+      if (!stopped) onBids(bids);
+    } catch (error) {
+      console.error("❌ Error loading bid history:", error);
+    }
+  };
+
+  poll();
+  const timer = setInterval(poll, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
+// Events that change what the product list shows to everyone
+// (MetadataSet, ExpirySet and DutchAuctionCreated follow ProductAdded for
+// listings with images, an expiry or a falling price; ExpirySet is also
+// logged on relist)
+const LIVE_EVENTS = new Set([
+  "ProductAdded",
+  "MetadataSet",
+  "ExpirySet",
+  "DutchAuctionCreated",
+  "ProductSold",
+  "ProductUpdated",
+  "ProductDelisted",
+  "OrderRefunded",
+  "AuctionSettled",
+  "ProductHidden",
+  "ProductUnhidden",
+  "Paused",
+  "Unpaused",
+]);
+
+/**
+ * Poll for new listings and sales and pass each batch of events to
+ * onEvents, oldest first. Events are reported from startBlock on; pass the
+ * block after the last catalog sync so nothing falls between the two.
+ * Without it, only events after the current block are reported.
+ * Returns a function that stops polling.
+ */
+export const watchMarketEvents = (marketContract, onEvents, startBlock = null, intervalMs = 4000) => {
+  let stopped = false;
+  let polling = false;
+  let fromBlock = startBlock;
+
+  const poll = async () => {
+    // Skip a tick while the previous poll is still waiting on the node
+    if (polling) return;
+    polling = true;
+
+    try {
+      const latestBlock = Number(await web3.eth.getBlockNumber());
+
+      // Start watching from the next block
+      if (fromBlock === null) {
+        fromBlock = latestBlock + 1;
+        return;
+      }
+      if (latestBlock < fromBlock) return;
+
+      // One log query per tick; the node returns the logs in chain order
+      const logs = await marketContract.getPastEvents("allEvents", { fromBlock, toBlock: latestBlock });
+      fromBlock = latestBlock + 1;
+
+      const events = logs.filter((event) => LIVE_EVENTS.has(event.event));
+
+      if (!stopped && events.length > 0) onEvents(events);
+    } catch (error) {
+      console.error("❌ Error polling marketplace events:", error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  poll();
+  const timer = setInterval(poll, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
+// ModerationReason enum values in the contract
+export const MODERATION_REASON = {
+  NONE: 0,
+  FRAUD: 1,
+  COUNTERFEIT: 2,
+  PROHIBITED: 3,
+  SPAM: 4,
+  OTHER: 5,
+};
+
+const MODERATION_EVENTS = ["ProductHidden", "ProductUnhidden", "SellerBanned", "SellerUnbanned"];
+
+/**
+ * Check whether an account may take down listings and ban sellers
+ */
+export const isModerator = async (marketContract, account) => {
+  const role = await marketContract.methods.MODERATOR_ROLE().call();
+  return marketContract.methods.hasRole(role, account).call();
+};
+
+/**
+ * Load every moderation action from the logs, newest first, along with the
+ * listings and sellers that are currently taken down
+ * Returns { actions, hiddenProducts: { [id]: reason }, bannedSellers: { [address]: reason } }
+ */
+export const getModerationLog = async (marketContract) => {
+  const range = { fromBlock: await getDeploymentBlock(), toBlock: "latest" };
+  const batches = await Promise.all(
+    MODERATION_EVENTS.map((name) => marketContract.getPastEvents(name, range))
+  );
+
+  const events = batches
+    .flat()
+    .sort((a, b) =>
+      Number(a.blockNumber) - Number(b.blockNumber) ||
+      Number(a.logIndex) - Number(b.logIndex)
+    );
+  const times = await getBlockTimestamps(events.map((event) => Number(event.blockNumber)));
+
+  const hiddenProducts = {};
+  const bannedSellers = {};
+  const actions = events.map((event) => {
+    const values = event.returnValues;
+    const reason = Number(values.reason ?? MODERATION_REASON.NONE);
+
+    switch (event.event) {
+      case "ProductHidden":
+        hiddenProducts[Number(values.id)] = reason;
+        break;
+      case "ProductUnhidden":
+        delete hiddenProducts[Number(values.id)];
+        break;
+      case "SellerBanned":
+        bannedSellers[values.seller.toLowerCase()] = reason;
+        break;
+      case "SellerUnbanned":
+        delete bannedSellers[values.seller.toLowerCase()];
+        break;
+      default:
+        break;
+    }
+
+    return {
+      action: event.event,
+      productId: values.id === undefined ? null : Number(values.id),
+      seller: values.seller ?? null,
+      moderator: values.moderator,
+      reason,
+      timestamp: times[Number(event.blockNumber)],
+      transactionHash: event.transactionHash,
+    };
+  });
+
+  return { actions: actions.reverse(), hiddenProducts, bannedSellers };
+};
+
+// EIP-712 types of a signed listing, matching SimpleMarket.ListingOrder
+const LISTING_ORDER_TYPES = {
+  EIP712Domain: [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" },
+  ],
+  ListingOrder: [
+    { name: "seller", type: "address" },
+    { name: "name", type: "string" },
+    { name: "description", type: "string" },
+    { name: "price", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "stock", type: "uint256" },
+    { name: "categoryId", type: "uint256" },
+    { name: "metadataURI", type: "string" },
+    { name: "metadataHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// Where a signed order stands on-chain
+export const SIGNED_ORDER_STATUS = {
+  OPEN: "open",
+  FULFILLED: "fulfilled",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+  INVALID: "invalid",
+};
+
+/**
+ * Full EIP-712 payload for a listing order, with the market's domain
+ */
+const getListingTypedData = async (marketContract, order) => {
+  const domain = await marketContract.methods.eip712Domain().call();
+  return {
+    types: LISTING_ORDER_TYPES,
+    primaryType: "ListingOrder",
+    domain: {
+      name: domain.name,
+      version: domain.version,
+      chainId: Number(domain.chainId),
+      verifyingContract: domain.verifyingContract,
+    },
+    message: order,
+  };
+};
+
+/**
+ * Build an unsigned listing order. Amounts are in the currency's smallest
+ * unit and expiry is a unix timestamp in seconds; all numbers are kept as
+ * strings so the order survives JSON storage.
+ */
+export const createListingOrder = ({
+  seller,
+  name,
+  description,
+  price,
+  paymentToken = ZERO_ADDRESS,
+  stock = 1,
+  categoryId = 0,
+  metadataURI = "",
+  metadataHash = ZERO_HASH,
+  expiry,
+}) => {
+  // Random nonce, so a seller can have many open orders at once
+  const nonceBytes = crypto.getRandomValues(new Uint8Array(8));
+  const nonce = BigInt("0x" + [...nonceBytes].map((b) => b.toString(16).padStart(2, "0")).join(""));
+
+  return {
+    seller,
+    name,
+    description,
+    price: price.toString(),
+    paymentToken,
+    stock: stock.toString(),
+    categoryId: categoryId.toString(),
+    metadataURI,
+    metadataHash,
+    nonce: nonce.toString(),
+    expiry: expiry.toString(),
+  };
+};
+
+/**
+ * Ask the seller's wallet to sign a listing order (no transaction, no gas)
+ * Returns { order, signature }
+ */
+export const signListingOrder = async (marketContract, order) => {
+  const typedData = await getListingTypedData(marketContract, order);
+  const signature = await window.ethereum.request({
+    method: "eth_signTypedData_v4",
+    params: [order.seller, JSON.stringify(typedData)],
+  });
+  return { order, signature };
+};
+
+/**
+ * Check a signed order before showing or fulfilling it: the signature must
+ * come from the seller, and the order must not be fulfilled, cancelled or
+ * expired. Returns { status, orderHash }, status being a SIGNED_ORDER_STATUS.
+ */
+export const verifyListingOrder = async (marketContract, { order, signature }) => {
+  // The contract computes the same EIP-712 digest fulfillOrder checks
+  const orderHash = await marketContract.methods.hashListingOrder(order).call();
+
+  let signer = null;
+  try {
+    signer = web3.eth.accounts.recover(orderHash, signature, true);
+  } catch {
+    // Malformed signature
+  }
+  if (!signer || signer.toLowerCase() !== order.seller.toLowerCase()) {
+    return { status: SIGNED_ORDER_STATUS.INVALID, orderHash };
+  }
+
+  const [nonceUsed, cancelled] = await Promise.all([
+    marketContract.methods.usedNonces(order.seller, order.nonce).call(),
+    marketContract.methods.cancelledOrders(orderHash).call(),
+  ]);
+
+  let status = SIGNED_ORDER_STATUS.OPEN;
+  if (nonceUsed) {
+    status = SIGNED_ORDER_STATUS.FULFILLED;
+  } else if (cancelled) {
+    status = SIGNED_ORDER_STATUS.CANCELLED;
+  } else if (Number(order.expiry) <= Math.floor(Date.now() / 1000)) {
+    status = SIGNED_ORDER_STATUS.EXPIRED;
+  }
+  return { status, orderHash };
+};
+
+/**
+ * localStorage key of a feature's list on the connected chain and market,
+ * and for one account unless the list is shared
+ */
+const getMarketStorageKey = async (feature, marketContract, account) => {
+  const chainId = Number(await web3.eth.getChainId());
+  return getStorageKey(feature, chainId, marketContract.options.address, account);
+};
+
+/**
+ * Add a signed order to the local order book
+ */
+export const saveSignedOrder = async (marketContract, signedOrder) => {
+  const key = await getMarketStorageKey("order-book", marketContract);
+  saveList(key, [...loadList(key), signedOrder]);
+};
+
+/**
+ * Drop a signed order from the local order book (it stays valid on-chain
+ * until cancelled with cancelOrder)
+ */
+export const removeSignedOrder = async (marketContract, signature) => {
+  const key = await getMarketStorageKey("order-book", marketContract);
+  saveList(key, loadList(key).filter((entry) => entry.signature !== signature));
+};
+
+/**
+ * Load the order book and verify every order, pruning the ones that can no
+ * longer be fulfilled (fulfilled orders are regular products by now)
+ * Returns the open orders as { order, signature, orderHash }
+ */
+export const getSignedOrders = async (marketContract) => {
+  const key = await getMarketStorageKey("order-book", marketContract);
+  const entries = loadList(key);
+
+  const checked = await Promise.all(
+    entries.map(async (entry) => ({ ...entry, ...(await verifyListingOrder(marketContract, entry)) }))
+  );
+  const open = checked.filter((entry) => entry.status === SIGNED_ORDER_STATUS.OPEN);
+
+  if (open.length !== entries.length) {
+    saveList(key, open.map(({ order, signature }) => ({ order, signature })));
+    console.log(`🧹 Pruned ${entries.length - open.length} closed signed orders`);
+  }
+
+  return open.map(({ order, signature, orderHash }) => ({ order, signature, orderHash }));
+};
+
+// Most units bought in one checkout (SimpleMarket.MAX_CART_ITEMS)
+export const MAX_CART_ITEMS = 20;
+
+/**
+ * Load an account's cart ({ productId, quantity } objects)
+ */
+export const loadCart = async (marketContract, account) => {
+  return loadList(await getMarketStorageKey("cart", marketContract, account));
+};
+
+/**
+ * Store an account's cart
+ */
+export const saveCart = async (marketContract, account, items) => {
+  saveList(await getMarketStorageKey("cart", marketContract, account), items);
+};
+
+/**
+ * What a cart costs at `now` (ms): ETH in Wei, and each token's total in its
+ * base units. Items whose product isn't in the catalog are left out.
+ */
+export const getCartTotals = (items, products, now = Date.now()) => {
+  let eth = 0n;
+  const tokens = {};
+
+  items.forEach((item) => {
+    const product = products.find((p) => p.id === item.productId);
+    if (!product) return;
+
+    const cost = getListingPrice(product, now) * BigInt(item.quantity);
+    if (isEthPayment(product.paymentToken)) {
+      eth += cost;
+    } else {
+      const tokenAddress = product.paymentToken.toLowerCase();
+      tokens[tokenAddress] = (tokens[tokenAddress] || 0n) + cost;
+    }
+  });
+
+  return { eth, tokens };
+};
+
+/**
+ * Buy everything in the cart with one buyProducts transaction (after
+ * approving any tokens the cart is priced in). With skipUnavailable, items
+ * that sold out in the meantime are skipped and their ETH is credited back.
+ * onStep is called with 'approving' and 'buying'.
+ */
+export const checkoutCart = async (
+  marketContract,
+  account,
+  items,
+  products,
+  { skipUnavailable = true, onStep = () => {} } = {}
+) => {
+  // buyProducts takes one id per unit
+  const ids = items.flatMap((item) => Array(item.quantity).fill(item.productId));
+  if (ids.length === 0) {
+    throw new Error("Cart is empty");
+  }
+  if (ids.length > MAX_CART_ITEMS) {
+    throw new Error("Too many items in cart");
+  }
+
+  // Price Dutch auctions at the latest block: prices only fall, so this
+  // covers the price when the checkout is mined (the excess is credited back)
+  const latestBlock = await web3.eth.getBlock("latest");
+  const totals = getCartTotals(items, products, Number(latestBlock.timestamp) * 1000);
+  const marketAddress = marketContract.options.address;
+
+  for (const [tokenAddress, amount] of Object.entries(totals.tokens)) {
+    const tokenContract = getTokenContract(tokenAddress);
+    const allowance = await tokenContract.methods.allowance(account, marketAddress).call();
+
+    if (BigInt(allowance) < amount) {
+      onStep("approving");
+      await sendTransaction(tokenContract.methods.approve(marketAddress, amount.toString()));
+    }
+  }
+
+  onStep("buying");
+  const result = await sendTransaction(marketContract.methods.buyProducts(ids, skipUnavailable), {
+    value: totals.eth.toString(),
+  });
+
+  console.log(`🛒 Checked out ${ids.length} items:`, result.transactionHash);
+  return result;
+};
+
+/**
+ * Load the ids of the products an account watches
+ */
+export const loadWatchlist = async (marketContract, account) => {
+  return loadList(await getMarketStorageKey("watchlist", marketContract, account));
+};
+
+/**
+ * Store the ids of the products an account watches
+ */
+export const saveWatchlist = async (marketContract, account, ids) => {
+  saveList(await getMarketStorageKey("watchlist", marketContract, account), ids);
+};
+
+/**
+ * Ask for permission to show browser notifications.
+ * Resolves to true if notifications can be shown.
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === "undefined") return false;
+  if (Notification.permission === "default") {
+    await Notification.requestPermission();
+  }
+  return Notification.permission === "granted";
+};
+
+/**
+ * Show a browser notification, if the user allowed them
+ */
+export const showNotification = (title, body) => {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  new Notification(title, { body, tag: `${title}:${body}` });
+};
+
+/**
+ * Poll for sales and price changes of the watched products and pass them
+ * to onChanges, oldest first. Each change is
+ *   { type: "sold", productId, name, paymentToken, price, quantity, soldOut, actor }
+ *   { type: "price", productId, name, paymentToken, oldPrice, price, actor }
+ * where actor is the buyer or seller behind it. Edits that keep the price
+ * are ignored. Only events after the current block are reported.
+ * Returns a function that stops polling.
+ */
+export const watchWatchlist = (marketContract, productIds, onChanges, intervalMs = 6000) => {
+  let stopped = false;
+  let polling = false;
+  let fromBlock = null;
+  const known = {}; // product id => { name, paymentToken, price, stock }
+
+  // Indexed id topics filter the logs on the node
+  const filter = { id: productIds.map(String) };
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+
+    try {
+      const latestBlock = Number(await web3.eth.getBlockNumber());
+
+      // Remember where the watched products stand, then watch from the next block
+      if (fromBlock === null) {
+        await Promise.all(
+          productIds.map(async (id) => {
+            const product = await marketContract.methods.products(id).call();
+            known[id] = {
+              name: product.name,
+              paymentToken: product.paymentToken,
+              price: product.price.toString(),
+              stock: Number(product.stock),
+            };
+          })
+        );
+        fromBlock = latestBlock + 1;
+        return;
+      }
+      if (latestBlock < fromBlock) return;
+
+      const [sales, updates] = await Promise.all([
+        marketContract.getPastEvents("ProductSold", { filter, fromBlock, toBlock: latestBlock }),
+        marketContract.getPastEvents("ProductUpdated", { filter, fromBlock, toBlock: latestBlock }),
+      ]);
+      fromBlock = latestBlock + 1;
+
+      const events = [...sales, ...updates].sort((a, b) =>
+        Number(a.blockNumber) - Number(b.blockNumber) ||
+        Number(a.logIndex) - Number(b.logIndex)
+      );
+
+      const changes = [];
+      for (const event of events) {
+        const values = event.returnValues;
+        const productId = Number(values.id);
+        const product = known[productId];
+        if (!product) continue;
+
+        if (event.event === "ProductSold") {
+          const quantity = Number(values.quantity);
+          product.stock = Math.max(0, product.stock - quantity);
+          changes.push({
+            type: "sold",
+            productId,
+            name: product.name,
+            paymentToken: product.paymentToken,
+            price: values.price.toString(),
+            quantity,
+            soldOut: product.stock === 0,
+            actor: values.buyer,
+          });
+        } else if (values.price.toString() !== product.price) {
+          changes.push({
+            type: "price",
+            productId,
+            name: product.name,
+            paymentToken: product.paymentToken,
+            oldPrice: product.price,
+            price: values.price.toString(),
+            actor: values.seller,
+          });
+          product.price = values.price.toString();
+        }
+      }
+
+      if (!stopped && changes.length > 0) onChanges(changes);
+    } catch (error) {
+      console.error("❌ Error polling watched products:", error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  if (productIds.length === 0) return () => {};
+
+  poll();
+  const timer = setInterval(poll, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
 /**
  * Format address for display (show first 6 and last 4 characters)
  */
@@ -1,6 +1,165 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
+const { deployMarketModules, validateMarketModules, getMarketAbi } = require("./marketModules");
 
-async function main() {
+// Where the frontend reads the deployment from
+const contractsDir = path.join(__dirname, "../frontend/src/contracts");
+const deploymentInfoPath = path.join(contractsDir, "deploymentInfo.json");
+
+// Seconds a seller must wait after shipping before escrow can be released
+// without the buyer confirming delivery (default: 14 days)
+const DEFAULT_DELIVERY_TIMEOUT = 14 * 24 * 60 * 60;
+
+// Platform commission in basis points (250 = 2.5%)
+const DEFAULT_FEE_BPS = 250;
+
+// Starter category registry, override with a comma-separated MARKET_CATEGORIES
+const DEFAULT_CATEGORIES = ["Electronics", "Fashion", "Home & Garden", "Books", "Collectibles", "Other"];
+
+/**
+ * Address of the ERC-2771 forwarder SimpleMarket trusts for relayed calls:
+ * TRUSTED_FORWARDER, else the one already in use, else a new MarketForwarder
+ */
+async function getTrustedForwarder(currentForwarder) {
+  const existing = process.env.TRUSTED_FORWARDER || currentForwarder;
+  if (existing) {
+    if (!hre.ethers.isAddress(existing)) {
+      throw new Error("TRUSTED_FORWARDER must be a valid address");
+    }
+    console.log("📨 Using trusted forwarder:", existing);
+    return existing;
+  }
+
+  console.log("📨 Deploying MarketForwarder for sponsored transactions...");
+  const forwarder = await hre.ethers.deployContract("MarketForwarder");
+  await forwarder.waitForDeployment();
+
+  const forwarderAddress = await forwarder.getAddress();
+  console.log("✅ MarketForwarder deployed at:", forwarderAddress);
+  return forwarderAddress;
+}
+
+/**
+ * Deploy the two contracts SimpleMarket forwards calls to. When upgrading,
+ * first check they fit the storage of the proxy they will run on.
+ */
+async function deployModules(forwarderAddress, proxyAddress) {
+  if (proxyAddress) {
+    console.log("🔍 Checking the storage layout of SimpleMarketListings and SimpleMarketOrders...");
+    await validateMarketModules(proxyAddress);
+  }
+
+  console.log("🧩 Deploying SimpleMarketOrders and SimpleMarketListings...");
+  const modules = await deployMarketModules(forwarderAddress);
+
+  console.log("✅ SimpleMarketListings deployed at:", modules.listingsModule);
+  console.log("✅ SimpleMarketOrders deployed at:", modules.ordersModule);
+  return modules;
+}
+
+/**
+ * Copy the ABI to the frontend, pointed at the proxy so the app keeps the
+ * same address across upgrades. The proxy answers for the modules' functions
+ * too, so their ABIs are merged in.
+ */
+async function saveContractABI(proxyAddress) {
+  try {
+    // Save just the ABI (the frontend doesn't need the full artifact)
+    const contractABI = {
+      contractName: "SimpleMarket",
+      abi: await getMarketAbi(),
+      address: proxyAddress,
+      network: hre.network.name
+    };
+    
+    fs.writeFileSync(
+      path.join(contractsDir, 'SimpleMarket.json'),
+      JSON.stringify(contractABI, null, 2)
+    );
+    
+    console.log("📋 Contract ABI saved to frontend/src/contracts/SimpleMarket.json");
+    
+  } catch (error) {
+    console.log("⚠️  Warning: Could not copy ABI file:", error.message);
+  }
+}
+
+/**
+ * Point the existing proxy at a new SimpleMarket implementation.
+ * The upgrades plugin compares the storage layout with the deployed version
+ * and refuses the upgrade if existing variables were moved, removed or retyped.
+ */
+async function upgrade() {
+  console.log("⬆️  Starting upgrade process...\n");
+
+  const [deployer] = await hre.ethers.getSigners();
+
+  if (!fs.existsSync(deploymentInfoPath)) {
+    throw new Error("No deploymentInfo.json found - deploy the market before upgrading it");
+  }
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentInfoPath, "utf8"));
+
+  // The proxy from the last deployment, unless another one is given
+  const proxyAddress = process.env.PROXY_ADDRESS || deploymentInfo.proxyAddress;
+  if (!proxyAddress || !hre.ethers.isAddress(proxyAddress)) {
+    throw new Error("No proxy address found - set PROXY_ADDRESS or redeploy with a proxy");
+  }
+
+  console.log("📋 Upgrade Details:");
+  console.log("Upgrading with account:", deployer.address);
+  console.log("Network:", hre.network.name);
+  console.log("📍 Proxy Address:", proxyAddress);
+  console.log("📍 Current implementation:", await hre.upgrades.erc1967.getImplementationAddress(proxyAddress));
+  console.log("─────────────────────────────────────────────────\n");
+
+  // The forwarder is baked into the implementation, so pass it again;
+  // markets deployed before meta-transactions get a new one
+  const forwarderAddress = await getTrustedForwarder(deploymentInfo.forwarderAddress);
+  const { listingsModule, ordersModule } = await deployModules(forwarderAddress, proxyAddress);
+
+  console.log("🔍 Checking storage layout and deploying the new implementation...");
+  const SimpleMarket = await hre.ethers.getContractFactory("SimpleMarket");
+  const simpleMarket = await hre.upgrades.upgradeProxy(proxyAddress, SimpleMarket, {
+    kind: "uups",
+    constructorArgs: [forwarderAddress, listingsModule]
+  });
+  await simpleMarket.waitForDeployment();
+
+  const implementationAddress = await hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log("✅ SimpleMarket upgraded successfully!");
+  console.log("📍 New implementation:", implementationAddress);
+  console.log("📊 Products kept:", (await simpleMarket.productCount()).toString());
+  console.log("─────────────────────────────────────────────────\n");
+
+  // Logs still start at the original deployment block, so it is kept
+  const updatedInfo = {
+    ...deploymentInfo,
+    network: hre.network.name,
+    contractAddress: proxyAddress,
+    proxyAddress: proxyAddress,
+    implementationAddress: implementationAddress,
+    listingsModule: listingsModule,
+    ordersModule: ordersModule,
+    forwarderAddress: forwarderAddress,
+    upgradeTime: new Date().toISOString()
+  };
+
+  fs.writeFileSync(deploymentInfoPath, JSON.stringify(updatedInfo, null, 2));
+  console.log("💾 Deployment info updated in frontend/src/contracts/deploymentInfo.json");
+
+  await saveContractABI(proxyAddress);
+
+  console.log("\n🎉 UPGRADE COMPLETE!");
+  console.log("═══════════════════════════════════════════════════");
+  console.log("📍 Proxy Address (unchanged):", proxyAddress);
+  console.log("📍 Implementation Address:", implementationAddress);
+  console.log("🌐 Network:", hre.network.name);
+  console.log("═══════════════════════════════════════════════════");
+}
+
+async function deploy() {
   console.log("🚀 Starting deployment process...\n");
   
   /**
@@ -20,31 +179,111 @@ async function main() {
   /**
    * DEPLOYMENT PROCESS:
    * 1. Get the contract factory (template for creating contract instances)
-   * 2. Deploy the contract (send it to blockchain)
+   * 2. Deploy the implementation and a UUPS proxy in front of it, calling
+   *    initialize() through the proxy (this replaces the constructor)
    * 3. Wait for deployment confirmation
    */
   
+  const deliveryTimeout = Number(process.env.DELIVERY_TIMEOUT || DEFAULT_DELIVERY_TIMEOUT);
+  if (!Number.isInteger(deliveryTimeout) || deliveryTimeout <= 0) {
+    throw new Error("DELIVERY_TIMEOUT must be a positive number of seconds");
+  }
+
+  const feeBps = Number(process.env.MARKET_FEE_BPS ?? DEFAULT_FEE_BPS);
+  if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > 1000) {
+    throw new Error("MARKET_FEE_BPS must be a whole number between 0 and 1000");
+  }
+
+  // Fees go to the deployer unless another treasury address is given
+  const feeRecipient = process.env.FEE_RECIPIENT || deployer.address;
+  if (!hre.ethers.isAddress(feeRecipient)) {
+    throw new Error("FEE_RECIPIENT must be a valid address");
+  }
+
   console.log("📦 Deploying SimpleMarket contract...");
+  console.log("⏱️  Escrow delivery timeout:", deliveryTimeout, "seconds");
+  console.log("💸 Platform fee:", feeBps, "bps (" + (feeBps / 100) + "%)");
+  console.log("🏦 Fee recipient:", feeRecipient);
+
+  const forwarderAddress = await getTrustedForwarder();
+  const { listingsModule, ordersModule } = await deployModules(forwarderAddress);
   
   // Get the contract factory
   // This is like getting the blueprint to build our contract
   const SimpleMarket = await hre.ethers.getContractFactory("SimpleMarket");
   
-  // Deploy the contract
-  // This sends the contract to the blockchain and costs gas
-  const simpleMarket = await SimpleMarket.deploy();
+  // Deploy the proxy and its implementation
+  // This sends the contracts to the blockchain and costs gas
+  // (the forwarder and listings module are constructor arguments of the implementation)
+  const simpleMarket = await hre.upgrades.deployProxy(
+    SimpleMarket,
+    [deliveryTimeout, feeBps, feeRecipient],
+    { kind: "uups", constructorArgs: [forwarderAddress, listingsModule] }
+  );
   
   // Wait for the deployment transaction to be confirmed
   // Blockchain needs time to process and confirm the transaction
   await simpleMarket.waitForDeployment();
   
-  // Get the deployed contract address
+  // The proxy address is the one users and the frontend talk to
   const contractAddress = await simpleMarket.getAddress();
+  const implementationAddress = await hre.upgrades.erc1967.getImplementationAddress(contractAddress);
   
   console.log("✅ SimpleMarket deployed successfully!");
-  console.log("📍 Contract Address:", contractAddress);
+  console.log("📍 Contract Address (proxy):", contractAddress);
+  console.log("📍 Implementation Address:", implementationAddress);
   console.log("─────────────────────────────────────────────────\n");
   
+  /**
+   * Seed the category registry sellers pick from in AddProduct
+   */
+  const categoryNames = process.env.MARKET_CATEGORIES
+    ? process.env.MARKET_CATEGORIES.split(",").map((name) => name.trim()).filter(Boolean)
+    : DEFAULT_CATEGORIES;
+
+  console.log("🏷️  Adding", categoryNames.length, "categories...");
+  for (const name of categoryNames) {
+    await (await simpleMarket.addCategory(name)).wait();
+  }
+  console.log("✅ Categories:", categoryNames.join(", "));
+  console.log("─────────────────────────────────────────────────\n");
+
+  /**
+   * On local networks, deploy a mock stablecoin so listings can be
+   * priced in an ERC-20 token, and give the test accounts some of it
+   */
+  const paymentTokens = [];
+
+  if (hre.network.name === "hardhat" || hre.network.name === "localhost") {
+    console.log("🪙 Deploying MockStablecoin for local development...");
+
+    const MockStablecoin = await hre.ethers.getContractFactory("MockStablecoin");
+    const stablecoin = await MockStablecoin.deploy();
+    await stablecoin.waitForDeployment();
+
+    const tokenAddress = await stablecoin.getAddress();
+    const decimals = Number(await stablecoin.decimals());
+
+    await (await simpleMarket.setPaymentToken(tokenAddress, true)).wait();
+
+    // 10,000 mUSD for each of the first 5 test accounts
+    const signers = await hre.ethers.getSigners();
+    const mintAmount = hre.ethers.parseUnits("10000", decimals);
+    for (const signer of signers.slice(0, 5)) {
+      await (await stablecoin.mint(signer.address, mintAmount)).wait();
+    }
+
+    paymentTokens.push({
+      symbol: await stablecoin.symbol(),
+      address: tokenAddress,
+      decimals: decimals
+    });
+
+    console.log("✅ MockStablecoin deployed and accepted at:", tokenAddress);
+    console.log("💵 Minted 10000 mUSD to the first 5 test accounts");
+    console.log("─────────────────────────────────────────────────\n");
+  }
+
   /**
    * Let's verify the deployment by calling a simple function
    * This ensures our contract is working correctly
@@ -77,23 +316,29 @@ async function main() {
     network: hre.network.name,
     contractName: "SimpleMarket",
     contractAddress: contractAddress,
+    proxyAddress: contractAddress,
+    implementationAddress: implementationAddress,
+    listingsModule: listingsModule,
+    ordersModule: ordersModule,
+    proxyKind: "uups",
+    forwarderAddress: forwarderAddress,
     deployerAddress: deployer.address,
+    deliveryTimeout: deliveryTimeout,
+    feeBps: feeBps,
+    feeRecipient: feeRecipient,
+    paymentTokens: paymentTokens,
     deploymentTime: new Date().toISOString(),
     blockNumber: await hre.ethers.provider.getBlockNumber()
   };
   
   // Create the contracts directory in frontend if it doesn't exist
-  const fs = require('fs');
-  const path = require('path');
-  
-  const contractsDir = path.join(__dirname, '../frontend/src/contracts');
   if (!fs.existsSync(contractsDir)) {
     fs.mkdirSync(contractsDir, { recursive: true });
   }
   
   // Save deployment info
   fs.writeFileSync(
-    path.join(contractsDir, 'deploymentInfo.json'),
+    deploymentInfoPath,
     JSON.stringify(deploymentInfo, null, 2)
   );
   
@@ -105,29 +350,7 @@ async function main() {
    * It contains information about all functions, events, and data structures.
    */
   
-  try {
-    // Read the compiled contract artifact (contains ABI)
-    const artifactPath = path.join(__dirname, '../artifacts/contracts/SimpleMarket.sol/SimpleMarket.json');
-    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-    
-    // Save just the ABI (the frontend doesn't need the full artifact)
-    const contractABI = {
-      contractName: "SimpleMarket",
-      abi: artifact.abi,
-      address: contractAddress,
-      network: hre.network.name
-    };
-    
-    fs.writeFileSync(
-      path.join(contractsDir, 'SimpleMarket.json'),
-      JSON.stringify(contractABI, null, 2)
-    );
-    
-    console.log("📋 Contract ABI saved to frontend/src/contracts/SimpleMarket.json");
-    
-  } catch (error) {
-    console.log("⚠️  Warning: Could not copy ABI file:", error.message);
-  }
+  await saveContractABI(contractAddress);
   
 // when deployment is done, show the following:
   console.log("\n🎉 DEPLOYMENT COMPLETE!");
@@ -149,6 +372,17 @@ async function main() {
   console.log("- Run tests: npx hardhat test");
   console.log("- Start local node: npx hardhat node");
   console.log("- Deploy again: npx hardhat run scripts/deploy.js --network localhost");
+  console.log("- Upgrade in place: UPGRADE=true npx hardhat run scripts/deploy.js --network localhost");
+  console.log("- Relay sponsored transactions: npx hardhat run scripts/relayer.js --network localhost");
+}
+
+// UPGRADE=true upgrades the deployed proxy instead of deploying a new market
+async function main() {
+  if (["true", "1"].includes((process.env.UPGRADE || "").toLowerCase())) {
+    await upgrade();
+  } else {
+    await deploy();
+  }
 }
 
 /**
@@ -171,6 +405,8 @@ main()
       console.log("\n💡 SOLUTION: Check your network connection and Hardhat node");
     } else if (error.message.includes("compilation")) {
       console.log("\n💡 SOLUTION: Fix contract compilation errors first");
+    } else if (error.message.includes("storage layout")) {
+      console.log("\n💡 SOLUTION: Keep existing state variables in place and only add new ones at the end of SimpleMarketBase");
     }
     
     process.exit(1);
@@ -0,0 +1,172 @@
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Local stand-in for an IPFS node, for development without installing one.
+ *
+ * Serves the two endpoints the frontend uses:
+ *   POST /api/v0/add   (Kubo RPC API, port 5001)  - pin a single uploaded file
+ *   GET  /ipfs/<cid>   (gateway, port 8080)       - read a pinned file back
+ *
+ * Files are addressed by a CIDv1 (raw codec, sha2-256) like a real node
+ * would give for small files added with --cid-version=1 --raw-leaves, and are
+ * kept in ipfs-data/ so they survive restarts.
+ *
+ *   node scripts/ipfs-stub.js
+ */
+
+const API_PORT = Number(process.env.IPFS_API_PORT || 5001);
+const GATEWAY_PORT = Number(process.env.IPFS_GATEWAY_PORT || 8080);
+const DATA_DIR = path.join(__dirname, "..", "ipfs-data");
+
+// Largest upload accepted, in bytes
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+/**
+ * RFC 4648 base32, lowercase and unpadded (multibase prefix "b")
+ */
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * CIDv1 of a file stored as a single raw block
+ */
+function computeCid(content) {
+  const digest = crypto.createHash("sha256").update(content).digest();
+  // version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes
+  const cid = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]);
+  return "b" + base32(cid);
+}
+
+/**
+ * Pull the first file out of a multipart/form-data body
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!match) return null;
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const start = body.indexOf(boundary);
+  if (start === -1) return null;
+
+  const headersEnd = body.indexOf("\r\n\r\n", start);
+  const end = body.indexOf(Buffer.concat([Buffer.from("\r\n"), boundary]), headersEnd);
+  if (headersEnd === -1 || end === -1) return null;
+
+  const headers = body.slice(start + boundary.length, headersEnd).toString();
+  const filename = /filename="([^"]*)"/i.exec(headers);
+  const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+
+  return {
+    name: filename ? filename[1] : "file",
+    type: type ? type[1].trim() : "application/octet-stream",
+    content: body.slice(headersEnd + 4, end),
+  };
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+function handleAdd(req, res) {
+  const chunks = [];
+  let size = 0;
+
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_FILE_SIZE) {
+      sendJson(res, 413, { Message: "file is too large" });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on("end", () => {
+    const file = parseMultipart(Buffer.concat(chunks), req.headers["content-type"]);
+    if (!file) {
+      sendJson(res, 400, { Message: "expected a multipart file upload" });
+      return;
+    }
+
+    const cid = computeCid(file.content);
+    fs.writeFileSync(path.join(DATA_DIR, cid), file.content);
+    fs.writeFileSync(path.join(DATA_DIR, `${cid}.type`), file.type);
+
+    console.log(`📌 Pinned ${file.name} (${file.content.length} bytes) as ${cid}`);
+    sendJson(res, 200, { Name: file.name, Hash: cid, Size: String(file.content.length) });
+  });
+}
+
+function handleGet(res, cid) {
+  const filePath = path.join(DATA_DIR, cid);
+  const typePath = `${filePath}.type`;
+  // Both files are written on upload; treat a CID missing either one as unknown
+  if (!/^b[a-z2-7]+$/.test(cid) || !fs.existsSync(filePath) || !fs.existsSync(typePath)) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("not found");
+    return;
+  }
+
+  const type = fs.readFileSync(typePath, "utf8");
+  res.writeHead(200, {
+    "Content-Type": type,
+    // Content never changes for a given CID
+    "Cache-Control": "public, max-age=31536000, immutable",
+  });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function handler(req, res) {
+  // The frontend is served from a different origin (Vite dev server)
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, "http://localhost");
+
+  if (req.method === "POST" && url.pathname === "/api/v0/add") {
+    handleAdd(req, res);
+  } else if (req.method === "GET" && url.pathname.startsWith("/ipfs/")) {
+    handleGet(res, url.pathname.slice("/ipfs/".length));
+  } else {
+    sendJson(res, 404, { Message: "unknown endpoint" });
+  }
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+http.createServer(handler).listen(API_PORT, () => {
+  console.log(`🛰️  IPFS API stand-in on http://127.0.0.1:${API_PORT}/api/v0/add`);
+});
+http.createServer(handler).listen(GATEWAY_PORT, () => {
+  console.log(`🌐 IPFS gateway stand-in on http://127.0.0.1:${GATEWAY_PORT}/ipfs/<cid>`);
+});
@@ -0,0 +1,73 @@
+const hre = require("hardhat");
+
+// Contracts SimpleMarket forwards the calls it doesn't implement to, in the
+// order a call passes through them (see contracts/SimpleMarket.sol)
+const MODULE_NAMES = ["SimpleMarketListings", "SimpleMarketOrders"];
+
+// The modules are never initialized or upgraded on their own: they only run
+// behind SimpleMarket's proxy, on its storage
+const MODULE_VALIDATION_OPTIONS = {
+  kind: "uups",
+  unsafeAllow: ["missing-initializer", "missing-public-upgradeto"]
+};
+
+/**
+ * Deploy a pair of modules. They hold no state, so every deployment and
+ * upgrade gets its own pair matching the new implementation.
+ * Returns { listingsModule, ordersModule } addresses.
+ */
+async function deployMarketModules(forwarderAddress) {
+  const orders = await hre.ethers.deployContract("SimpleMarketOrders", [forwarderAddress]);
+  await orders.waitForDeployment();
+  const ordersModule = await orders.getAddress();
+
+  const listings = await hre.ethers.deployContract("SimpleMarketListings", [forwarderAddress, ordersModule]);
+  await listings.waitForDeployment();
+  const listingsModule = await listings.getAddress();
+
+  return { listingsModule, ordersModule };
+}
+
+/**
+ * Check the modules against the storage of a deployed proxy, the way
+ * upgradeProxy checks the implementation: they run on that storage, so they
+ * must keep its variables where they are. Throws the upgrades plugin's error
+ * if a layout is incompatible.
+ */
+async function validateMarketModules(proxyAddress, modules = MODULE_NAMES) {
+  for (const name of modules) {
+    const moduleFactory = await hre.ethers.getContractFactory(name);
+    // Only the layout is compared; the placeholder arguments are never deployed
+    await hre.upgrades.validateUpgrade(proxyAddress, moduleFactory, {
+      ...MODULE_VALIDATION_OPTIONS,
+      constructorArgs: moduleFactory.interface.deploy.inputs.map(() => hre.ethers.ZeroAddress)
+    });
+  }
+}
+
+/**
+ * ABI of the market as seen through its proxy: the implementation's plus the
+ * functions it forwards to the modules. Events, errors and shared getters
+ * are declared in SimpleMarketBase, so they appear in every artifact; the
+ * first copy of each is kept.
+ */
+async function getMarketAbi(implementation = "SimpleMarket") {
+  const [market, ...modules] = await Promise.all(
+    [implementation, ...MODULE_NAMES].map((name) => hre.artifacts.readArtifact(name))
+  );
+
+  const signature = (fragment) => hre.ethers.Fragment.from(fragment).format("full");
+  const seen = new Set(market.abi.map(signature));
+  const moduleFragments = modules
+    .flatMap((artifact) => artifact.abi)
+    .filter((fragment) => ["function", "event", "error"].includes(fragment.type))
+    .filter((fragment) => {
+      if (seen.has(signature(fragment))) return false;
+      seen.add(signature(fragment));
+      return true;
+    });
+
+  return [...market.abi, ...moduleFragments];
+}
+
+module.exports = { MODULE_NAMES, deployMarketModules, validateMarketModules, getMarketAbi };
@@ -0,0 +1,208 @@
+require("dotenv").config();
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+/**
+ * Local relayer for sponsored (gasless) transactions.
+ *
+ * Users sign an ERC-2771 ForwardRequest in their wallet and POST it here;
+ * the relayer checks it and submits it to MarketForwarder, paying the gas.
+ * SimpleMarket then sees the signer as _msgSender().
+ *
+ *   GET  /health  - relayer, forwarder and market addresses
+ *   POST /relay   - { request: { from, to, value, gas, deadline, data, signature } }
+ *                   responds with { transactionHash, blockNumber } or { error }
+ *
+ *   npx hardhat run scripts/relayer.js --network localhost
+ *
+ * Addresses come from frontend/src/contracts/deploymentInfo.json unless
+ * FORWARDER_ADDRESS / PROXY_ADDRESS are set. The relayer pays with
+ * RELAYER_PRIVATE_KEY, or the network's first account.
+ */
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const deploymentInfoPath = path.join(__dirname, "../frontend/src/contracts/deploymentInfo.json");
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Upper bound on the gas a single request may ask the relayer to pay for
+const MAX_REQUEST_GAS = 2_000_000n;
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error("Request body is too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString()));
+      } catch {
+        reject(new Error("Expected a JSON body"));
+      }
+    });
+
+    // A client that drops the connection mid-body never sends "end"
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Readable reason for a reverted call: the require message, or the custom
+ * error name if the market or forwarder declares it
+ */
+function describeRevert(error, interfaces) {
+  if (error.reason) return error.reason;
+
+  // Node errors nest the revert data one level deeper than ethers errors
+  const data = typeof error.data === "string" ? error.data : error.data?.data || error.info?.error?.data;
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+    } catch {
+      // Not one of this contract's errors
+    }
+  }
+  return "Transaction would revert";
+}
+
+async function main() {
+  const deploymentInfo = fs.existsSync(deploymentInfoPath)
+    ? JSON.parse(fs.readFileSync(deploymentInfoPath, "utf8"))
+    : {};
+
+  const forwarderAddress = process.env.FORWARDER_ADDRESS || deploymentInfo.forwarderAddress;
+  const marketAddress = process.env.PROXY_ADDRESS || deploymentInfo.proxyAddress;
+  if (!hre.ethers.isAddress(forwarderAddress) || !hre.ethers.isAddress(marketAddress)) {
+    throw new Error("No forwarder or market address found - deploy first or set FORWARDER_ADDRESS and PROXY_ADDRESS");
+  }
+
+  const relayer = process.env.RELAYER_PRIVATE_KEY
+    ? new hre.ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, hre.ethers.provider)
+    : (await hre.ethers.getSigners())[0];
+
+  const forwarder = await hre.ethers.getContractAt("MarketForwarder", forwarderAddress, relayer);
+  const market = await hre.ethers.getContractAt("SimpleMarket", marketAddress);
+  // Signed listings revert with ECDSA errors from SimpleMarketListings
+  const listings = await hre.ethers.getContractAt("SimpleMarketListings", marketAddress);
+  const interfaces = [market.interface, listings.interface, forwarder.interface];
+
+  // Requests are submitted one at a time so the relayer's nonces don't clash
+  let queue = Promise.resolve();
+
+  /**
+   * Check a forward request and, if the market would accept it, submit it
+   */
+  async function relay(request) {
+    if (!request || typeof request !== "object") {
+      return { status: 400, body: { error: "Missing forward request" } };
+    }
+    if (!hre.ethers.isAddress(request.to) || request.to.toLowerCase() !== marketAddress.toLowerCase()) {
+      return { status: 400, body: { error: "This relayer only sponsors calls to the market" } };
+    }
+    if (BigInt(request.value || 0) !== 0n) {
+      return { status: 400, body: { error: "Sponsored transactions can't send ETH" } };
+    }
+    if (BigInt(request.gas) > MAX_REQUEST_GAS) {
+      return { status: 400, body: { error: "Requested gas is above the relayer's limit" } };
+    }
+
+    const forwardRequest = {
+      from: request.from,
+      to: request.to,
+      value: 0n,
+      gas: BigInt(request.gas),
+      deadline: BigInt(request.deadline),
+      data: request.data,
+      signature: request.signature,
+    };
+
+    if (!(await forwarder.verify(forwardRequest))) {
+      return { status: 400, body: { error: "Invalid signature, used nonce or expired request" } };
+    }
+
+    // The forwarder hides revert reasons, so replay the call as the
+    // forwarder would make it to find out why it would fail
+    try {
+      await hre.ethers.provider.call({
+        from: forwarderAddress,
+        to: marketAddress,
+        data: hre.ethers.concat([request.data, request.from]),
+      });
+    } catch (error) {
+      return { status: 400, body: { error: describeRevert(error, interfaces) } };
+    }
+
+    const tx = await forwarder.execute(forwardRequest);
+    const receipt = await tx.wait();
+
+    console.log(`📨 Relayed call from ${request.from} in ${receipt.hash} (gas ${receipt.gasUsed})`);
+    return { status: 200, body: { transactionHash: receipt.hash, blockNumber: receipt.blockNumber } };
+  }
+
+  async function handler(req, res) {
+    // The frontend is served from a different origin (Vite dev server)
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && url.pathname === "/health") {
+      sendJson(res, 200, { relayer: relayer.address, forwarder: forwarderAddress, market: marketAddress });
+    } else if (req.method === "POST" && url.pathname === "/relay") {
+      try {
+        const { request } = await readJson(req);
+        const run = queue.then(() => relay(request));
+        queue = run.catch(() => {});
+        const result = await run;
+        sendJson(res, result.status, result.body);
+      } catch (error) {
+        console.error("❌ Relay failed:", error.message);
+        const message = error.code === "CALL_EXCEPTION" ? describeRevert(error, interfaces) : error.message;
+        sendJson(res, 500, { error: message });
+      }
+    } else {
+      sendJson(res, 404, { error: "unknown endpoint" });
+    }
+  }
+
+  http.createServer(handler).listen(PORT, () => {
+    console.log(`⛽ Relayer on http://127.0.0.1:${PORT}/relay`);
+    console.log("👤 Paying gas from:", relayer.address);
+    console.log("📨 Forwarder:", forwarderAddress);
+    console.log("🏪 Market:", marketAddress);
+  });
+}
+
+main().catch((error) => {
+  console.error("❌ Relayer failed to start:", error.message);
+  process.exit(1);
+});
@@ -1,20 +1,60 @@
 
 
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployMarketModules, validateMarketModules, getMarketAbi } = require("../scripts/marketModules");
+
+// How long a seller waits after shipping before escrow can be released without the buyer
+const DELIVERY_TIMEOUT = 7 * 24 * 60 * 60; // 7 days in seconds
+
+// Start fee-free so payouts equal prices; the fee tests set their own rate
+const INITIAL_FEE_BPS = 0;
+
+// Payment token address used for listings priced in ETH
+const ETH = ethers.ZeroAddress;
+
+// Category and tags for listings that don't care about them
+const NO_CATEGORY = 0;
+const NO_TAGS = [];
+
+// Metadata for text-only listings
+const NO_METADATA_URI = "";
+const NO_METADATA_HASH = ethers.ZeroHash;
+
+// Listings that stay on sale until they sell out
+const NO_EXPIRY = 0;
+
+// Access control roles
+const ADMIN_ROLE = ethers.id("ADMIN_ROLE");
+const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+const MODERATOR_ROLE = ethers.id("MODERATOR_ROLE");
+const UPGRADER_ROLE = ethers.id("UPGRADER_ROLE");
+
+// ModerationReason enum values
+const REASON_NONE = 0;
+const REASON_FRAUD = 1;
+const REASON_SPAM = 4;
 
 
 describe("SimpleMarket Contract", function () {
   
   
   let SimpleMarket;      // Contract factory
-  let simpleMarket;      // Deployed contract instance
+  let simpleMarket;      // Proxy the tests talk to
+  let forwarder;         // Trusted ERC-2771 forwarder
+  let proxyOptions;      // deployProxy/upgradeProxy options
+  let abi;               // Merged ABI of the market and its modules
   let owner;             // Contract deployer
   let seller;            // Test seller account
   let buyer;             // Test buyer account
   let otherAccount;      // Additional test account
   
   
+  before(async function () {
+    abi = await getMarketAbi();
+  });
+
   beforeEach(async function () {
     console.log("    🔄 Setting up test environment...");
     
@@ -22,12 +62,25 @@ describe("SimpleMarket Contract", function () {
     // Hardhat provides 20 test accounts with fake ETH
     [owner, seller, buyer, otherAccount] = await ethers.getSigners();
     
+    // The market trusts this forwarder for relayed (gasless) calls
+    forwarder = await ethers.deployContract("MarketForwarder");
+    const forwarderAddress = await forwarder.getAddress();
+
+    // Contracts the market forwards listing, auction, offer, escrow and review calls to
+    const { listingsModule } = await deployMarketModules(forwarderAddress);
+    proxyOptions = { kind: "uups", constructorArgs: [forwarderAddress, listingsModule] };
+
     // Get the contract factory
     SimpleMarket = await ethers.getContractFactory("SimpleMarket");
     
-    // Deploy a fresh contract for this test
-    simpleMarket = await SimpleMarket.deploy();
-    await simpleMarket.waitForDeployment();
+    // Deploy a fresh proxy for this test, the way scripts/deploy.js does
+    const proxy = await upgrades.deployProxy(
+      SimpleMarket,
+      [DELIVERY_TIMEOUT, INITIAL_FEE_BPS, owner.address],
+      proxyOptions
+    );
+    await proxy.waitForDeployment();
+    simpleMarket = new ethers.Contract(await proxy.getAddress(), abi, owner);
     
     console.log("    ✅ Fresh contract deployed for test");
   });
@@ -41,6 +94,20 @@ describe("SimpleMarket Contract", function () {
       
       // Check that getTotalProducts also returns 0
       expect(await simpleMarket.getTotalProducts()).to.equal(0);
+
+      // Check escrow configuration
+      expect(await simpleMarket.orderCount()).to.equal(0);
+      expect(await simpleMarket.deliveryTimeout()).to.equal(DELIVERY_TIMEOUT);
+
+      // Check roles and fee configuration
+      expect(await simpleMarket.hasRole(await simpleMarket.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await simpleMarket.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await simpleMarket.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+      expect(await simpleMarket.hasRole(MODERATOR_ROLE, owner.address)).to.equal(true);
+      expect(await simpleMarket.hasRole(UPGRADER_ROLE, owner.address)).to.equal(true);
+      expect(await simpleMarket.paused()).to.equal(false);
+      expect(await simpleMarket.feeBps()).to.equal(INITIAL_FEE_BPS);
+      expect(await simpleMarket.feeRecipient()).to.equal(owner.address);
       
       console.log("    ✅ Contract deployed with productCount = 0");
     });
@@ -66,7 +133,14 @@ describe("SimpleMarket Contract", function () {
       const tx = await simpleMarket.connect(seller).addProduct(
         productName,
         productDescription,
-        productPrice
+        productPrice,
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
       
       // Wait for transaction to be mined
@@ -85,6 +159,8 @@ describe("SimpleMarket Contract", function () {
       expect(product.price).to.equal(productPrice);
       expect(product.seller).to.equal(seller.address);
       expect(product.sold).to.equal(false);
+      expect(product.delisted).to.equal(false);
+      expect((await simpleMarket.products(1)).paymentToken).to.equal(ETH);
       
       console.log("    ✅ Product added successfully with correct details");
     });
@@ -99,11 +175,18 @@ describe("SimpleMarket Contract", function () {
         simpleMarket.connect(seller).addProduct(
           productName,
           productDescription,
-          productPrice
+          productPrice,
+          ETH,
+          1,
+          NO_CATEGORY,
+          NO_TAGS,
+          NO_METADATA_URI,
+          NO_METADATA_HASH,
+          NO_EXPIRY
         )
       )
         .to.emit(simpleMarket, "ProductAdded")
-        .withArgs(1, productName, productDescription, productPrice, seller.address);
+        .withArgs(1, productName, productDescription, productPrice, seller.address, ETH, NO_CATEGORY, NO_TAGS, 1, 0);
       
       console.log("    ✅ ProductAdded event emitted correctly");
     });
@@ -114,7 +197,14 @@ describe("SimpleMarket Contract", function () {
         simpleMarket.connect(seller).addProduct(
           "", // Empty name
           "Some description",
-          ethers.parseEther("1.0")
+          ethers.parseEther("1.0"),
+          ETH,
+          1,
+          NO_CATEGORY,
+          NO_TAGS,
+          NO_METADATA_URI,
+          NO_METADATA_HASH,
+          NO_EXPIRY
         )
       ).to.be.revertedWith("Product name cannot be empty");
       
@@ -127,7 +217,14 @@ describe("SimpleMarket Contract", function () {
         simpleMarket.connect(seller).addProduct(
           "Test Product",
           "Test Description",
-          0 // Zero price
+          0, // Zero price
+          ETH,
+          1,
+          NO_CATEGORY,
+          NO_TAGS,
+          NO_METADATA_URI,
+          NO_METADATA_HASH,
+          NO_EXPIRY
         )
       ).to.be.revertedWith("Product price must be greater than 0");
       
@@ -139,14 +236,28 @@ describe("SimpleMarket Contract", function () {
       await simpleMarket.connect(seller).addProduct(
         "Product 1",
         "Description 1",
-        ethers.parseEther("1.0")
+        ethers.parseEther("1.0"),
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
       
       // Add second product
       await simpleMarket.connect(seller).addProduct(
         "Product 2",
         "Description 2",
-        ethers.parseEther("2.0")
+        ethers.parseEther("2.0"),
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
       
       // Check product count
@@ -164,7 +275,14 @@ describe("SimpleMarket Contract", function () {
       await simpleMarket.connect(seller).addProduct(
         "Test iPhone",
         "Test iPhone for sale",
-        ethers.parseEther("1.0")
+        ethers.parseEther("1.0"),
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
     });
     
@@ -176,7 +294,7 @@ describe("SimpleMarket Contract", function () {
       const initialBuyerBalance = await ethers.provider.getBalance(buyer.address);
       
       // Buy the product
-      const tx = await simpleMarket.connect(buyer).buyProduct(1, {
+      const tx = await simpleMarket.connect(buyer).buyProduct(1, 1, {
         value: productPrice
       });
       
@@ -186,11 +304,14 @@ describe("SimpleMarket Contract", function () {
       const product = await simpleMarket.getProduct(1);
       expect(product.sold).to.equal(true);
       
-      // Check seller received payment
+      // Payment is held in escrow, not sent to the seller yet
       const finalSellerBalance = await ethers.provider.getBalance(seller.address);
-      expect(finalSellerBalance).to.equal(initialSellerBalance + productPrice);
+      expect(finalSellerBalance).to.equal(initialSellerBalance);
+      expect(
+        await ethers.provider.getBalance(await simpleMarket.getAddress())
+      ).to.equal(productPrice);
       
-      console.log("    ✅ Product purchased successfully, seller received payment");
+      console.log("    ✅ Product purchased successfully, payment held in escrow");
     });
     
     it("Should emit ProductSold event", async function () {
@@ -198,12 +319,12 @@ describe("SimpleMarket Contract", function () {
       
       // Check that the event is emitted
       await expect(
-        simpleMarket.connect(buyer).buyProduct(1, {
+        simpleMarket.connect(buyer).buyProduct(1, 1, {
           value: productPrice
         })
       )
         .to.emit(simpleMarket, "ProductSold")
-        .withArgs(1, "Test iPhone", productPrice, seller.address, buyer.address);
+        .withArgs(1, "Test iPhone", productPrice, 1, seller.address, buyer.address);
       
       console.log("    ✅ ProductSold event emitted correctly");
     });
@@ -212,23 +333,27 @@ describe("SimpleMarket Contract", function () {
       const productPrice = ethers.parseEther("1.0");
       const overpayment = ethers.parseEther("1.5"); // Pay 1.5 ETH for 1 ETH product
       
-      const initialBuyerBalance = await ethers.provider.getBalance(buyer.address);
-      
       // Buy with overpayment
-      const tx = await simpleMarket.connect(buyer).buyProduct(1, {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, {
         value: overpayment
       });
       
+      // The extra 0.5 ETH is credited to the buyer for withdrawal
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(
+        overpayment - productPrice
+      );
+      
+      const initialBuyerBalance = await ethers.provider.getBalance(buyer.address);
+      
+      const tx = await simpleMarket.connect(buyer).withdraw();
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed * receipt.gasPrice;
       
-      // Calculate expected final balance
-      // Should be: initial - product_price - gas_fees
-      const expectedBalance = initialBuyerBalance - productPrice - gasUsed;
+      // Should be: initial + refund - gas_fees
+      const expectedBalance = initialBuyerBalance + overpayment - productPrice - gasUsed;
       const finalBuyerBalance = await ethers.provider.getBalance(buyer.address);
       
-      // Allow small difference due to gas estimation
-      expect(finalBuyerBalance).to.be.closeTo(expectedBalance, ethers.parseEther("0.001"));
+      expect(finalBuyerBalance).to.equal(expectedBalance);
       
       console.log("    ✅ Excess payment refunded correctly");
     });
@@ -237,7 +362,7 @@ describe("SimpleMarket Contract", function () {
       const insufficientPayment = ethers.parseEther("0.5"); // Pay 0.5 ETH for 1 ETH product
       
       await expect(
-        simpleMarket.connect(buyer).buyProduct(1, {
+        simpleMarket.connect(buyer).buyProduct(1, 1, {
           value: insufficientPayment
         })
       ).to.be.revertedWith("Insufficient payment");
@@ -247,7 +372,7 @@ describe("SimpleMarket Contract", function () {
     
     it("Should reject buying non-existent product", async function () {
       await expect(
-        simpleMarket.connect(buyer).buyProduct(999, {
+        simpleMarket.connect(buyer).buyProduct(999, 1, {
           value: ethers.parseEther("1.0")
         })
       ).to.be.revertedWith("Product does not exist");
@@ -259,13 +384,13 @@ describe("SimpleMarket Contract", function () {
       const productPrice = ethers.parseEther("1.0");
       
       // First buyer purchases the product
-      await simpleMarket.connect(buyer).buyProduct(1, {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, {
         value: productPrice
       });
       
       // Second buyer tries to buy the same product
       await expect(
-        simpleMarket.connect(otherAccount).buyProduct(1, {
+        simpleMarket.connect(otherAccount).buyProduct(1, 1, {
           value: productPrice
         })
       ).to.be.revertedWith("Product already sold");
@@ -277,7 +402,7 @@ describe("SimpleMarket Contract", function () {
       const productPrice = ethers.parseEther("1.0");
       
       await expect(
-        simpleMarket.connect(seller).buyProduct(1, {
+        simpleMarket.connect(seller).buyProduct(1, 1, {
           value: productPrice
         })
       ).to.be.revertedWith("Cannot buy your own product");
@@ -287,6 +412,2811 @@ describe("SimpleMarket Contract", function () {
   });
 
 
+  describe("Cart Checkout", function () {
+
+    const lampPrice = ethers.parseEther("1");
+    const chairPrice = ethers.parseEther("2");
+    const deskPrice = ethers.parseEther("3");
+
+    const list = (account, name, price, stock = 1) => simpleMarket.connect(account).addProduct(
+      name, `${name} for sale`, price, ETH, stock, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH,
+      NO_EXPIRY
+    );
+
+    beforeEach(async function () {
+      await list(seller, "Lamp", lampPrice);       // id 1
+      await list(seller, "Chair", chairPrice, 2);  // id 2
+      await list(otherAccount, "Desk", deskPrice); // id 3
+    });
+
+    it("Should buy every item in one transaction", async function () {
+      const total = lampPrice + chairPrice + deskPrice;
+
+      await expect(simpleMarket.connect(buyer).buyProducts([1, 2, 3], false, { value: total }))
+        .to.emit(simpleMarket, "CartCheckedOut")
+        .withArgs(buyer.address, 3, 0, total, 0)
+        .and.to.emit(simpleMarket, "ProductSold")
+        .withArgs(2, "Chair", chairPrice, 1, seller.address, buyer.address);
+
+      // One escrowed order per item
+      expect(await simpleMarket.orderCount()).to.equal(3);
+      expect((await simpleMarket.getOrder(3)).amount).to.equal(deskPrice);
+      expect((await simpleMarket.products(1)).sold).to.equal(true);
+      expect((await simpleMarket.products(2)).stock).to.equal(1);
+      expect(await ethers.provider.getBalance(await simpleMarket.getAddress())).to.equal(total);
+
+      console.log("    ✅ Cart bought in one transaction");
+    });
+
+    it("Should credit overpayment back to the buyer", async function () {
+      const extra = ethers.parseEther("0.5");
+
+      await expect(simpleMarket.connect(buyer).buyProducts([1, 2], false, { value: lampPrice + chairPrice + extra }))
+        .to.emit(simpleMarket, "CartCheckedOut")
+        .withArgs(buyer.address, 2, 0, lampPrice + chairPrice, extra);
+
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(extra);
+
+      console.log("    ✅ Overpayment refunded");
+    });
+
+    it("Should reject a cart that is not fully paid", async function () {
+      await expect(
+        simpleMarket.connect(buyer).buyProducts([1, 2, 3], false, { value: lampPrice + chairPrice })
+      ).to.be.revertedWith("Insufficient payment");
+
+      expect(await simpleMarket.orderCount()).to.equal(0);
+
+      console.log("    ✅ Underpaid cart rejected");
+    });
+
+    it("Should revert the whole cart on an unavailable item by default", async function () {
+      await simpleMarket.connect(otherAccount).buyProduct(1, 1, { value: lampPrice });
+
+      await expect(
+        simpleMarket.connect(buyer).buyProducts([2, 1, 3], false, { value: lampPrice + chairPrice + deskPrice })
+      ).to.be.revertedWith("Product already sold");
+
+      // Nothing from the cart was bought
+      expect((await simpleMarket.products(2)).stock).to.equal(2);
+      expect(await simpleMarket.orderCount()).to.equal(1);
+
+      console.log("    ✅ Cart reverted as a whole");
+    });
+
+    it("Should skip unavailable items when asked to", async function () {
+      await simpleMarket.connect(otherAccount).buyProduct(1, 1, { value: lampPrice });
+      await simpleMarket.connect(seller).cancelListing(2);
+      await list(buyer, "Own item", lampPrice); // id 4, the buyer's own listing
+
+      // Only the desk can be bought; the payment for the rest is credited back
+      const paid = lampPrice + chairPrice + deskPrice + lampPrice;
+      await expect(simpleMarket.connect(buyer).buyProducts([1, 2, 3, 4], true, { value: paid }))
+        .to.emit(simpleMarket, "CartItemSkipped")
+        .withArgs(1, buyer.address)
+        .and.to.emit(simpleMarket, "CartItemSkipped")
+        .withArgs(4, buyer.address)
+        .and.to.emit(simpleMarket, "CartCheckedOut")
+        .withArgs(buyer.address, 1, 3, deskPrice, paid - deskPrice);
+
+      expect((await simpleMarket.products(3)).sold).to.equal(true);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(paid - deskPrice);
+
+      console.log("    ✅ Unavailable items skipped");
+    });
+
+    it("Should skip a repeated item once it sells out", async function () {
+      await expect(simpleMarket.connect(buyer).buyProducts([1, 1, 2, 2], true, { value: lampPrice * 2n + chairPrice * 2n }))
+        .to.emit(simpleMarket, "CartCheckedOut")
+        .withArgs(buyer.address, 3, 1, lampPrice + chairPrice * 2n, lampPrice);
+
+      expect((await simpleMarket.products(2)).sold).to.equal(true);
+
+      console.log("    ✅ Repeated item bought while in stock");
+    });
+
+    it("Should reject empty, oversized and fully unavailable carts", async function () {
+      await expect(
+        simpleMarket.connect(buyer).buyProducts([], false)
+      ).to.be.revertedWith("Cart is empty");
+
+      const maxItems = Number(await simpleMarket.MAX_CART_ITEMS());
+      await expect(
+        simpleMarket.connect(buyer).buyProducts(Array(maxItems + 1).fill(2), true, { value: chairPrice })
+      ).to.be.revertedWith("Too many items in cart");
+
+      await expect(
+        simpleMarket.connect(seller).buyProducts([1, 2], true, { value: lampPrice + chairPrice })
+      ).to.be.revertedWith("No items in cart are available");
+
+      console.log("    ✅ Invalid carts rejected");
+    });
+
+    it("Should not check out while paused", async function () {
+      await simpleMarket.connect(owner).pause();
+
+      await expect(
+        simpleMarket.connect(buyer).buyProducts([1], false, { value: lampPrice })
+      ).to.be.revertedWithCustomError(simpleMarket, "EnforcedPause");
+
+      console.log("    ✅ Checkout blocked while paused");
+    });
+  });
+
+
+  describe("Inventory", function () {
+
+    const unitPrice = ethers.parseEther("0.5");
+
+    // One listing with 5 identical units
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct(
+        "USB Cable",
+        "Braided USB-C cable, 1m",
+        unitPrice,
+        ETH,
+        5,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
+      );
+    });
+
+    it("Should store the initial stock", async function () {
+      const product = await simpleMarket.getProduct(1);
+      expect(product.stock).to.equal(5);
+      expect(product.sold).to.equal(false);
+
+      console.log("    ✅ Initial stock stored");
+    });
+
+    it("Should log the stock and sale type with the listing", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct("Charger", "65W USB-C charger", unitPrice, ETH, 3, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      )
+        .to.emit(simpleMarket, "ProductAdded")
+        .withArgs(2, "Charger", "65W USB-C charger", unitPrice, seller.address, ETH, NO_CATEGORY, NO_TAGS, 3, 0);
+
+      await expect(
+        simpleMarket.connect(seller).createAuction("Lamp", "Desk lamp", unitPrice, 3600, 1n, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH)
+      )
+        .to.emit(simpleMarket, "ProductAdded")
+        .withArgs(3, "Lamp", "Desk lamp", unitPrice, seller.address, ETH, NO_CATEGORY, NO_TAGS, 1, 1);
+
+      console.log("    ✅ Stock and sale type logged");
+    });
+
+    it("Should reject zero stock", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct("Nothing", "No units", unitPrice, ETH, 0, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWith("Stock must be greater than 0");
+
+      console.log("    ✅ Zero stock rejected");
+    });
+
+    it("Should buy several units for the total price", async function () {
+      const total = unitPrice * 3n;
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 3, { value: total })
+      )
+        .to.emit(simpleMarket, "ProductSold")
+        .withArgs(1, "USB Cable", unitPrice, 3, seller.address, buyer.address)
+        .and.to.emit(simpleMarket, "OrderCreated")
+        .withArgs(1, 1, buyer.address, total);
+
+      const product = await simpleMarket.getProduct(1);
+      expect(product.stock).to.equal(2);
+      expect(product.sold).to.equal(false);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+
+      const order = await simpleMarket.getOrder(1);
+      expect(order.quantity).to.equal(3);
+      expect(order.amount).to.equal(total);
+
+      console.log("    ✅ Multi-unit purchase succeeded");
+    });
+
+    it("Should check payment against the total price", async function () {
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 3, { value: unitPrice * 2n })
+      ).to.be.revertedWith("Insufficient payment");
+
+      console.log("    ✅ Payment checked against quantity");
+    });
+
+    it("Should reject zero quantity or more than the remaining stock", async function () {
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 0, { value: unitPrice })
+      ).to.be.revertedWith("Quantity must be greater than 0");
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 6, { value: unitPrice * 6n })
+      ).to.be.revertedWith("Not enough stock");
+
+      console.log("    ✅ Invalid quantities rejected");
+    });
+
+    it("Should mark the product sold out when stock reaches zero", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 2, { value: unitPrice * 2n });
+      await simpleMarket.connect(otherAccount).buyProduct(1, 3, { value: unitPrice * 3n });
+
+      const product = await simpleMarket.getProduct(1);
+      expect(product.stock).to.equal(0);
+      expect(product.sold).to.equal(true);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(false);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1, { value: unitPrice })
+      ).to.be.revertedWith("Product already sold");
+
+      expect((await simpleMarket.getProductOrders(1)).length).to.equal(2);
+
+      console.log("    ✅ Product sold out at zero stock");
+    });
+
+    it("Should return refunded units to stock", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 5, { value: unitPrice * 5n });
+      expect((await simpleMarket.getProduct(1)).sold).to.equal(true);
+
+      await simpleMarket.connect(buyer).requestRefund(1);
+
+      const product = await simpleMarket.getProduct(1);
+      expect(product.stock).to.equal(5);
+      expect(product.sold).to.equal(false);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(unitPrice * 5n);
+
+      console.log("    ✅ Refunded units back in stock");
+    });
+  });
+
+
+  describe("Escrow", function () {
+
+    const productPrice = ethers.parseEther("1.0");
+
+    // List a product and buy it so every test starts with order #1 in escrow
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct(
+        "Test iPhone",
+        "Test iPhone for sale",
+        productPrice,
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
+      );
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: productPrice });
+    });
+
+    it("Should create an order awaiting shipment", async function () {
+      const order = await simpleMarket.getOrder(1);
+
+      expect(order.productId).to.equal(1);
+      expect(order.buyer).to.equal(buyer.address);
+      expect(order.amount).to.equal(productPrice);
+      expect(order.status).to.equal(1); // AwaitingShipment
+      expect(order.shippedAt).to.equal(0);
+
+      const productOrders = await simpleMarket.getProductOrders(1);
+      expect(productOrders.length).to.equal(1);
+      expect(productOrders[0].id).to.equal(1);
+
+      const buyerOrders = await simpleMarket.getBuyerOrders(buyer.address);
+      expect(buyerOrders.length).to.equal(1);
+      expect(buyerOrders[0].productId).to.equal(1);
+
+      console.log("    ✅ Order created and funds held in escrow");
+    });
+
+    it("Should record the buyer and purchase time for the order history", async function () {
+      const order = await simpleMarket.getOrder(1);
+      const [event] = await simpleMarket.queryFilter(simpleMarket.filters.ProductSold(null, null, null, null, null, buyer.address));
+      const block = await ethers.provider.getBlock(event.blockNumber);
+
+      // The log found through the buyer topic lines up with the stored order
+      expect(event.args.id).to.equal(order.productId);
+      expect(order.buyer).to.equal(buyer.address);
+      expect(order.purchasedAt).to.equal(block.timestamp);
+
+      expect(await simpleMarket.queryFilter(simpleMarket.filters.ProductSold(null, null, null, null, null, otherAccount.address))).to.have.length(0);
+
+      console.log("    ✅ Buyer and purchase time stored");
+    });
+
+    it("Should emit OrderCreated event", async function () {
+      await simpleMarket.connect(seller).addProduct("Second", "Second item", productPrice, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(2, 1, { value: productPrice })
+      )
+        .to.emit(simpleMarket, "OrderCreated")
+        .withArgs(2, 2, buyer.address, productPrice);
+
+      console.log("    ✅ OrderCreated event emitted correctly");
+    });
+
+    it("Should release funds to the seller when the buyer confirms delivery", async function () {
+      await simpleMarket.connect(seller).markShipped(1);
+
+      await expect(simpleMarket.connect(buyer).confirmDelivery(1))
+        .to.emit(simpleMarket, "DeliveryConfirmed")
+        .withArgs(1, 1, buyer.address)
+        .and.to.emit(simpleMarket, "EscrowReleased")
+        .withArgs(1, seller.address, productPrice);
+
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(productPrice);
+      expect((await simpleMarket.getOrder(1)).status).to.equal(3); // Completed
+
+      console.log("    ✅ Delivery confirmed, seller paid");
+    });
+
+    it("Should run escrow for a listing that still has stock", async function () {
+      await simpleMarket.connect(seller).addProduct("USB Cable", "Braided USB-C cable, 1m", productPrice, ETH, 3, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await simpleMarket.connect(buyer).buyProduct(2, 2, { value: productPrice * 2n });
+
+      // The listing stays up with one unit while the order sits in escrow
+      let product = await simpleMarket.getProduct(2);
+      expect(product.sold).to.equal(false);
+      expect(product.stock).to.equal(1);
+      expect((await simpleMarket.getOrder(2)).status).to.equal(1); // AwaitingShipment
+
+      await simpleMarket.connect(seller).markShipped(2);
+      await expect(simpleMarket.connect(buyer).confirmDelivery(2))
+        .to.emit(simpleMarket, "EscrowReleased")
+        .withArgs(2, seller.address, productPrice * 2n);
+
+      // A second order on the same listing still gets its own refund
+      await simpleMarket.connect(otherAccount).buyProduct(2, 1, { value: productPrice });
+      product = await simpleMarket.getProduct(2);
+      expect(product.sold).to.equal(true);
+
+      await simpleMarket.connect(otherAccount).requestRefund(3);
+      product = await simpleMarket.getProduct(2);
+      expect(product.sold).to.equal(false);
+      expect(product.stock).to.equal(1);
+
+      console.log("    ✅ Escrow runs while the listing has stock left");
+    });
+
+    it("Should only let the seller mark an order as shipped", async function () {
+      await expect(
+        simpleMarket.connect(buyer).markShipped(1)
+      ).to.be.revertedWith("Only the seller can ship this order");
+
+      await expect(simpleMarket.connect(seller).markShipped(1))
+        .to.emit(simpleMarket, "OrderShipped")
+        .withArgs(1, 1, seller.address);
+
+      await expect(
+        simpleMarket.connect(seller).markShipped(1)
+      ).to.be.revertedWith("Order is not awaiting shipment");
+
+      console.log("    ✅ Shipment restricted to the seller");
+    });
+
+    it("Should only let the buyer confirm delivery", async function () {
+      await expect(
+        simpleMarket.connect(seller).confirmDelivery(1)
+      ).to.be.revertedWith("Only the buyer can confirm delivery");
+
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+
+      await expect(
+        simpleMarket.connect(buyer).confirmDelivery(1)
+      ).to.be.revertedWith("Order is not in escrow");
+
+      console.log("    ✅ Delivery confirmation restricted to the buyer");
+    });
+
+    it("Should refund the buyer before shipment and relist the product", async function () {
+      await expect(simpleMarket.connect(buyer).requestRefund(1))
+        .to.emit(simpleMarket, "OrderRefunded")
+        .withArgs(1, buyer.address, productPrice);
+
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(productPrice);
+      expect((await simpleMarket.getOrder(1)).status).to.equal(4); // Refunded
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+
+      console.log("    ✅ Refund issued and product back on sale");
+    });
+
+    it("Should reject refunds after shipment or from other accounts", async function () {
+      await expect(
+        simpleMarket.connect(otherAccount).requestRefund(1)
+      ).to.be.revertedWith("Only the buyer can request a refund");
+
+      await simpleMarket.connect(seller).markShipped(1);
+
+      await expect(
+        simpleMarket.connect(buyer).requestRefund(1)
+      ).to.be.revertedWith("Order has already shipped");
+
+      console.log("    ✅ Invalid refund requests rejected");
+    });
+
+    it("Should auto-release escrow to the seller after the delivery timeout", async function () {
+      await expect(
+        simpleMarket.connect(seller).releaseEscrow(1)
+      ).to.be.revertedWith("Order has not been shipped");
+
+      await simpleMarket.connect(seller).markShipped(1);
+
+      await expect(
+        simpleMarket.connect(seller).releaseEscrow(1)
+      ).to.be.revertedWith("Delivery timeout has not passed");
+
+      await time.increase(DELIVERY_TIMEOUT);
+
+      // Anyone can trigger the release, the funds still go to the seller
+      await expect(simpleMarket.connect(otherAccount).releaseEscrow(1))
+        .to.emit(simpleMarket, "EscrowReleased")
+        .withArgs(1, seller.address, productPrice);
+
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(productPrice);
+
+      console.log("    ✅ Escrow released after timeout");
+    });
+
+    it("Should reject actions on non-existent orders", async function () {
+      await expect(
+        simpleMarket.connect(buyer).confirmDelivery(999)
+      ).to.be.revertedWith("Order does not exist");
+
+      console.log("    ✅ Non-existent order rejected");
+    });
+  });
+
+
+  describe("Withdrawals", function () {
+
+    const productPrice = ethers.parseEther("1.0");
+
+    // Sell a product and confirm delivery so the seller has earnings to withdraw
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct(
+        "Test iPhone",
+        "Test iPhone for sale",
+        productPrice,
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
+      );
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: productPrice });
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+    });
+
+    it("Should let the seller withdraw their earnings", async function () {
+      const initialSellerBalance = await ethers.provider.getBalance(seller.address);
+
+      const tx = await simpleMarket.connect(seller).withdraw();
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+
+      await expect(tx)
+        .to.emit(simpleMarket, "Withdrawn")
+        .withArgs(seller.address, productPrice);
+
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(
+        initialSellerBalance + productPrice - gasUsed
+      );
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(0);
+
+      console.log("    ✅ Seller withdrew earnings");
+    });
+
+    it("Should reject withdrawing with nothing owed", async function () {
+      await expect(
+        simpleMarket.connect(otherAccount).withdraw()
+      ).to.be.revertedWith("No funds to withdraw");
+
+      await simpleMarket.connect(seller).withdraw();
+
+      await expect(
+        simpleMarket.connect(seller).withdraw()
+      ).to.be.revertedWith("No funds to withdraw");
+
+      console.log("    ✅ Empty withdrawal rejected");
+    });
+
+    describe("Smart-contract wallets", function () {
+
+      let wallet;
+
+      // A contract wallet lists a product and sells it to the buyer
+      beforeEach(async function () {
+        const MarketWallet = await ethers.getContractFactory("MarketWallet");
+        wallet = await MarketWallet.deploy(await simpleMarket.getAddress());
+        await wallet.waitForDeployment();
+
+        await wallet.execute(
+          simpleMarket.interface.encodeFunctionData("addProduct", [
+            "Wallet item",
+            "Listed by a contract wallet",
+            productPrice,
+            ETH,
+            1,
+            NO_CATEGORY,
+            NO_TAGS,
+            NO_METADATA_URI,
+            NO_METADATA_HASH,
+            NO_EXPIRY
+          ])
+        );
+        await simpleMarket.connect(buyer).buyProduct(2, 1, { value: productPrice });
+        await simpleMarket.connect(buyer).confirmDelivery(2);
+      });
+
+      it("Should pay out to a wallet whose receive hook needs more than 2300 gas", async function () {
+        const walletAddress = await wallet.getAddress();
+
+        await expect(
+          wallet.execute(simpleMarket.interface.encodeFunctionData("withdraw"))
+        )
+          .to.emit(simpleMarket, "Withdrawn")
+          .withArgs(walletAddress, productPrice);
+
+        expect(await ethers.provider.getBalance(walletAddress)).to.equal(productPrice);
+        expect(await wallet.paymentsReceived()).to.equal(1);
+
+        console.log("    ✅ Contract wallet withdrawal succeeded");
+      });
+
+      it("Should block re-entering withdraw from the receive hook", async function () {
+        await wallet.setReenter(true);
+
+        await expect(
+          wallet.execute(simpleMarket.interface.encodeFunctionData("withdraw"))
+        ).to.be.revertedWith("Withdrawal failed");
+
+        // The failed withdrawal rolls back, so the balance is still owed in full
+        expect(
+          await simpleMarket.pendingWithdrawal(await wallet.getAddress())
+        ).to.equal(productPrice);
+        expect(
+          await ethers.provider.getBalance(await simpleMarket.getAddress())
+        ).to.equal(productPrice * 2n);
+
+        console.log("    ✅ Reentrant withdrawal blocked");
+      });
+
+      it("Should not let a hostile seller make their products unbuyable", async function () {
+        // A receive hook that always reverts no longer affects buyers
+        await wallet.setReenter(true);
+
+        await wallet.execute(
+          simpleMarket.interface.encodeFunctionData("addProduct", [
+            "Trap item",
+            "Seller wallet rejects ETH",
+            productPrice,
+            ETH,
+            1,
+            NO_CATEGORY,
+            NO_TAGS,
+            NO_METADATA_URI,
+            NO_METADATA_HASH,
+            NO_EXPIRY
+          ])
+        );
+
+        await expect(
+          simpleMarket.connect(buyer).buyProduct(3, 1, { value: productPrice })
+        ).to.emit(simpleMarket, "ProductSold");
+
+        await expect(simpleMarket.connect(buyer).confirmDelivery(3))
+          .to.emit(simpleMarket, "EscrowReleased");
+
+        console.log("    ✅ Purchase succeeded despite hostile seller wallet");
+      });
+    });
+  });
+
+
+  describe("Platform Fees", function () {
+
+    const productPrice = ethers.parseEther("1.0");
+    const FEE_BPS = 250; // 2.5%
+
+    beforeEach(async function () {
+      await simpleMarket.connect(owner).setFee(FEE_BPS);
+      await simpleMarket.connect(owner).setFeeRecipient(otherAccount.address);
+
+      await simpleMarket.connect(seller).addProduct(
+        "Test iPhone",
+        "Test iPhone for sale",
+        productPrice,
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
+      );
+    });
+
+    it("Should reject deploying with invalid fee settings", async function () {
+      await expect(
+        upgrades.deployProxy(SimpleMarket, [DELIVERY_TIMEOUT, 1001, owner.address], proxyOptions)
+      ).to.be.revertedWith("Fee exceeds maximum");
+
+      await expect(
+        upgrades.deployProxy(SimpleMarket, [DELIVERY_TIMEOUT, FEE_BPS, ethers.ZeroAddress], proxyOptions)
+      ).to.be.revertedWith("Fee recipient cannot be zero address");
+
+      console.log("    ✅ Invalid initializer fee settings rejected");
+    });
+
+    it("Should let only the owner change the fee", async function () {
+      await expect(simpleMarket.connect(owner).setFee(500))
+        .to.emit(simpleMarket, "FeeUpdated")
+        .withArgs(FEE_BPS, 500);
+
+      await expect(
+        simpleMarket.connect(seller).setFee(0)
+      ).to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, ADMIN_ROLE);
+
+      await expect(
+        simpleMarket.connect(owner).setFee(1001)
+      ).to.be.revertedWith("Fee exceeds maximum");
+
+      console.log("    ✅ Fee changes restricted to the owner");
+    });
+
+    it("Should let only the owner change the fee recipient", async function () {
+      await expect(simpleMarket.connect(owner).setFeeRecipient(owner.address))
+        .to.emit(simpleMarket, "FeeRecipientUpdated")
+        .withArgs(otherAccount.address, owner.address);
+
+      await expect(
+        simpleMarket.connect(seller).setFeeRecipient(seller.address)
+      ).to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, ADMIN_ROLE);
+
+      await expect(
+        simpleMarket.connect(owner).setFeeRecipient(ethers.ZeroAddress)
+      ).to.be.revertedWith("Fee recipient cannot be zero address");
+
+      console.log("    ✅ Fee recipient changes restricted to the owner");
+    });
+
+    it("Should deduct the fee from the seller payout", async function () {
+      const expectedFee = (productPrice * BigInt(FEE_BPS)) / 10000n;
+      expect(await simpleMarket.calculateFee(productPrice)).to.equal(expectedFee);
+
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: productPrice });
+
+      await expect(simpleMarket.connect(buyer).confirmDelivery(1))
+        .to.emit(simpleMarket, "FeeCollected")
+        .withArgs(1, otherAccount.address, expectedFee)
+        .and.to.emit(simpleMarket, "EscrowReleased")
+        .withArgs(1, seller.address, productPrice - expectedFee);
+
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(
+        productPrice - expectedFee
+      );
+      expect(await simpleMarket.pendingWithdrawal(otherAccount.address)).to.equal(expectedFee);
+
+      console.log("    ✅ Fee deducted and credited to the fee recipient");
+    });
+
+    it("Should lock in the fee at purchase time", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: productPrice });
+
+      // Raising the fee after purchase does not change this order
+      await simpleMarket.connect(owner).setFee(1000);
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+
+      const expectedFee = (productPrice * BigInt(FEE_BPS)) / 10000n;
+      expect(await simpleMarket.pendingWithdrawal(otherAccount.address)).to.equal(expectedFee);
+
+      console.log("    ✅ Fee fixed at purchase time");
+    });
+
+    it("Should refund the full price without a fee", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: productPrice });
+      await simpleMarket.connect(buyer).requestRefund(1);
+
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(productPrice);
+      expect(await simpleMarket.pendingWithdrawal(otherAccount.address)).to.equal(0);
+
+      console.log("    ✅ Refund returned the full price");
+    });
+  });
+
+
+  describe("ERC-20 Payments", function () {
+
+    let stablecoin;
+    let tokenAddress;
+    const tokenPrice = 25_000_000n; // 25 mUSD (6 decimals)
+
+    beforeEach(async function () {
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      stablecoin = await MockStablecoin.deploy();
+      await stablecoin.waitForDeployment();
+      tokenAddress = await stablecoin.getAddress();
+
+      await simpleMarket.connect(owner).setPaymentToken(tokenAddress, true);
+      await stablecoin.mint(buyer.address, 100_000_000n); // 100 mUSD
+
+      await simpleMarket.connect(seller).addProduct(
+        "Token item",
+        "Priced in mUSD",
+        tokenPrice,
+        tokenAddress,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
+      );
+    });
+
+    it("Should let only the owner manage accepted tokens", async function () {
+      await expect(simpleMarket.connect(owner).setPaymentToken(tokenAddress, false))
+        .to.emit(simpleMarket, "PaymentTokenUpdated")
+        .withArgs(tokenAddress, false);
+
+      expect(await simpleMarket.acceptedTokens(tokenAddress)).to.equal(false);
+
+      await expect(
+        simpleMarket.connect(seller).setPaymentToken(tokenAddress, true)
+      ).to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, ADMIN_ROLE);
+
+      console.log("    ✅ Token allowlist restricted to the owner");
+    });
+
+    it("Should reject listings in tokens that are not accepted", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct(
+          "Bad token item",
+          "Priced in an unknown token",
+          tokenPrice,
+          otherAccount.address,
+          1,
+          NO_CATEGORY,
+          NO_TAGS,
+          NO_METADATA_URI,
+          NO_METADATA_HASH,
+          NO_EXPIRY
+        )
+      ).to.be.revertedWith("Payment token not accepted");
+
+      console.log("    ✅ Unaccepted payment token rejected");
+    });
+
+    it("Should buy a token listing with transferFrom into escrow", async function () {
+      await stablecoin.connect(buyer).approve(await simpleMarket.getAddress(), tokenPrice);
+
+      await expect(simpleMarket.connect(buyer).buyProduct(1, 1))
+        .to.emit(simpleMarket, "ProductSold")
+        .withArgs(1, "Token item", tokenPrice, 1, seller.address, buyer.address);
+
+      expect(await stablecoin.balanceOf(await simpleMarket.getAddress())).to.equal(tokenPrice);
+      expect(await stablecoin.balanceOf(buyer.address)).to.equal(100_000_000n - tokenPrice);
+
+      console.log("    ✅ Tokens pulled into escrow");
+    });
+
+    it("Should reject token purchases without enough allowance", async function () {
+      await stablecoin.connect(buyer).approve(await simpleMarket.getAddress(), tokenPrice - 1n);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1)
+      ).to.be.revertedWithCustomError(stablecoin, "ERC20InsufficientAllowance");
+
+      console.log("    ✅ Missing allowance rejected");
+    });
+
+    it("Should reject ETH sent for a token listing", async function () {
+      await stablecoin.connect(buyer).approve(await simpleMarket.getAddress(), tokenPrice);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1, { value: ethers.parseEther("1.0") })
+      ).to.be.revertedWith("Listing is not priced in ETH");
+
+      console.log("    ✅ ETH payment for token listing rejected");
+    });
+
+    it("Should check out a cart mixing ETH and token listings", async function () {
+      const ethPrice = ethers.parseEther("1.0");
+      await simpleMarket.connect(seller).addProduct("ETH item", "Priced in ETH", ethPrice, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await stablecoin.connect(buyer).approve(await simpleMarket.getAddress(), tokenPrice);
+
+      // The ETH sent only has to cover the ETH-priced item
+      await expect(simpleMarket.connect(buyer).buyProducts([1, 2], false, { value: ethPrice }))
+        .to.emit(simpleMarket, "CartCheckedOut")
+        .withArgs(buyer.address, 2, 0, ethPrice, 0);
+
+      expect(await stablecoin.balanceOf(await simpleMarket.getAddress())).to.equal(tokenPrice);
+      expect(await ethers.provider.getBalance(await simpleMarket.getAddress())).to.equal(ethPrice);
+
+      console.log("    ✅ Mixed-currency cart checked out");
+    });
+
+    it("Should reject purchases once the token is removed from the allowlist", async function () {
+      await stablecoin.connect(buyer).approve(await simpleMarket.getAddress(), tokenPrice);
+      await simpleMarket.connect(owner).setPaymentToken(tokenAddress, false);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1)
+      ).to.be.revertedWith("Payment token not accepted");
+
+      console.log("    ✅ Delisted token purchase rejected");
+    });
+
+    it("Should pay out seller earnings and fees in the token", async function () {
+      await simpleMarket.connect(owner).setFee(250);
+      await stablecoin.connect(buyer).approve(await simpleMarket.getAddress(), tokenPrice);
+      await simpleMarket.connect(buyer).buyProduct(1, 1);
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+
+      const fee = (tokenPrice * 250n) / 10000n;
+
+      expect(
+        await simpleMarket.pendingTokenWithdrawal(tokenAddress, seller.address)
+      ).to.equal(tokenPrice - fee);
+      expect(
+        await simpleMarket.pendingTokenWithdrawal(tokenAddress, owner.address)
+      ).to.equal(fee);
+
+      // Token earnings do not show up as ETH earnings
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(0);
+
+      await expect(simpleMarket.connect(seller).withdrawToken(tokenAddress))
+        .to.emit(simpleMarket, "TokenWithdrawn")
+        .withArgs(seller.address, tokenAddress, tokenPrice - fee);
+
+      expect(await stablecoin.balanceOf(seller.address)).to.equal(tokenPrice - fee);
+
+      await expect(
+        simpleMarket.connect(seller).withdrawToken(tokenAddress)
+      ).to.be.revertedWith("No funds to withdraw");
+
+      console.log("    ✅ Token earnings withdrawn");
+    });
+
+    it("Should refund token purchases in the token", async function () {
+      await stablecoin.connect(buyer).approve(await simpleMarket.getAddress(), tokenPrice);
+      await simpleMarket.connect(buyer).buyProduct(1, 1);
+      await simpleMarket.connect(buyer).requestRefund(1);
+
+      expect(
+        await simpleMarket.pendingTokenWithdrawal(tokenAddress, buyer.address)
+      ).to.equal(tokenPrice);
+
+      await simpleMarket.connect(buyer).withdrawToken(tokenAddress);
+      expect(await stablecoin.balanceOf(buyer.address)).to.equal(100_000_000n);
+
+      console.log("    ✅ Token refund withdrawn");
+    });
+  });
+
+
+  describe("Auctions", function () {
+
+    const reservePrice = ethers.parseEther("1");
+    const minIncrement = ethers.parseEther("0.1");
+    const duration = 24 * 60 * 60; // 1 day
+
+    // One auction listing by the seller
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).createAuction(
+        "Vintage Guitar",
+        "1965 electric guitar, original case",
+        reservePrice,
+        duration,
+        minIncrement,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH
+      );
+    });
+
+    it("Should create an auction listing", async function () {
+      const product = await simpleMarket.getProduct(1);
+      expect(product.saleType).to.equal(1); // SaleType.Auction
+      expect(product.price).to.equal(reservePrice);
+      expect(product.stock).to.equal(1);
+
+      const auction = await simpleMarket.getAuction(1);
+      expect(auction.endTime).to.equal((await time.latest()) + duration);
+      expect(auction.minBidIncrement).to.equal(minIncrement);
+      expect(auction.highestBidder).to.equal(ethers.ZeroAddress);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+
+      console.log("    ✅ Auction created");
+    });
+
+    it("Should reject invalid auction parameters", async function () {
+      await expect(
+        simpleMarket.connect(seller).createAuction("Lamp", "Desk lamp", reservePrice, 0, minIncrement, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH)
+      ).to.be.revertedWith("Auction duration must be greater than 0");
+
+      await expect(
+        simpleMarket.connect(seller).createAuction("Lamp", "Desk lamp", reservePrice, duration, 0, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH)
+      ).to.be.revertedWith("Bid increment must be greater than 0");
+
+      await expect(
+        simpleMarket.connect(seller).createAuction("Lamp", "Desk lamp", 0, duration, minIncrement, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH)
+      ).to.be.revertedWith("Product price must be greater than 0");
+
+      console.log("    ✅ Invalid auctions rejected");
+    });
+
+    it("Should not allow buying an auction at a fixed price", async function () {
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1, { value: reservePrice })
+      ).to.be.revertedWith("Product is sold by auction");
+
+      console.log("    ✅ Fixed-price purchase of auction rejected");
+    });
+
+    it("Should accept bids that meet the reserve and increment", async function () {
+      await expect(
+        simpleMarket.connect(buyer).placeBid(1, { value: reservePrice - 1n })
+      ).to.be.revertedWith("Bid is below the reserve price");
+
+      await expect(simpleMarket.connect(buyer).placeBid(1, { value: reservePrice }))
+        .to.emit(simpleMarket, "BidPlaced")
+        .withArgs(1, buyer.address, reservePrice);
+
+      await expect(
+        simpleMarket.connect(otherAccount).placeBid(1, { value: reservePrice + minIncrement - 1n })
+      ).to.be.revertedWith("Bid increment too low");
+
+      await simpleMarket.connect(otherAccount).placeBid(1, { value: reservePrice + minIncrement });
+
+      const auction = await simpleMarket.getAuction(1);
+      expect(auction.highestBidder).to.equal(otherAccount.address);
+      expect(auction.highestBid).to.equal(reservePrice + minIncrement);
+
+      console.log("    ✅ Bids validated");
+    });
+
+    it("Should let outbid bidders reclaim their bid", async function () {
+      await simpleMarket.connect(buyer).placeBid(1, { value: reservePrice });
+      await simpleMarket.connect(otherAccount).placeBid(1, { value: reservePrice * 2n });
+
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(reservePrice);
+
+      await expect(simpleMarket.connect(buyer).withdraw())
+        .to.emit(simpleMarket, "Withdrawn")
+        .withArgs(buyer.address, reservePrice);
+
+      console.log("    ✅ Outbid bid reclaimed");
+    });
+
+    it("Should reject bids from the seller or after the end time", async function () {
+      await expect(
+        simpleMarket.connect(seller).placeBid(1, { value: reservePrice })
+      ).to.be.revertedWith("Cannot bid on your own product");
+
+      await time.increase(duration);
+
+      await expect(
+        simpleMarket.connect(buyer).placeBid(1, { value: reservePrice })
+      ).to.be.revertedWith("Auction has ended");
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(false);
+
+      console.log("    ✅ Invalid bidders rejected");
+    });
+
+    it("Should settle to the highest bidder after the end time", async function () {
+      await simpleMarket.connect(buyer).placeBid(1, { value: reservePrice });
+
+      await expect(simpleMarket.settleAuction(1)).to.be.revertedWith("Auction has not ended");
+
+      await time.increase(duration);
+
+      await expect(simpleMarket.connect(otherAccount).settleAuction(1))
+        .to.emit(simpleMarket, "AuctionSettled")
+        .withArgs(1, buyer.address, reservePrice)
+        .and.to.emit(simpleMarket, "ProductSold")
+        .withArgs(1, "Vintage Guitar", reservePrice, 1, seller.address, buyer.address);
+
+      const product = await simpleMarket.getProduct(1);
+      expect(product.sold).to.equal(true);
+      expect(product.stock).to.equal(0);
+
+      // The win is recorded as a completed order and the seller is paid
+      const order = await simpleMarket.getOrder(1);
+      expect(order.buyer).to.equal(buyer.address);
+      expect(order.status).to.equal(3); // OrderStatus.Completed
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(reservePrice);
+
+      await expect(simpleMarket.settleAuction(1)).to.be.revertedWith("Auction already settled");
+
+      console.log("    ✅ Auction settled to winner");
+    });
+
+    it("Should take the platform fee from the winning bid", async function () {
+      await simpleMarket.connect(owner).setFee(500); // 5%
+      await simpleMarket.connect(buyer).placeBid(1, { value: reservePrice });
+      await time.increase(duration);
+      await simpleMarket.settleAuction(1);
+
+      const fee = reservePrice / 20n;
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(reservePrice - fee);
+      expect(await simpleMarket.pendingWithdrawal(owner.address)).to.equal(fee);
+
+      console.log("    ✅ Fee taken from winning bid");
+    });
+
+    it("Should close an auction without bids unsold", async function () {
+      await time.increase(duration);
+
+      await expect(simpleMarket.settleAuction(1))
+        .to.emit(simpleMarket, "AuctionSettled")
+        .withArgs(1, ethers.ZeroAddress, 0);
+
+      const product = await simpleMarket.getProduct(1);
+      expect(product.sold).to.equal(false);
+      expect(product.delisted).to.equal(true);
+      expect(await simpleMarket.orderCount()).to.equal(0);
+
+      console.log("    ✅ Auction without bids closed");
+    });
+
+    it("Should not allow editing, or delisting once bids are in", async function () {
+      await expect(
+        simpleMarket.connect(seller).updateProduct(1, "New description", reservePrice)
+      ).to.be.revertedWith("Auction listings cannot be edited");
+
+      await simpleMarket.connect(buyer).placeBid(1, { value: reservePrice });
+
+      await expect(
+        simpleMarket.connect(seller).cancelListing(1)
+      ).to.be.revertedWith("Auction already has bids");
+
+      console.log("    ✅ Auction with bids locked");
+    });
+  });
+
+
+  describe("Dutch Auctions", function () {
+
+    const startPrice = ethers.parseEther("2");
+    const floorPrice = ethers.parseEther("1");
+    const duration = 10_000; // seconds to reach the floor price
+    let startTime;
+
+    // Two units whose price falls from 2 ETH to 1 ETH
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).createDutchAuction(
+        "Espresso Machine",
+        "Price drops until it sells",
+        startPrice,
+        floorPrice,
+        duration,
+        ETH,
+        2,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH
+      );
+      startTime = await time.latest();
+    });
+
+    it("Should create a Dutch auction listing", async function () {
+      const product = await simpleMarket.getProduct(1);
+      expect(product.saleType).to.equal(2); // SaleType.DutchAuction
+      expect(product.price).to.equal(startPrice);
+      expect(product.stock).to.equal(2);
+
+      const decay = await simpleMarket.priceDecays(1);
+      expect(decay.startPrice).to.equal(startPrice);
+      expect(decay.floorPrice).to.equal(floorPrice);
+      expect(decay.startTime).to.equal(startTime);
+      expect(decay.duration).to.equal(duration);
+
+      expect(await simpleMarket.currentPrice(1)).to.equal(startPrice);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+
+      console.log("    ✅ Dutch auction created");
+    });
+
+    it("Should emit DutchAuctionCreated", async function () {
+      const tx = await simpleMarket.connect(seller).createDutchAuction(
+        "Bike", "Road bike", startPrice, floorPrice, duration, ETH, 1,
+        NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH
+      );
+
+      await expect(tx)
+        .to.emit(simpleMarket, "DutchAuctionCreated")
+        .withArgs(2, startPrice, floorPrice, await time.latest(), duration);
+
+      console.log("    ✅ DutchAuctionCreated emitted");
+    });
+
+    it("Should reject invalid price schedules", async function () {
+      const create = (start, floor, decayDuration) =>
+        simpleMarket.connect(seller).createDutchAuction(
+          "Bad", "Bad schedule", start, floor, decayDuration, ETH, 1,
+          NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH
+        );
+
+      await expect(create(startPrice, 0, duration)).to.be.revertedWith("Floor price must be greater than 0");
+      await expect(create(floorPrice, floorPrice, duration)).to.be.revertedWith("Start price must be above the floor price");
+      await expect(create(startPrice, floorPrice, 0)).to.be.revertedWith("Decay duration must be greater than 0");
+
+      console.log("    ✅ Invalid schedules rejected");
+    });
+
+    it("Should lower the price linearly down to the floor", async function () {
+      await time.increaseTo(startTime + duration / 4);
+      expect(await simpleMarket.currentPrice(1)).to.equal(ethers.parseEther("1.75"));
+
+      await time.increaseTo(startTime + duration);
+      expect(await simpleMarket.currentPrice(1)).to.equal(floorPrice);
+
+      await time.increase(duration * 10);
+      expect(await simpleMarket.currentPrice(1)).to.equal(floorPrice);
+
+      console.log("    ✅ Price decays to the floor");
+    });
+
+    it("Should charge the current price and credit the excess", async function () {
+      const halfwayPrice = ethers.parseEther("1.5");
+      await time.setNextBlockTimestamp(startTime + duration / 2);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1, { value: startPrice })
+      )
+        .to.emit(simpleMarket, "ProductSold")
+        .withArgs(1, "Espresso Machine", halfwayPrice, 1, seller.address, buyer.address);
+
+      const order = await simpleMarket.getOrder(1);
+      expect(order.amount).to.equal(halfwayPrice);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(startPrice - halfwayPrice);
+      expect((await simpleMarket.getProduct(1)).stock).to.equal(1);
+
+      console.log("    ✅ Bought at the current price, excess credited");
+    });
+
+    it("Should reject payments below the current price", async function () {
+      await time.setNextBlockTimestamp(startTime + duration / 2);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 2, { value: ethers.parseEther("2.9") })
+      ).to.be.revertedWith("Insufficient payment");
+
+      console.log("    ✅ Underpayment rejected");
+    });
+
+    it("Should price Dutch auctions at their current price in cart checkouts", async function () {
+      await time.setNextBlockTimestamp(startTime + duration);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProducts([1, 1], false, { value: floorPrice * 2n })
+      )
+        .to.emit(simpleMarket, "CartCheckedOut")
+        .withArgs(buyer.address, 2, 0, floorPrice * 2n, 0);
+
+      expect((await simpleMarket.getProduct(1)).sold).to.equal(true);
+
+      console.log("    ✅ Cart paid the floor price");
+    });
+
+    it("Should not take offers or edits on Dutch auctions", async function () {
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(1, duration, { value: floorPrice })
+      ).to.be.revertedWith("Product is sold by auction");
+      await expect(
+        simpleMarket.connect(seller).updateProduct(1, "Cheaper", floorPrice)
+      ).to.be.revertedWith("Auction listings cannot be edited");
+
+      console.log("    ✅ Offers and edits rejected");
+    });
+  });
+
+
+  describe("Offers", function () {
+
+    const listPrice = ethers.parseEther("1");
+    const offerAmount = ethers.parseEther("0.8");
+    const offerDuration = 3 * 24 * 60 * 60; // 3 days
+
+    // One ETH listing with 2 units and an offer from the buyer
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct("Road Bike", "Aluminium frame, size 56", listPrice, ETH, 2, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await simpleMarket.connect(buyer).makeOffer(1, offerDuration, { value: offerAmount });
+    });
+
+    it("Should escrow the offered ETH", async function () {
+      const offer = await simpleMarket.getOffer(1);
+      expect(offer.productId).to.equal(1);
+      expect(offer.buyer).to.equal(buyer.address);
+      expect(offer.amount).to.equal(offerAmount);
+      expect(offer.expiresAt).to.equal((await time.latest()) + offerDuration);
+      expect(offer.status).to.equal(1); // OfferStatus.Open
+
+      expect(await ethers.provider.getBalance(await simpleMarket.getAddress())).to.equal(offerAmount);
+      expect((await simpleMarket.getProductOffers(1)).length).to.equal(1);
+      expect((await simpleMarket.getBuyerOffers(buyer.address)).length).to.equal(1);
+
+      console.log("    ✅ Offer escrowed");
+    });
+
+    it("Should emit OfferMade", async function () {
+      await expect(
+        simpleMarket.connect(otherAccount).makeOffer(1, offerDuration, { value: offerAmount })
+      )
+        .to.emit(simpleMarket, "OfferMade")
+        .withArgs(2, 1, otherAccount.address, offerAmount, (await time.latest()) + 1 + offerDuration);
+
+      console.log("    ✅ OfferMade emitted");
+    });
+
+    it("Should reject invalid offers", async function () {
+      await expect(
+        simpleMarket.connect(seller).makeOffer(1, offerDuration, { value: offerAmount })
+      ).to.be.revertedWith("Cannot make an offer on your own product");
+
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(1, offerDuration, { value: 0 })
+      ).to.be.revertedWith("Offer must be greater than 0");
+
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(1, 0, { value: offerAmount })
+      ).to.be.revertedWith("Offer duration must be greater than 0");
+
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(99, offerDuration, { value: offerAmount })
+      ).to.be.revertedWith("Product does not exist");
+
+      console.log("    ✅ Invalid offers rejected");
+    });
+
+    it("Should turn an accepted offer into an escrow order", async function () {
+      await expect(simpleMarket.connect(seller).acceptOffer(1))
+        .to.emit(simpleMarket, "OfferAccepted")
+        .withArgs(1, 1, 1)
+        .and.to.emit(simpleMarket, "ProductSold")
+        .withArgs(1, "Road Bike", offerAmount, 1, seller.address, buyer.address);
+
+      const order = await simpleMarket.getOrder(1);
+      expect(order.buyer).to.equal(buyer.address);
+      expect(order.amount).to.equal(offerAmount);
+      expect(order.status).to.equal(1); // OrderStatus.AwaitingShipment
+
+      expect((await simpleMarket.getProduct(1)).stock).to.equal(1);
+      expect((await simpleMarket.getOffer(1)).status).to.equal(3); // OfferStatus.Accepted
+
+      // The escrow flow continues as for a normal purchase
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(offerAmount);
+
+      console.log("    ✅ Offer accepted into escrow");
+    });
+
+    it("Should only let the seller respond to an offer", async function () {
+      await expect(
+        simpleMarket.connect(otherAccount).acceptOffer(1)
+      ).to.be.revertedWith("Only the seller can respond to this offer");
+
+      await expect(
+        simpleMarket.connect(buyer).rejectOffer(1)
+      ).to.be.revertedWith("Only the seller can respond to this offer");
+
+      console.log("    ✅ Only seller can respond");
+    });
+
+    it("Should return the ETH when the seller rejects", async function () {
+      await expect(simpleMarket.connect(seller).rejectOffer(1))
+        .to.emit(simpleMarket, "OfferRejected")
+        .withArgs(1, 1);
+
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(offerAmount);
+
+      await expect(
+        simpleMarket.connect(seller).acceptOffer(1)
+      ).to.be.revertedWith("Offer is not open");
+
+      console.log("    ✅ Rejected offer refunded");
+    });
+
+    it("Should let the buyer withdraw an offer", async function () {
+      await expect(
+        simpleMarket.connect(otherAccount).withdrawOffer(1)
+      ).to.be.revertedWith("Only the buyer can withdraw this offer");
+
+      await expect(simpleMarket.connect(buyer).withdrawOffer(1))
+        .to.emit(simpleMarket, "OfferWithdrawn")
+        .withArgs(1, buyer.address, offerAmount);
+
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(offerAmount);
+
+      await expect(
+        simpleMarket.connect(buyer).withdrawOffer(1)
+      ).to.be.revertedWith("Offer is not open");
+
+      console.log("    ✅ Offer withdrawn");
+    });
+
+    it("Should not accept an expired offer", async function () {
+      await time.increase(offerDuration);
+
+      await expect(
+        simpleMarket.connect(seller).acceptOffer(1)
+      ).to.be.revertedWith("Offer has expired");
+
+      // The buyer can still get the ETH back
+      await simpleMarket.connect(buyer).withdrawOffer(1);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(offerAmount);
+
+      console.log("    ✅ Expired offer not accepted");
+    });
+
+    it("Should not accept an offer once the product is sold out", async function () {
+      await simpleMarket.connect(otherAccount).buyProduct(1, 2, { value: listPrice * 2n });
+
+      await expect(
+        simpleMarket.connect(seller).acceptOffer(1)
+      ).to.be.revertedWith("Product already sold");
+
+      console.log("    ✅ Offer on sold-out product not accepted");
+    });
+
+    it("Should settle a counter-offer when the buyer tops up", async function () {
+      const counter = ethers.parseEther("0.9");
+
+      await expect(
+        simpleMarket.connect(seller).counterOffer(1, offerAmount)
+      ).to.be.revertedWith("Counter-offer must be above the offer");
+
+      await expect(simpleMarket.connect(seller).counterOffer(1, counter))
+        .to.emit(simpleMarket, "OfferCountered")
+        .withArgs(1, 1, counter);
+
+      await expect(
+        simpleMarket.connect(buyer).acceptCounterOffer(1, { value: counter - offerAmount - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+
+      // Overpaying credits the difference back
+      const extra = ethers.parseEther("0.05");
+      await expect(
+        simpleMarket.connect(buyer).acceptCounterOffer(1, { value: counter - offerAmount + extra })
+      ).to.emit(simpleMarket, "OfferAccepted");
+
+      const order = await simpleMarket.getOrder(1);
+      expect(order.amount).to.equal(counter);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(extra);
+
+      console.log("    ✅ Counter-offer accepted");
+    });
+
+    it("Should let the buyer walk away from a counter-offer", async function () {
+      await simpleMarket.connect(seller).counterOffer(1, listPrice);
+
+      await expect(
+        simpleMarket.connect(seller).acceptOffer(1)
+      ).to.be.revertedWith("Offer is not open");
+
+      await simpleMarket.connect(buyer).withdrawOffer(1);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(offerAmount);
+
+      console.log("    ✅ Counter-offer declined by buyer");
+    });
+
+    it("Should only accept offers on fixed-price ETH listings", async function () {
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      const stablecoin = await MockStablecoin.deploy();
+      await simpleMarket.connect(owner).setPaymentToken(await stablecoin.getAddress(), true);
+      await simpleMarket.connect(seller).addProduct("Desk", "Standing desk", 1_000_000n, await stablecoin.getAddress(), 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(2, offerDuration, { value: offerAmount })
+      ).to.be.revertedWith("Offers are only accepted on ETH listings");
+
+      await simpleMarket.connect(seller).createAuction("Painting", "Oil on canvas", listPrice, offerDuration, 1n, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH);
+
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(3, offerDuration, { value: offerAmount })
+      ).to.be.revertedWith("Product is sold by auction");
+
+      console.log("    ✅ Offers limited to fixed-price ETH listings");
+    });
+  });
+
+
+  describe("Reviews", function () {
+
+    const price = ethers.parseEther("1");
+
+    // Two delivered purchases from the seller by the buyer, one unit left
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct("Headphones", "Noise cancelling", price, ETH, 3, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+      await simpleMarket.connect(buyer).confirmDelivery(2);
+    });
+
+    it("Should let the buyer review a purchase", async function () {
+      await expect(simpleMarket.connect(buyer).submitReview(1, 5, "Fast shipping, as described"))
+        .to.emit(simpleMarket, "ReviewSubmitted")
+        .withArgs(1, seller.address, buyer.address, 5, "Fast shipping, as described");
+
+      const review = await simpleMarket.reviews(1);
+      expect(review.productId).to.equal(1);
+      expect(review.reviewer).to.equal(buyer.address);
+      expect(review.seller).to.equal(seller.address);
+      expect(review.rating).to.equal(5);
+
+      console.log("    ✅ Review submitted");
+    });
+
+    it("Should only accept one review per purchase", async function () {
+      await simpleMarket.connect(buyer).submitReview(1, 4, "Good");
+
+      await expect(
+        simpleMarket.connect(buyer).submitReview(1, 5, "Changed my mind")
+      ).to.be.revertedWith("Order already reviewed");
+
+      console.log("    ✅ Duplicate review rejected");
+    });
+
+    it("Should only let the buyer of the order review it", async function () {
+      await expect(
+        simpleMarket.connect(otherAccount).submitReview(1, 1, "Never bought this")
+      ).to.be.revertedWith("Only the buyer can review this order");
+
+      await expect(
+        simpleMarket.connect(seller).submitReview(1, 5, "Great seller")
+      ).to.be.revertedWith("Only the buyer can review this order");
+
+      await expect(
+        simpleMarket.connect(buyer).submitReview(99, 5, "")
+      ).to.be.revertedWith("Order does not exist");
+
+      console.log("    ✅ Non-buyers cannot review");
+    });
+
+    it("Should validate the rating and comment", async function () {
+      await expect(
+        simpleMarket.connect(buyer).submitReview(1, 0, "")
+      ).to.be.revertedWith("Rating must be between 1 and 5");
+
+      await expect(
+        simpleMarket.connect(buyer).submitReview(1, 6, "")
+      ).to.be.revertedWith("Rating must be between 1 and 5");
+
+      await expect(
+        simpleMarket.connect(buyer).submitReview(1, 3, "x".repeat(281))
+      ).to.be.revertedWith("Comment is too long");
+
+      console.log("    ✅ Invalid reviews rejected");
+    });
+
+    it("Should not allow reviewing before delivery", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+
+      await expect(
+        simpleMarket.connect(buyer).submitReview(3, 1, "Not here yet")
+      ).to.be.revertedWith("Order has not been delivered");
+
+      await simpleMarket.connect(seller).markShipped(3);
+      await expect(
+        simpleMarket.connect(buyer).submitReview(3, 1, "Still not here")
+      ).to.be.revertedWith("Order has not been delivered");
+
+      console.log("    ✅ Undelivered order cannot be reviewed");
+    });
+
+    it("Should not allow reviewing a refunded order", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await simpleMarket.connect(buyer).requestRefund(3);
+
+      await expect(
+        simpleMarket.connect(buyer).submitReview(3, 1, "Refunded")
+      ).to.be.revertedWith("Order has not been delivered");
+
+      // Nothing counts towards the seller's rating
+      const [, count] = await simpleMarket.getSellerRating(seller.address);
+      expect(count).to.equal(0);
+
+      console.log("    ✅ Refunded order cannot be reviewed");
+    });
+
+    it("Should aggregate ratings per seller", async function () {
+      let [average, count] = await simpleMarket.getSellerRating(seller.address);
+      expect(average).to.equal(0);
+      expect(count).to.equal(0);
+
+      await simpleMarket.connect(buyer).submitReview(1, 5, "Great");
+      await simpleMarket.connect(buyer).submitReview(2, 4, "Good");
+
+      [average, count] = await simpleMarket.getSellerRating(seller.address);
+      expect(average).to.equal(450); // 4.5 stars
+      expect(count).to.equal(2);
+
+      const reviews = await simpleMarket.getSellerReviews(seller.address);
+      expect(reviews.length).to.equal(2);
+      expect(reviews[0].comment).to.equal("Great");
+      expect(reviews[1].rating).to.equal(4);
+
+      console.log("    ✅ Seller rating aggregated");
+    });
+  });
+
+
+  describe("Categories and Tags", function () {
+
+    const price = ethers.parseEther("1");
+
+    // Two categories in the registry
+    beforeEach(async function () {
+      await simpleMarket.connect(owner).addCategory("Electronics");
+      await simpleMarket.connect(owner).addCategory("Books");
+    });
+
+    it("Should let the owner manage the category registry", async function () {
+      expect(await simpleMarket.categoryCount()).to.equal(2);
+
+      await expect(simpleMarket.connect(owner).addCategory("Garden"))
+        .to.emit(simpleMarket, "CategoryAdded")
+        .withArgs(3, "Garden");
+
+      await expect(simpleMarket.connect(owner).updateCategory(2, "Books & Comics", false))
+        .to.emit(simpleMarket, "CategoryUpdated")
+        .withArgs(2, "Books & Comics", false);
+
+      const categories = await simpleMarket.getCategories();
+      expect(categories.length).to.equal(3);
+      expect(categories[0].name).to.equal("Electronics");
+      expect(categories[1].name).to.equal("Books & Comics");
+      expect(categories[1].active).to.equal(false);
+
+      console.log("    ✅ Category registry managed");
+    });
+
+    it("Should reject category changes from non-admins and invalid input", async function () {
+      await expect(
+        simpleMarket.connect(seller).addCategory("Toys")
+      ).to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, ADMIN_ROLE);
+
+      await expect(
+        simpleMarket.connect(owner).addCategory("")
+      ).to.be.revertedWith("Category name cannot be empty");
+
+      await expect(
+        simpleMarket.connect(owner).updateCategory(9, "Toys", true)
+      ).to.be.revertedWith("Category does not exist");
+
+      console.log("    ✅ Invalid category changes rejected");
+    });
+
+    it("Should store the category and emit tags with the listing", async function () {
+      const tags = ["laptop", "refurbished"];
+
+      await expect(
+        simpleMarket.connect(seller).addProduct("Laptop", "14 inch, 16GB RAM", price, ETH, 1, 1, tags, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      )
+        .to.emit(simpleMarket, "ProductAdded")
+        .withArgs(1, "Laptop", "14 inch, 16GB RAM", price, seller.address, ETH, 1, tags, 1, 0);
+
+      expect((await simpleMarket.getProduct(1)).categoryId).to.equal(1);
+
+      console.log("    ✅ Category stored and tags emitted");
+    });
+
+    it("Should reject unknown or inactive categories", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct("Laptop", "14 inch", price, ETH, 1, 3, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWith("Category does not exist or is inactive");
+
+      await simpleMarket.connect(owner).updateCategory(1, "Electronics", false);
+
+      await expect(
+        simpleMarket.connect(seller).addProduct("Laptop", "14 inch", price, ETH, 1, 1, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWith("Category does not exist or is inactive");
+
+      console.log("    ✅ Invalid categories rejected");
+    });
+
+    it("Should limit the number and length of tags", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct("Laptop", "14 inch", price, ETH, 1, 1, ["a", "b", "c", "d", "e", "f"], NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWith("Too many tags");
+
+      await expect(
+        simpleMarket.connect(seller).addProduct("Laptop", "14 inch", price, ETH, 1, 1, ["x".repeat(33)], NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWith("Invalid tag length");
+
+      await expect(
+        simpleMarket.connect(seller).addProduct("Laptop", "14 inch", price, ETH, 1, 1, [""], NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWith("Invalid tag length");
+
+      console.log("    ✅ Tag limits enforced");
+    });
+
+    it("Should categorize auctions too", async function () {
+      await simpleMarket.connect(seller).createAuction("First edition", "Signed copy", price, 3600, 1n, 2, ["signed"], NO_METADATA_URI, NO_METADATA_HASH);
+
+      expect((await simpleMarket.getProduct(1)).categoryId).to.equal(2);
+
+      console.log("    ✅ Auction categorized");
+    });
+  });
+
+
+  describe("Product Metadata", function () {
+
+    const price = ethers.parseEther("1");
+    const metadataJson = JSON.stringify({
+      images: ["ipfs://bafkreiexampleimage"],
+      attributes: [{ trait_type: "Color", value: "Black" }],
+      condition: "used"
+    });
+    const metadataURI = "ipfs://bafkreiexamplemetadata";
+    const metadataHash = ethers.keccak256(ethers.toUtf8Bytes(metadataJson));
+
+    it("Should store the metadata URI and hash", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct(
+          "Camera",
+          "Mirrorless, 24MP",
+          price,
+          ETH,
+          1,
+          NO_CATEGORY,
+          NO_TAGS,
+          metadataURI,
+          metadataHash,
+          NO_EXPIRY
+        )
+      )
+        .to.emit(simpleMarket, "MetadataSet")
+        .withArgs(1, metadataURI, metadataHash);
+
+      const product = await simpleMarket.products(1);
+      expect(product.metadataURI).to.equal(metadataURI);
+      expect(product.metadataHash).to.equal(metadataHash);
+
+      console.log("    ✅ Metadata stored");
+    });
+
+    it("Should allow text-only listings", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct("Camera", "Mirrorless", price, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).not.to.emit(simpleMarket, "MetadataSet");
+
+      const product = await simpleMarket.products(1);
+      expect(product.metadataURI).to.equal("");
+      expect(product.metadataHash).to.equal(ethers.ZeroHash);
+
+      console.log("    ✅ Text-only listing accepted");
+    });
+
+    it("Should require a hash with the metadata URI", async function () {
+      await expect(
+        simpleMarket.connect(seller).addProduct("Camera", "Mirrorless", price, ETH, 1, NO_CATEGORY, NO_TAGS, metadataURI, ethers.ZeroHash, NO_EXPIRY)
+      ).to.be.revertedWith("Metadata hash is required");
+
+      console.log("    ✅ Missing hash rejected");
+    });
+
+    it("Should attach metadata to auctions", async function () {
+      await simpleMarket.connect(seller).createAuction(
+        "Camera",
+        "Mirrorless",
+        price,
+        3600,
+        1n,
+        NO_CATEGORY,
+        NO_TAGS,
+        metadataURI,
+        metadataHash
+      );
+
+      expect((await simpleMarket.products(1)).metadataHash).to.equal(metadataHash);
+
+      console.log("    ✅ Auction metadata stored");
+    });
+  });
+
+
+  describe("Pausing", function () {
+
+    const price = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct("Lamp", "Desk lamp", price, ETH, 2, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await simpleMarket.connect(seller).createAuction("Clock", "Wall clock", price, 3600, 1n, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH);
+    });
+
+    it("Should let only pausers pause and unpause", async function () {
+      await expect(simpleMarket.connect(seller).pause())
+        .to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, PAUSER_ROLE);
+
+      await expect(simpleMarket.pause())
+        .to.emit(simpleMarket, "Paused")
+        .withArgs(owner.address);
+      expect(await simpleMarket.paused()).to.equal(true);
+
+      await expect(simpleMarket.connect(seller).unpause())
+        .to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount");
+
+      await expect(simpleMarket.unpause())
+        .to.emit(simpleMarket, "Unpaused")
+        .withArgs(owner.address);
+
+      console.log("    ✅ Pause restricted to pausers");
+    });
+
+    it("Should keep the admin and pauser roles separate", async function () {
+      await simpleMarket.grantRole(PAUSER_ROLE, otherAccount.address);
+      await simpleMarket.grantRole(ADMIN_ROLE, seller.address);
+
+      // A pauser can't change settings...
+      await expect(simpleMarket.connect(otherAccount).setFee(100))
+        .to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(otherAccount.address, ADMIN_ROLE);
+      await simpleMarket.connect(otherAccount).pause();
+
+      // ...and an admin can't unpause
+      await expect(simpleMarket.connect(seller).unpause())
+        .to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, PAUSER_ROLE);
+      await simpleMarket.connect(seller).setFee(100);
+
+      console.log("    ✅ Roles are independent");
+    });
+
+    it("Should block listing and buying while paused", async function () {
+      await simpleMarket.pause();
+
+      await expect(
+        simpleMarket.connect(seller).addProduct("Chair", "Office chair", price, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWithCustomError(simpleMarket, "EnforcedPause");
+      await expect(
+        simpleMarket.connect(seller).createAuction("Chair", "Office chair", price, 3600, 1n, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH)
+      ).to.be.revertedWithCustomError(simpleMarket, "EnforcedPause");
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1, { value: price })
+      ).to.be.revertedWithCustomError(simpleMarket, "EnforcedPause");
+      await expect(
+        simpleMarket.connect(buyer).placeBid(2, { value: price })
+      ).to.be.revertedWithCustomError(simpleMarket, "EnforcedPause");
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(1, 3600, { value: price / 2n })
+      ).to.be.revertedWithCustomError(simpleMarket, "EnforcedPause");
+
+      await simpleMarket.unpause();
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+
+      console.log("    ✅ Trading blocked while paused");
+    });
+
+    it("Should keep refunds, delivery and withdrawals open while paused", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await simpleMarket.pause();
+
+      await simpleMarket.connect(buyer).requestRefund(1);
+      await simpleMarket.connect(buyer).confirmDelivery(2);
+
+      await expect(simpleMarket.connect(buyer).withdraw())
+        .to.emit(simpleMarket, "Withdrawn")
+        .withArgs(buyer.address, price);
+      await expect(simpleMarket.connect(seller).withdraw())
+        .to.emit(simpleMarket, "Withdrawn")
+        .withArgs(seller.address, price);
+
+      console.log("    ✅ Funds stay reachable while paused");
+    });
+  });
+
+
+  describe("Moderation", function () {
+
+    const price = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct("Watch", "Totally genuine", price, ETH, 3, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await simpleMarket.connect(seller).addProduct("Bag", "Leather bag", price, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+    });
+
+    it("Should let only moderators hide products and ban sellers", async function () {
+      await expect(simpleMarket.connect(buyer).hideProduct(1, REASON_FRAUD))
+        .to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(buyer.address, MODERATOR_ROLE);
+      await expect(simpleMarket.connect(buyer).banSeller(seller.address, REASON_FRAUD))
+        .to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(buyer.address, MODERATOR_ROLE);
+
+      // Moderators need no other role
+      await simpleMarket.grantRole(MODERATOR_ROLE, otherAccount.address);
+      await expect(simpleMarket.connect(otherAccount).hideProduct(1, REASON_FRAUD))
+        .to.emit(simpleMarket, "ProductHidden")
+        .withArgs(1, otherAccount.address, REASON_FRAUD);
+      await expect(simpleMarket.connect(otherAccount).setFee(100))
+        .to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount");
+
+      console.log("    ✅ Moderation restricted to moderators");
+    });
+
+    it("Should hide a product with a reason and keep it out of listings", async function () {
+      await simpleMarket.hideProduct(1, REASON_FRAUD);
+
+      expect(await simpleMarket.hiddenReason(1)).to.equal(REASON_FRAUD);
+      expect(await simpleMarket.isProductHidden(1)).to.equal(true);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(false);
+      expect(await simpleMarket.availableCount()).to.equal(1);
+
+      const allProducts = await simpleMarket.getAllProducts();
+      expect(allProducts.length).to.equal(1);
+      expect(allProducts[0].name).to.equal("Bag");
+
+      const [page] = await simpleMarket.getAvailableProducts(0, 10);
+      expect(page.map((p) => p.id)).to.deep.equal([2n]);
+
+      await expect(simpleMarket.connect(buyer).buyProduct(1, 1, { value: price }))
+        .to.be.revertedWith("Product has been hidden");
+      await expect(simpleMarket.connect(buyer).makeOffer(1, 3600, { value: price / 2n }))
+        .to.be.revertedWith("Product has been hidden");
+
+      console.log("    ✅ Hidden products filtered out");
+    });
+
+    it("Should validate hide and unhide requests", async function () {
+      await expect(simpleMarket.hideProduct(1, REASON_NONE)).to.be.revertedWith("Reason is required");
+      await expect(simpleMarket.hideProduct(99, REASON_SPAM)).to.be.revertedWith("Product does not exist");
+      await expect(simpleMarket.unhideProduct(1)).to.be.revertedWith("Product is not hidden");
+
+      await simpleMarket.hideProduct(1, REASON_SPAM);
+      await expect(simpleMarket.hideProduct(1, REASON_FRAUD)).to.be.revertedWith("Product already hidden");
+
+      console.log("    ✅ Hide requests validated");
+    });
+
+    it("Should restore an unhidden product", async function () {
+      await simpleMarket.hideProduct(1, REASON_SPAM);
+
+      await expect(simpleMarket.unhideProduct(1))
+        .to.emit(simpleMarket, "ProductUnhidden")
+        .withArgs(1, owner.address);
+
+      expect(await simpleMarket.hiddenReason(1)).to.equal(REASON_NONE);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+      expect((await simpleMarket.getAllProducts()).length).to.equal(2);
+
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+
+      console.log("    ✅ Unhidden product back on sale");
+    });
+
+    it("Should keep escrowed orders refundable after a takedown", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await simpleMarket.hideProduct(1, REASON_FRAUD);
+
+      await simpleMarket.connect(buyer).requestRefund(1);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(price);
+
+      // The refunded unit does not put a hidden listing back on sale
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(false);
+      expect(await simpleMarket.availableCount()).to.equal(1);
+
+      console.log("    ✅ Buyers can still get their money back");
+    });
+
+    it("Should refund the highest bidder of a hidden auction", async function () {
+      const duration = 3600;
+      await simpleMarket.connect(seller).createAuction("Painting", "Oil on canvas", price, duration, 1n, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH);
+      await simpleMarket.connect(buyer).placeBid(3, { value: price });
+
+      await simpleMarket.hideProduct(3, REASON_FRAUD);
+      await expect(simpleMarket.connect(otherAccount).placeBid(3, { value: price * 2n }))
+        .to.be.revertedWith("Product has been hidden");
+
+      await time.increase(duration);
+      await expect(simpleMarket.settleAuction(3))
+        .to.emit(simpleMarket, "AuctionSettled")
+        .withArgs(3, ethers.ZeroAddress, 0);
+
+      const product = await simpleMarket.products(3);
+      expect(product.sold).to.equal(false);
+      expect(product.delisted).to.equal(true);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(price);
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(0);
+
+      console.log("    ✅ Hidden auction refunded");
+    });
+
+    it("Should not let the seller accept offers on a hidden product", async function () {
+      await simpleMarket.connect(buyer).makeOffer(1, 3600, { value: price / 2n });
+      await simpleMarket.connect(otherAccount).makeOffer(1, 3600, { value: price / 2n });
+      await simpleMarket.connect(seller).counterOffer(2, price);
+
+      await simpleMarket.hideProduct(1, REASON_FRAUD);
+
+      await expect(simpleMarket.connect(seller).acceptOffer(1))
+        .to.be.revertedWith("Product has been hidden");
+      await expect(simpleMarket.connect(otherAccount).acceptCounterOffer(2, { value: price / 2n }))
+        .to.be.revertedWith("Product has been hidden");
+      expect((await simpleMarket.products(1)).stock).to.equal(3);
+
+      // The buyers can still take their ETH back
+      await simpleMarket.connect(buyer).withdrawOffer(1);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(price / 2n);
+
+      console.log("    ✅ Offers on hidden products cannot be accepted");
+    });
+
+    it("Should ban and unban sellers", async function () {
+      await expect(simpleMarket.banSeller(seller.address, REASON_FRAUD))
+        .to.emit(simpleMarket, "SellerBanned")
+        .withArgs(seller.address, owner.address, REASON_FRAUD);
+      expect(await simpleMarket.bannedSellers(seller.address)).to.equal(true);
+
+      await expect(
+        simpleMarket.connect(seller).addProduct("Watch", "Another one", price, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY)
+      ).to.be.revertedWith("Seller is banned");
+      await expect(
+        simpleMarket.connect(seller).createAuction("Watch", "Another one", price, 3600, 1n, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH)
+      ).to.be.revertedWith("Seller is banned");
+
+      // Existing listings are moderated separately
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+
+      await expect(simpleMarket.banSeller(seller.address, REASON_SPAM)).to.be.revertedWith("Seller already banned");
+      await expect(simpleMarket.banSeller(seller.address, REASON_NONE)).to.be.revertedWith("Reason is required");
+
+      await expect(simpleMarket.unbanSeller(seller.address))
+        .to.emit(simpleMarket, "SellerUnbanned")
+        .withArgs(seller.address, owner.address);
+      await expect(simpleMarket.unbanSeller(seller.address)).to.be.revertedWith("Seller is not banned");
+
+      await simpleMarket.connect(seller).addProduct("Watch", "Another one", price, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+
+      console.log("    ✅ Seller bans enforced");
+    });
+  });
+
+
+  describe("Upgrades", function () {
+
+    const price = ethers.parseEther("1");
+
+    it("Should only be initialized once", async function () {
+      await expect(
+        simpleMarket.initialize(DELIVERY_TIMEOUT, INITIAL_FEE_BPS, owner.address)
+      ).to.be.revertedWithCustomError(simpleMarket, "InvalidInitialization");
+
+      // The implementation behind the proxy can't be taken over either
+      const implementation = SimpleMarket.attach(
+        await upgrades.erc1967.getImplementationAddress(await simpleMarket.getAddress())
+      );
+      await expect(
+        implementation.connect(seller).initialize(DELIVERY_TIMEOUT, INITIAL_FEE_BPS, seller.address)
+      ).to.be.revertedWithCustomError(simpleMarket, "InvalidInitialization");
+
+      console.log("    ✅ Initializer locked");
+    });
+
+    it("Should keep listings, orders and balances across an upgrade", async function () {
+      await simpleMarket.connect(seller).addProduct("Desk", "Standing desk", price, ETH, 2, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+
+      const proxyAddress = await simpleMarket.getAddress();
+      const oldImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+      const SimpleMarketV2 = await ethers.getContractFactory("SimpleMarketV2Mock");
+      const upgraded = await upgrades.upgradeProxy(proxyAddress, SimpleMarketV2, proxyOptions);
+
+      // Same address, new logic
+      expect(await upgraded.getAddress()).to.equal(proxyAddress);
+      expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.not.equal(oldImplementation);
+      expect(await upgraded.version()).to.equal("2");
+
+      // Existing state is untouched
+      const product = await upgraded.products(1);
+      expect(product.name).to.equal("Desk");
+      expect(product.stock).to.equal(1);
+      expect((await simpleMarket.getOrder(1)).buyer).to.equal(buyer.address);
+      expect(await upgraded.pendingWithdrawal(seller.address)).to.equal(price);
+      expect(await upgraded.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await upgraded.trustedForwarder()).to.equal(await forwarder.getAddress());
+
+      // New storage starts empty and the market keeps trading
+      expect(await upgraded.upgradeNote()).to.equal(0);
+      await upgraded.setUpgradeNote(7);
+      await upgraded.connect(buyer).buyProduct(1, 1, { value: price });
+      expect((await upgraded.products(1)).sold).to.equal(true);
+
+      console.log("    ✅ State preserved through upgrade");
+    });
+
+    it("Should let only upgraders upgrade", async function () {
+      const SimpleMarketV2 = await ethers.getContractFactory("SimpleMarketV2Mock", seller);
+
+      await expect(
+        upgrades.upgradeProxy(await simpleMarket.getAddress(), SimpleMarketV2, proxyOptions)
+      ).to.be.revertedWithCustomError(simpleMarket, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, UPGRADER_ROLE);
+
+      console.log("    ✅ Upgrades restricted to upgraders");
+    });
+
+    it("Should reject an upgrade with an incompatible storage layout", async function () {
+      const BadLayout = await ethers.getContractFactory("SimpleMarketBadLayoutMock");
+
+      await expect(
+        upgrades.validateUpgrade(await simpleMarket.getAddress(), BadLayout, proxyOptions)
+      ).to.be.rejectedWith(/storage layout is incompatible/i);
+
+      console.log("    ✅ Unsafe storage layout rejected");
+    });
+
+    it("Should swap in new modules with an upgrade", async function () {
+      await simpleMarket.connect(seller).addProduct("Desk", "Standing desk", price, ETH, 2, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+
+      const proxyAddress = await simpleMarket.getAddress();
+      const oldListingsModule = await simpleMarket.listingsModule();
+
+      await validateMarketModules(proxyAddress);
+      const { listingsModule, ordersModule } = await deployMarketModules(await forwarder.getAddress());
+      await upgrades.upgradeProxy(proxyAddress, SimpleMarket, {
+        ...proxyOptions,
+        constructorArgs: [await forwarder.getAddress(), listingsModule]
+      });
+
+      // The proxy now forwards to the new pair
+      expect(listingsModule).to.not.equal(oldListingsModule);
+      expect(await simpleMarket.listingsModule()).to.equal(listingsModule);
+      expect(await simpleMarket.ordersModule()).to.equal(ordersModule);
+
+      // The new modules pick up the escrow order and listing made before
+      await simpleMarket.connect(seller).markShipped(1);
+      await simpleMarket.connect(buyer).confirmDelivery(1);
+      expect((await simpleMarket.getOrder(1)).status).to.equal(3); // Completed
+      expect(await simpleMarket.pendingWithdrawal(seller.address)).to.equal(price);
+
+      await simpleMarket.connect(seller).updateProduct(1, "Standing desk, oak top", price * 2n);
+      expect((await simpleMarket.products(1)).price).to.equal(price * 2n);
+
+      console.log("    ✅ Modules replaced, state kept");
+    });
+
+    it("Should reject modules with an incompatible storage layout", async function () {
+      const proxyAddress = await simpleMarket.getAddress();
+
+      await expect(
+        validateMarketModules(proxyAddress, ["SimpleMarketListings", "SimpleMarketOrdersBadLayoutMock"])
+      ).to.be.rejectedWith(/storage layout is incompatible/i);
+
+      console.log("    ✅ Unsafe module layout rejected");
+    });
+  });
+
+
+  describe("Signed Listings", function () {
+
+    const price = ethers.parseEther("1");
+
+    // EIP-712 types matching SimpleMarket.ListingOrder
+    const LISTING_ORDER_TYPES = {
+      ListingOrder: [
+        { name: "seller", type: "address" },
+        { name: "name", type: "string" },
+        { name: "description", type: "string" },
+        { name: "price", type: "uint256" },
+        { name: "paymentToken", type: "address" },
+        { name: "stock", type: "uint256" },
+        { name: "categoryId", type: "uint256" },
+        { name: "metadataURI", type: "string" },
+        { name: "metadataHash", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+      ],
+    };
+
+    let domain;
+    let order;
+
+    const signOrder = (signer, listingOrder) =>
+      signer.signTypedData(domain, LISTING_ORDER_TYPES, listingOrder);
+
+    beforeEach(async function () {
+      domain = {
+        name: "SimpleMarket",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await simpleMarket.getAddress(),
+      };
+
+      order = {
+        seller: seller.address,
+        name: "Vinyl record",
+        description: "First pressing",
+        price: price,
+        paymentToken: ETH,
+        stock: 3,
+        categoryId: NO_CATEGORY,
+        metadataURI: NO_METADATA_URI,
+        metadataHash: NO_METADATA_HASH,
+        nonce: 42,
+        expiry: (await time.latest()) + 3600,
+      };
+    });
+
+    it("Should hash orders the same way as EIP-712 wallets", async function () {
+      expect(await simpleMarket.hashListingOrder(order))
+        .to.equal(ethers.TypedDataEncoder.hash(domain, LISTING_ORDER_TYPES, order));
+
+      console.log("    ✅ Order digest matches");
+    });
+
+    it("Should list and sell a signed order in one transaction", async function () {
+      const signature = await signOrder(seller, order);
+
+      await expect(simpleMarket.connect(buyer).fulfillOrder(order, signature, 2, { value: price * 2n }))
+        .to.emit(simpleMarket, "ListingOrderFulfilled")
+        .withArgs(await simpleMarket.hashListingOrder(order), 1, seller.address, buyer.address, 42)
+        .and.to.emit(simpleMarket, "ProductAdded")
+        .and.to.emit(simpleMarket, "ProductSold")
+        .withArgs(1, "Vinyl record", price, 2, seller.address, buyer.address);
+
+      // The listing now lives on-chain with the seller as its owner
+      const product = await simpleMarket.products(1);
+      expect(product.seller).to.equal(seller.address);
+      expect(product.stock).to.equal(1);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+      expect(await simpleMarket.usedNonces(seller.address, 42)).to.equal(true);
+
+      // The payment is escrowed like any other purchase
+      const escrowOrder = await simpleMarket.getOrder(1);
+      expect(escrowOrder.buyer).to.equal(buyer.address);
+      expect(escrowOrder.amount).to.equal(price * 2n);
+
+      // The last unit is bought the usual way
+      await simpleMarket.connect(otherAccount).buyProduct(1, 1, { value: price });
+      expect((await simpleMarket.products(1)).sold).to.equal(true);
+
+      console.log("    ✅ Signed order fulfilled");
+    });
+
+    it("Should not fulfill the same nonce twice", async function () {
+      const signature = await signOrder(seller, order);
+      await simpleMarket.connect(buyer).fulfillOrder(order, signature, 1, { value: price });
+
+      await expect(
+        simpleMarket.connect(otherAccount).fulfillOrder(order, signature, 1, { value: price })
+      ).to.be.revertedWith("Order nonce already used");
+
+      // A different order reusing the nonce is rejected as well
+      const reused = { ...order, price: price / 2n };
+      await expect(
+        simpleMarket.connect(otherAccount).fulfillOrder(reused, await signOrder(seller, reused), 1, { value: price })
+      ).to.be.revertedWith("Order nonce already used");
+
+      console.log("    ✅ Nonces are single-use");
+    });
+
+    it("Should reject expired orders", async function () {
+      const signature = await signOrder(seller, order);
+      await time.increaseTo(order.expiry + 1);
+
+      await expect(
+        simpleMarket.connect(buyer).fulfillOrder(order, signature, 1, { value: price })
+      ).to.be.revertedWith("Order has expired");
+
+      console.log("    ✅ Expired order rejected");
+    });
+
+    it("Should reject forged or tampered orders", async function () {
+      // Signed by someone other than the seller
+      await expect(
+        simpleMarket.connect(buyer).fulfillOrder(order, await signOrder(otherAccount, order), 1, { value: price })
+      ).to.be.revertedWith("Invalid order signature");
+
+      // Price lowered after signing
+      const signature = await signOrder(seller, order);
+      const tampered = { ...order, price: 1n };
+      await expect(
+        simpleMarket.connect(buyer).fulfillOrder(tampered, signature, 1, { value: 1n })
+      ).to.be.revertedWith("Invalid order signature");
+
+      console.log("    ✅ Invalid signatures rejected");
+    });
+
+    it("Should let the seller cancel an unfulfilled order", async function () {
+      const signature = await signOrder(seller, order);
+
+      await expect(simpleMarket.connect(buyer).cancelOrder(order))
+        .to.be.revertedWith("Only the seller can cancel this order");
+
+      await expect(simpleMarket.connect(seller).cancelOrder(order))
+        .to.emit(simpleMarket, "ListingOrderCancelled")
+        .withArgs(await simpleMarket.hashListingOrder(order), seller.address, 42);
+      await expect(simpleMarket.connect(seller).cancelOrder(order))
+        .to.be.revertedWith("Order has been cancelled");
+
+      await expect(
+        simpleMarket.connect(buyer).fulfillOrder(order, signature, 1, { value: price })
+      ).to.be.revertedWith("Order has been cancelled");
+
+      console.log("    ✅ Cancelled order can't be fulfilled");
+    });
+
+    it("Should apply the usual listing and purchase rules", async function () {
+      const signature = await signOrder(seller, order);
+
+      await expect(
+        simpleMarket.connect(buyer).fulfillOrder(order, signature, 1, { value: price / 2n })
+      ).to.be.revertedWith("Insufficient payment");
+      await expect(
+        simpleMarket.connect(seller).fulfillOrder(order, signature, 1, { value: price })
+      ).to.be.revertedWith("Cannot buy your own product");
+
+      await simpleMarket.banSeller(seller.address, REASON_FRAUD);
+      await expect(
+        simpleMarket.connect(buyer).fulfillOrder(order, signature, 1, { value: price })
+      ).to.be.revertedWith("Seller is banned");
+
+      // Nothing was listed by the failed attempts
+      expect(await simpleMarket.productCount()).to.equal(0);
+
+      console.log("    ✅ Listing and purchase checks still apply");
+    });
+  });
+
+
+  describe("Meta-transactions", function () {
+
+    const price = ethers.parseEther("1");
+
+    // EIP-712 types of ERC2771Forwarder's ForwardRequest
+    const FORWARD_REQUEST_TYPES = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" },
+      ],
+    };
+
+    // What a user's wallet signs and the relayer submits
+    const signForwardRequest = async (signer, data, overrides = {}) => {
+      const request = {
+        from: signer.address,
+        to: await simpleMarket.getAddress(),
+        value: 0,
+        gas: 1_000_000,
+        nonce: await forwarder.nonces(signer.address),
+        deadline: (await time.latest()) + 3600,
+        data,
+        ...overrides,
+      };
+      const domain = {
+        name: "MarketForwarder",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await forwarder.getAddress(),
+      };
+      const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+      return { ...request, signature };
+    };
+
+    const addProductData = () => simpleMarket.interface.encodeFunctionData("addProduct", [
+      "Bike", "Road bike", price, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY,
+    ]);
+
+    it("Should trust the forwarder it was deployed with", async function () {
+      expect(await simpleMarket.trustedForwarder()).to.equal(await forwarder.getAddress());
+      expect(await simpleMarket.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+      expect(await simpleMarket.isTrustedForwarder(otherAccount.address)).to.equal(false);
+
+      console.log("    ✅ Trusted forwarder set");
+    });
+
+    it("Should list a product for the signer while the relayer pays gas", async function () {
+      const request = await signForwardRequest(seller, addProductData());
+      expect(await forwarder.verify(request)).to.equal(true);
+
+      const sellerBalance = await ethers.provider.getBalance(seller.address);
+
+      // otherAccount plays the relayer
+      await expect(forwarder.connect(otherAccount).execute(request))
+        .to.emit(simpleMarket, "ProductAdded");
+
+      expect((await simpleMarket.products(1)).seller).to.equal(seller.address);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(sellerBalance);
+      expect(await forwarder.nonces(seller.address)).to.equal(1);
+
+      console.log("    ✅ Relayed listing credited to the signer");
+    });
+
+    it("Should apply seller checks to the signer, not the relayer", async function () {
+      await simpleMarket.connect(seller).addProduct("Bike", "Road bike", price, ETH, 1, NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH, NO_EXPIRY);
+
+      // Only the seller may cancel, even through the forwarder
+      // (the forwarder reports a reverted call as FailedCall, without the reason)
+      const cancel = simpleMarket.interface.encodeFunctionData("cancelListing", [1]);
+      await expect(
+        forwarder.connect(otherAccount).execute(await signForwardRequest(buyer, cancel))
+      ).to.be.revertedWithCustomError(forwarder, "FailedCall");
+      expect((await simpleMarket.products(1)).delisted).to.equal(false);
+
+      await forwarder.connect(otherAccount).execute(await signForwardRequest(seller, cancel));
+      expect((await simpleMarket.products(1)).delisted).to.equal(true);
+
+      // Banned sellers can't list through the relayer either
+      await simpleMarket.banSeller(buyer.address, REASON_FRAUD);
+      await expect(
+        forwarder.connect(otherAccount).execute(await signForwardRequest(buyer, addProductData()))
+      ).to.be.revertedWithCustomError(forwarder, "FailedCall");
+      expect(await simpleMarket.productCount()).to.equal(1);
+
+      console.log("    ✅ Relayed calls act as the signer");
+    });
+
+    it("Should reject tampered, replayed and expired requests", async function () {
+      const request = await signForwardRequest(seller, addProductData());
+
+      // Claiming someone else signed it
+      await expect(
+        forwarder.connect(otherAccount).execute({ ...request, from: buyer.address })
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+
+      await forwarder.connect(otherAccount).execute(request);
+      await expect(
+        forwarder.connect(otherAccount).execute(request)
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+
+      const expired = await signForwardRequest(seller, addProductData(), { deadline: (await time.latest()) - 1 });
+      await expect(
+        forwarder.connect(otherAccount).execute(expired)
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest");
+
+      expect(await simpleMarket.productCount()).to.equal(1);
+
+      console.log("    ✅ Invalid forward requests rejected");
+    });
+
+    it("Should ignore an appended sender when the caller is not the forwarder", async function () {
+      // Same calldata the forwarder would send, but from an untrusted account
+      const data = ethers.concat([addProductData(), seller.address]);
+      await buyer.sendTransaction({ to: await simpleMarket.getAddress(), data });
+
+      expect((await simpleMarket.products(1)).seller).to.equal(buyer.address);
+
+      console.log("    ✅ Sender spoofing ignored");
+    });
+  });
+
+
+  describe("Updating and Delisting Products", function () {
+
+    beforeEach(async function () {
+      await simpleMarket.connect(seller).addProduct(
+        "Test iPhone",
+        "Test iPhone for sale",
+        ethers.parseEther("1.0"),
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
+      );
+    });
+
+    it("Should let the seller update price and description", async function () {
+      const newPrice = ethers.parseEther("0.8");
+
+      await expect(
+        simpleMarket.connect(seller).updateProduct(1, "Fixed typo in description", newPrice)
+      )
+        .to.emit(simpleMarket, "ProductUpdated")
+        .withArgs(1, "Fixed typo in description", newPrice, seller.address);
+
+      const product = await simpleMarket.getProduct(1);
+      expect(product.description).to.equal("Fixed typo in description");
+      expect(product.price).to.equal(newPrice);
+      expect(product.name).to.equal("Test iPhone");
+
+      console.log("    ✅ Product updated by seller");
+    });
+
+    it("Should reject updates from anyone but the seller", async function () {
+      await expect(
+        simpleMarket.connect(buyer).updateProduct(1, "Hijacked", ethers.parseEther("0.1"))
+      ).to.be.revertedWith("Only the seller can modify this product");
+
+      console.log("    ✅ Non-seller update rejected");
+    });
+
+    it("Should reject updating to a zero price", async function () {
+      await expect(
+        simpleMarket.connect(seller).updateProduct(1, "Free", 0)
+      ).to.be.revertedWith("Product price must be greater than 0");
+
+      console.log("    ✅ Zero price update rejected");
+    });
+
+    it("Should reject updating a sold product", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, {
+        value: ethers.parseEther("1.0")
+      });
+
+      await expect(
+        simpleMarket.connect(seller).updateProduct(1, "Too late", ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Product already sold");
+
+      console.log("    ✅ Sold product update rejected");
+    });
+
+    it("Should let the seller delist a product", async function () {
+      await expect(simpleMarket.connect(seller).cancelListing(1))
+        .to.emit(simpleMarket, "ProductDelisted")
+        .withArgs(1, seller.address);
+
+      const product = await simpleMarket.getProduct(1);
+      expect(product.delisted).to.equal(true);
+      expect(product.sold).to.equal(false);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(false);
+
+      const allProducts = await simpleMarket.getAllProducts();
+      expect(allProducts[0].delisted).to.equal(true);
+
+      console.log("    ✅ Product delisted by seller");
+    });
+
+    it("Should reject delisting from anyone but the seller", async function () {
+      await expect(
+        simpleMarket.connect(buyer).cancelListing(1)
+      ).to.be.revertedWith("Only the seller can modify this product");
+
+      console.log("    ✅ Non-seller delist rejected");
+    });
+
+    it("Should reject delisting a sold product", async function () {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, {
+        value: ethers.parseEther("1.0")
+      });
+
+      await expect(
+        simpleMarket.connect(seller).cancelListing(1)
+      ).to.be.revertedWith("Product already sold");
+
+      console.log("    ✅ Sold product delist rejected");
+    });
+
+    it("Should reject buying or editing a delisted product", async function () {
+      await simpleMarket.connect(seller).cancelListing(1);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1, {
+          value: ethers.parseEther("1.0")
+        })
+      ).to.be.revertedWith("Product has been delisted");
+
+      await expect(
+        simpleMarket.connect(seller).updateProduct(1, "Back again", ethers.parseEther("1.0"))
+      ).to.be.revertedWith("Product has been delisted");
+
+      await expect(
+        simpleMarket.connect(seller).cancelListing(1)
+      ).to.be.revertedWith("Product has been delisted");
+
+      console.log("    ✅ Delisted product can no longer be bought or edited");
+    });
+  });
+
+
+  describe("Listing Expiry", function () {
+    const DAY = 24 * 60 * 60;
+    const price = ethers.parseEther("1.0");
+    let expiresAt;
+
+    const listProduct = (name, expiry) =>
+      simpleMarket.connect(seller).addProduct(
+        name,
+        `${name} for sale`,
+        price,
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        expiry
+      );
+
+    beforeEach(async function () {
+      expiresAt = (await time.latest()) + DAY;
+      await listProduct("Camera", expiresAt);
+    });
+
+    it("Should record the expiry of a new listing", async function () {
+      expect(await simpleMarket.productExpiry(1)).to.equal(expiresAt);
+      expect(await simpleMarket.isProductExpired(1)).to.equal(false);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+
+      const laterExpiry = (await time.latest()) + 2 * DAY;
+      await expect(listProduct("Lens", laterExpiry))
+        .to.emit(simpleMarket, "ExpirySet")
+        .withArgs(2, laterExpiry);
+
+      // Listings without an expiry don't log one
+      await expect(listProduct("Tripod", NO_EXPIRY)).to.not.emit(simpleMarket, "ExpirySet");
+      expect(await simpleMarket.productExpiry(3)).to.equal(0);
+
+      console.log("    ✅ Expiry recorded");
+    });
+
+    it("Should reject an expiry that has already passed", async function () {
+      await expect(
+        listProduct("Old camera", await time.latest())
+      ).to.be.revertedWith("Expiry must be in the future");
+
+      console.log("    ✅ Past expiry rejected");
+    });
+
+    it("Should stop selling a listing once it expires", async function () {
+      await time.increaseTo(expiresAt);
+
+      expect(await simpleMarket.isProductExpired(1)).to.equal(true);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(false);
+      await expect(
+        simpleMarket.connect(buyer).buyProduct(1, 1, { value: price })
+      ).to.be.revertedWith("Listing has expired");
+      await expect(
+        simpleMarket.connect(buyer).makeOffer(1, DAY, { value: price / 2n })
+      ).to.be.revertedWith("Listing has expired");
+
+      console.log("    ✅ Expired listing can't be bought");
+    });
+
+    it("Should not let the seller accept offers once the listing expires", async function () {
+      await simpleMarket.connect(buyer).makeOffer(1, 2 * DAY, { value: price / 2n });
+      await time.increaseTo(expiresAt);
+
+      await expect(
+        simpleMarket.connect(seller).acceptOffer(1)
+      ).to.be.revertedWith("Listing has expired");
+
+      // Relisting puts the offer back in play
+      await simpleMarket.connect(seller).relist(1, NO_EXPIRY);
+      await expect(simpleMarket.connect(seller).acceptOffer(1))
+        .to.emit(simpleMarket, "OfferAccepted");
+
+      console.log("    ✅ Offers on expired listings cannot be accepted");
+    });
+
+    it("Should leave expired listings out of views and cart checkouts", async function () {
+      await listProduct("Tripod", NO_EXPIRY);
+      await time.increaseTo(expiresAt);
+
+      const [page] = await simpleMarket.getAvailableProducts(0, 10);
+      expect(page.map((product) => product.id)).to.deep.equal([2n]);
+
+      await expect(
+        simpleMarket.connect(buyer).buyProducts([1, 2], true, { value: price * 2n })
+      )
+        .to.emit(simpleMarket, "CartItemSkipped")
+        .withArgs(1, buyer.address);
+      expect(await simpleMarket.pendingWithdrawal(buyer.address)).to.equal(price);
+
+      console.log("    ✅ Expired listings hidden and skipped");
+    });
+
+    it("Should let the seller relist an expired listing", async function () {
+      await time.increaseTo(expiresAt);
+
+      const newExpiry = (await time.latest()) + 7 * DAY;
+      await expect(simpleMarket.connect(seller).relist(1, newExpiry))
+        .to.emit(simpleMarket, "ExpirySet")
+        .withArgs(1, newExpiry);
+
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      expect((await simpleMarket.getProduct(1)).sold).to.equal(true);
+
+      console.log("    ✅ Expired listing relisted and sold");
+    });
+
+    it("Should remove the expiry when relisting with 0", async function () {
+      await simpleMarket.connect(seller).relist(1, NO_EXPIRY);
+
+      expect(await simpleMarket.productExpiry(1)).to.equal(0);
+      await time.increase(30 * DAY);
+      expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
+
+      await expect(
+        simpleMarket.connect(seller).relist(1, NO_EXPIRY)
+      ).to.be.revertedWith("Listing does not expire");
+
+      console.log("    ✅ Expiry removed");
+    });
+
+    it("Should only relist live fixed-price listings of the caller", async function () {
+      const newExpiry = (await time.latest()) + 7 * DAY;
+
+      await expect(
+        simpleMarket.connect(buyer).relist(1, newExpiry)
+      ).to.be.revertedWith("Only the seller can modify this product");
+      await expect(
+        simpleMarket.connect(seller).relist(1, await time.latest())
+      ).to.be.revertedWith("Expiry must be in the future");
+
+      await simpleMarket.connect(seller).createAuction(
+        "Vintage lens", "Auction", price, DAY, ethers.parseEther("0.1"),
+        NO_CATEGORY, NO_TAGS, NO_METADATA_URI, NO_METADATA_HASH
+      );
+      await expect(
+        simpleMarket.connect(seller).relist(2, newExpiry)
+      ).to.be.revertedWith("Auction listings cannot be relisted");
+
+      await simpleMarket.connect(buyer).buyProduct(1, 1, { value: price });
+      await expect(
+        simpleMarket.connect(seller).relist(1, newExpiry)
+      ).to.be.revertedWith("Product already sold");
+
+      console.log("    ✅ Invalid relists rejected");
+    });
+  });
+
+  describe("Pagination", function () {
+
+    const price = ethers.parseEther("1");
+
+    // Five listings: 1, 3 and 5 by the seller, 2 and 4 by otherAccount
+    beforeEach(async function () {
+      for (let i = 1; i <= 5; i++) {
+        const account = i % 2 === 1 ? seller : otherAccount;
+        await simpleMarket.connect(account).addProduct(
+          `Product ${i}`,
+          `Description ${i}`,
+          price,
+          ETH,
+          1,
+          NO_CATEGORY,
+          NO_TAGS,
+          NO_METADATA_URI,
+          NO_METADATA_HASH,
+          NO_EXPIRY
+        );
+      }
+    });
+
+    const ids = (page) => page.map(product => Number(product.id));
+
+    it("Should page through all products by id", async function () {
+      expect(ids(await simpleMarket.getProducts(0, 2))).to.deep.equal([1, 2]);
+      expect(ids(await simpleMarket.getProducts(2, 2))).to.deep.equal([3, 4]);
+      expect(ids(await simpleMarket.getProducts(4, 2))).to.deep.equal([5]);
+      expect(await simpleMarket.getProducts(5, 2)).to.have.length(0);
+
+      console.log("    ✅ Product pages returned in id order");
+    });
+
+    it("Should page through a seller's listings", async function () {
+      expect(await simpleMarket.getSellerProductCount(seller.address)).to.equal(3);
+      expect(ids(await simpleMarket.getProductsBySeller(seller.address, 0, 2))).to.deep.equal([1, 3]);
+      expect(ids(await simpleMarket.getProductsBySeller(seller.address, 2, 2))).to.deep.equal([5]);
+      expect(ids(await simpleMarket.getProductsBySeller(otherAccount.address, 0, 10))).to.deep.equal([2, 4]);
+      expect(await simpleMarket.getProductsBySeller(buyer.address, 0, 10)).to.have.length(0);
+
+      console.log("    ✅ Seller pages returned");
+    });
+
+    it("Should page through available products newest first", async function () {
+      expect(await simpleMarket.availableCount()).to.equal(5);
+
+      const [first, cursor] = await simpleMarket.getAvailableProducts(0, 2);
+      expect(ids(first)).to.deep.equal([5, 4]);
+      expect(cursor).to.equal(4);
+
+      const [second, cursor2] = await simpleMarket.getAvailableProducts(cursor, 2);
+      expect(ids(second)).to.deep.equal([3, 2]);
+
+      const [last, end] = await simpleMarket.getAvailableProducts(cursor2, 2);
+      expect(ids(last)).to.deep.equal([1]);
+      expect(end).to.equal(0);
+
+      console.log("    ✅ Available pages returned newest first");
+    });
+
+    it("Should drop sold and delisted products from the available index", async function () {
+      await simpleMarket.connect(buyer).buyProduct(2, 1, { value: price });
+      await simpleMarket.connect(seller).cancelListing(5);
+
+      expect(await simpleMarket.availableCount()).to.equal(3);
+      const [page] = await simpleMarket.getAvailableProducts(0, 10);
+      expect(ids(page)).to.deep.equal([4, 3, 1]);
+
+      console.log("    ✅ Sold and delisted products removed");
+    });
+
+    it("Should drop a product sold out through an accepted offer", async function () {
+      await simpleMarket.connect(buyer).makeOffer(3, 3600, { value: price / 2n });
+      await simpleMarket.connect(seller).acceptOffer(1);
+
+      expect(await simpleMarket.availableCount()).to.equal(4);
+      const [page] = await simpleMarket.getAvailableProducts(0, 10);
+      expect(ids(page)).to.deep.equal([5, 4, 2, 1]);
+
+      console.log("    ✅ Product sold by offer removed");
+    });
+
+    it("Should keep a cursor valid when its product sells out", async function () {
+      const [, cursor] = await simpleMarket.getAvailableProducts(0, 2);
+      expect(cursor).to.equal(4);
+
+      await simpleMarket.connect(buyer).buyProduct(4, 1, { value: price });
+      await simpleMarket.connect(buyer).buyProduct(3, 1, { value: price });
+
+      const [page, end] = await simpleMarket.getAvailableProducts(cursor, 10);
+      expect(ids(page)).to.deep.equal([2, 1]);
+      expect(end).to.equal(0);
+
+      console.log("    ✅ Cursor survived the sale");
+    });
+
+    it("Should put refunded products back on the available index", async function () {
+      await simpleMarket.connect(buyer).buyProduct(3, 1, { value: price });
+      expect(await simpleMarket.availableCount()).to.equal(4);
+
+      await simpleMarket.connect(buyer).requestRefund(1);
+
+      expect(await simpleMarket.availableCount()).to.equal(5);
+      const [page] = await simpleMarket.getAvailableProducts(0, 10);
+      expect(ids(page)).to.have.members([1, 2, 3, 4, 5]);
+
+      console.log("    ✅ Refunded product available again");
+    });
+
+    it("Should skip auctions whose bidding has closed", async function () {
+      await simpleMarket.connect(seller).createAuction(
+        "Auction",
+        "Auction description",
+        price,
+        3600,
+        1n,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH
+      );
+      expect(ids((await simpleMarket.getAvailableProducts(0, 1))[0])).to.deep.equal([6]);
+
+      await time.increase(3600);
+      expect(ids((await simpleMarket.getAvailableProducts(0, 1))[0])).to.deep.equal([5]);
+
+      await simpleMarket.settleAuction(6);
+      expect(await simpleMarket.availableCount()).to.equal(5);
+
+      console.log("    ✅ Closed auctions skipped");
+    });
+  });
+
+
   describe("View Functions", function () {
     
     beforeEach(async function () {
@@ -294,13 +3224,27 @@ describe("SimpleMarket Contract", function () {
       await simpleMarket.connect(seller).addProduct(
         "Product 1",
         "Description 1",
-        ethers.parseEther("1.0")
+        ethers.parseEther("1.0"),
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
       
       await simpleMarket.connect(otherAccount).addProduct(
         "Product 2",
         "Description 2",
-        ethers.parseEther("2.0")
+        ethers.parseEther("2.0"),
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
     });
     
@@ -338,7 +3282,7 @@ describe("SimpleMarket Contract", function () {
       expect(await simpleMarket.isProductAvailable(1)).to.equal(true);
       
       // Buy product 1
-      await simpleMarket.connect(buyer).buyProduct(1, {
+      await simpleMarket.connect(buyer).buyProduct(1, 1, {
         value: ethers.parseEther("1.0")
       });
       
@@ -368,7 +3312,14 @@ describe("SimpleMarket Contract", function () {
       await simpleMarket.connect(seller).addProduct(
         "Expensive Product",
         "Very expensive item",
-        largePrice
+        largePrice,
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
       
       const product = await simpleMarket.getProduct(1);
@@ -384,7 +3335,14 @@ describe("SimpleMarket Contract", function () {
       await simpleMarket.connect(seller).addProduct(
         longName,
         longDescription,
-        ethers.parseEther("1.0")
+        ethers.parseEther("1.0"),
+        ETH,
+        1,
+        NO_CATEGORY,
+        NO_TAGS,
+        NO_METADATA_URI,
+        NO_METADATA_HASH,
+        NO_EXPIRY
       );
       
       const product = await simpleMarket.getProduct(1);
@@ -402,7 +3360,14 @@ describe("SimpleMarket Contract", function () {
           simpleMarket.connect(seller).addProduct(
             `Product ${i}`,
             `Description ${i}`,
-            ethers.parseEther("1.0")
+            ethers.parseEther("1.0"),
+            ETH,
+            1,
+            NO_CATEGORY,
+            NO_TAGS,
+            NO_METADATA_URI,
+            NO_METADATA_HASH,
+            NO_EXPIRY
           )
         );
       }